@@ -0,0 +1,289 @@
+/**
+ * Accessibility-tree extraction: composed HTML (same wrappers as composedDom.js) in which each
+ * interactive element carries what Chromium's accessibility tree says about it, read over CDP:
+ *   <button data-agent-ax="{&quot;role&quot;:&quot;button&quot;,&quot;name&quot;:&quot;Add to cart&quot;,&quot;states&quot;:{&quot;disabled&quot;:true}}">…
+ *   <a href="/promo" data-agent-ax="{&quot;hidden&quot;:&quot;not rendered&quot;}">…
+ * The DOM comes from DOM.getDocument (piercing shadow roots and same-process iframes) and the tree
+ * from Accessibility.getFullAXTree per frame, joined on backend node ids. Names include
+ * aria-labelledby, and hidden means computed (display:none, visibility, aria-hidden, inert), not guessed
+ * from inline styles. domParser.js and getSnapshot read the annotations; see readAccessibility.
+ */
+
+import { composedHtml, SHADOW_ROOT_TAG, FRAME_TAG } from './composedDom.js';
+
+/** Attribute holding an element's accessibility data (JSON). */
+export const AX_ATTR = 'data-agent-ax';
+/** Attribute on <html> marking HTML produced by accessibleHtml. */
+export const AX_TREE_ATTR = 'data-agent-ax-tree';
+
+export const EXTRACTION_MODES = ['dom', 'accessibility'];
+
+const MAX_FRAME_DEPTH = 3;
+const VOID = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW = new Set(['script', 'style']);
+// Elements the extractors look at; these always get an annotation (hidden ones too)
+const INTERESTING_TAGS = new Set(['form', 'input', 'select', 'textarea', 'button', 'a', 'summary', 'dialog']);
+const INTERESTING_ATTRS = ['role', 'onclick', 'data-action', 'data-submit', 'tabindex'];
+const INTERACTIVE_ROLES = new Set([
+  'button', 'link', 'checkbox', 'radio', 'switch', 'textbox', 'searchbox', 'combobox', 'listbox', 'option',
+  'slider', 'spinbutton', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'treeitem', 'DisclosureTriangle',
+  'form', 'search', 'dialog', 'alertdialog', 'alert', 'status',
+]);
+const STATES = ['disabled', 'expanded', 'checked', 'pressed'];
+// Roles whose accessible value is the field's current value (live, unlike the value attribute)
+const VALUE_ROLES = new Set(['textbox', 'searchbox', 'combobox', 'spinbutton', 'slider']);
+// Chromium ignoredReasons → why the element is out of the rendered tree
+const HIDDEN_REASONS = {
+  notRendered: 'not rendered',
+  notVisible: 'not visible',
+  ariaHiddenElement: 'aria-hidden',
+  ariaHiddenSubtree: 'aria-hidden',
+  inertElement: 'inert',
+  inertSubtree: 'inert',
+  activeModalDialog: 'behind modal dialog',
+  ariaModalDialog: 'behind modal dialog',
+};
+const DECORATIVE_REASONS = new Set(['presentationalRole', 'inheritsPresentation']);
+
+/**
+ * @param {string} [mode]
+ * @returns {'dom'|'accessibility'}
+ */
+export function checkExtraction(mode = 'dom') {
+  if (!EXTRACTION_MODES.includes(mode)) throw new Error(`Unknown extraction "${mode}" (use ${EXTRACTION_MODES.join(' or ')})`);
+  return mode;
+}
+
+const esc = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escAttr = (s) => String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+const cssString = (v) => `"${v.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+const collapse = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+function attrPairs(node) {
+  const pairs = [];
+  const list = node.attributes || [];
+  for (let i = 0; i < list.length; i += 2) pairs.push([list[i], list[i + 1]]);
+  return pairs;
+}
+
+function attrOf(node, name) {
+  return attrPairs(node).find(([k]) => k === name)?.[1] ?? null;
+}
+
+/** Light-DOM elements of a CDP document in document order (what querySelectorAll sees). */
+function lightElements(doc) {
+  const out = [];
+  const visit = (node) => {
+    if (node.nodeType === 1) out.push(node);
+    (node.children || []).forEach(visit);
+  };
+  visit(doc);
+  return out;
+}
+
+/** Selector of an iframe element in its document, as composedDom.js builds it. */
+function frameSelector(node, doc) {
+  const tag = node.localName;
+  for (const attr of ['id', 'name', 'title', 'src']) {
+    const v = attrOf(node, attr);
+    if (v) return `${tag}[${attr}=${cssString(v)}]`;
+  }
+  const same = lightElements(doc).filter((n) => n.localName === tag);
+  return `${tag} >> nth=${Math.max(0, same.indexOf(node))}`;
+}
+
+/**
+ * Annotation of one element from its accessibility node (undefined when it is not in the tree).
+ * @param {Object|undefined} ax - CDP AXNode
+ * @param {Object} node - CDP DOM node
+ * @returns {Object|null}
+ */
+function annotation(ax, node) {
+  const interesting = INTERESTING_TAGS.has(node.localName) || INTERESTING_ATTRS.some((a) => attrOf(node, a) != null);
+  const role = ax?.role?.value || null;
+  if (!interesting && !INTERACTIVE_ROLES.has(role)) return null;
+  if (!ax) return { hidden: 'not rendered' };
+  const out = {};
+  if (role && role !== 'none') out.role = role;
+  const name = collapse(ax.name?.value);
+  if (name) out.name = name;
+  const states = {};
+  for (const p of ax.properties || []) {
+    if (!STATES.includes(p.name)) continue;
+    const v = p.value?.value;
+    states[p.name] = v === 'true' ? true : v === 'false' ? false : v;
+  }
+  if (Object.keys(states).length) out.states = states;
+  const value = ax.value?.value;
+  if (VALUE_ROLES.has(role) && value != null && value !== '' && attrOf(node, 'type') !== 'password') out.value = String(value);
+  if (ax.ignored) {
+    const reasons = (ax.ignoredReasons || []).map((r) => r.name);
+    const hidden = reasons.find((r) => HIDDEN_REASONS[r]);
+    if (hidden) out.hidden = HIDDEN_REASONS[hidden];
+    else if (reasons.some((r) => DECORATIVE_REASONS.has(r))) out.decorative = true;
+  }
+  return out;
+}
+
+/**
+ * Serialize a CDP DOM document like composedDom.js, adding annotations where the frame's
+ * accessibility tree is known (ctx.ax has an entry for the document).
+ * @param {Object} doc - CDP document node
+ * @param {{ bodyOnly: boolean, depth: number, ax: Map<Object, Map<number, Object>> }} ctx
+ */
+function serializeDocument(doc, ctx) {
+  const axNodes = ctx.ax.get(doc);
+  const out = [];
+
+  function walk(node, parentTag) {
+    if (node.nodeType === 3) {
+      out.push(RAW.has(parentTag) ? node.nodeValue : esc(node.nodeValue));
+      return;
+    }
+    if (node.nodeType === 11) {
+      (node.children || []).forEach((child) => walk(child));
+      return;
+    }
+    if (node.nodeType !== 1) return;
+    const tag = node.localName;
+    let attrs = '';
+    for (const [k, v] of attrPairs(node)) {
+      if (k !== AX_ATTR && k !== AX_TREE_ATTR) attrs += ` ${k}="${escAttr(v)}"`;
+    }
+    if (axNodes) {
+      const note = annotation(axNodes.get(node.backendNodeId), node);
+      if (note) attrs += ` ${AX_ATTR}="${escAttr(JSON.stringify(note))}"`;
+      if (tag === 'html' && !ctx.bodyOnly) attrs += ` ${AX_TREE_ATTR}="1"`;
+    }
+    out.push(`<${tag}${attrs}>`);
+    if (VOID.has(tag)) return;
+    if (tag === 'template') {
+      if (node.templateContent) walk(node.templateContent);
+    } else {
+      const shadow = (node.shadowRoots || []).find((r) => r.shadowRootType === 'open');
+      if (shadow) {
+        out.push(`<${SHADOW_ROOT_TAG}>`);
+        (shadow.children || []).forEach((child) => walk(child));
+        out.push(`</${SHADOW_ROOT_TAG}>`);
+      }
+      (node.children || []).forEach((child) => walk(child, tag));
+    }
+    out.push(`</${tag}>`);
+    if (tag === 'iframe' || tag === 'frame') {
+      const child = node.contentDocument;
+      const url = child?.documentURL || attrOf(node, 'src') || '';
+      const inner = child && ctx.depth < MAX_FRAME_DEPTH
+        ? serializeDocument(child, { ...ctx, bodyOnly: true, depth: ctx.depth + 1 })
+        : '';
+      out.push(`<${FRAME_TAG} data-frame-selector="${escAttr(frameSelector(node, doc))}" data-frame-url="${escAttr(url)}">${inner}</${FRAME_TAG}>`);
+    }
+  }
+
+  if (ctx.bodyOnly) {
+    const body = lightElements(doc).find((n) => n.localName === 'body');
+    if (body) (body.children || []).forEach((child) => walk(child, 'body'));
+  } else {
+    out.push('<!DOCTYPE html>');
+    const root = (doc.children || []).find((n) => n.nodeType === 1);
+    if (root) walk(root);
+  }
+  return out.join('');
+}
+
+/**
+ * Documents reachable through iframes (same process only), each with the frame id to read its tree.
+ * @param {Object} doc - CDP document node
+ * @param {string|undefined} frameId
+ */
+function collectDocuments(doc, frameId, depth = 0, out = []) {
+  out.push({ doc, frameId });
+  const visit = (node) => {
+    if (node.contentDocument && depth < MAX_FRAME_DEPTH) {
+      collectDocuments(node.contentDocument, node.frameId || node.contentDocument.frameId, depth + 1, out);
+    }
+    (node.children || []).forEach(visit);
+    (node.shadowRoots || []).forEach(visit);
+  };
+  (doc.children || []).forEach(visit);
+  return out;
+}
+
+/**
+ * Composed HTML of the page annotated from the accessibility tree (see module comment).
+ * Frames whose tree cannot be read (e.g. cross-process iframes) are left unannotated.
+ * Falls back to composedHtml (no annotations) if CDP is unavailable.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<string>}
+ */
+export async function accessibleHtml(page) {
+  let cdp;
+  try {
+    cdp = await page.context().newCDPSession(page);
+    const { root } = await cdp.send('DOM.getDocument', { depth: -1, pierce: true });
+    const ax = new Map();
+    for (const [i, { doc, frameId }] of collectDocuments(root).entries()) {
+      try {
+        const { nodes } = await cdp.send('Accessibility.getFullAXTree', i === 0 ? {} : { frameId });
+        ax.set(doc, new Map(nodes.filter((n) => n.backendDOMNodeId).map((n) => [n.backendDOMNodeId, n])));
+      } catch (_) {
+        // frame without a readable tree: its elements keep static extraction
+      }
+    }
+    return serializeDocument(root, { bodyOnly: false, depth: 0, ax });
+  } catch (e) {
+    console.error('Accessibility tree extraction failed, using the DOM only:', e.message);
+    return composedHtml(page);
+  } finally {
+    if (cdp) await cdp.detach().catch(() => {});
+  }
+}
+
+/**
+ * Page HTML for the chosen extraction: composed DOM, or the same annotated from the accessibility tree.
+ * liveValues applies to the DOM extraction; annotations already carry live values and states.
+ * @param {import('playwright').Page} page
+ * @param {'dom'|'accessibility'} [extraction]
+ * @param {{ liveValues?: boolean }} [options]
+ */
+export function pageHtml(page, extraction = 'dom', options = {}) {
+  return checkExtraction(extraction) === 'accessibility' ? accessibleHtml(page) : composedHtml(page, options);
+}
+
+/**
+ * Accessibility data of an element in HTML from accessibleHtml, or null when there is none
+ * (DOM-only HTML, a frame whose tree was unreadable, or an element no extractor looks at).
+ * hidden: why it is out of the rendered tree; decorative: role none/presentation; value: current field value.
+ * @param {import('cheerio').Cheerio} $el
+ * @returns {{ role?: string, name?: string, value?: string, states?: Object, hidden?: string, decorative?: boolean }|null}
+ */
+export function readAccessibility($el) {
+  const raw = $el.attr(AX_ATTR);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Why an annotated element should not be offered as an action, or null.
+ * @param {ReturnType<typeof readAccessibility>} ax
+ */
+export function axHiddenReason(ax) {
+  if (!ax) return null;
+  return ax.hidden || (ax.decorative ? 'decorative' : null);
+}
+
+/**
+ * Group fields from an annotation: role, states and visibility (empty when not annotated).
+ * @param {ReturnType<typeof readAccessibility>} ax
+ */
+export function axFields(ax) {
+  if (!ax) return {};
+  return {
+    role: ax.role || null,
+    states: ax.states || {},
+    visible: !axHiddenReason(ax),
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Action graph: crawl from a start URL following the contract's link and form actions.
+ * Nodes = page contracts (deduped by URL template); edges = actions leading from one page to another.
+ */
+
+import { urlTemplate } from './urlTemplate.js';
+import { schemaFieldNames } from './schema.js';
+
+/**
+ * Resolve the URL an action navigates to, or null if it does not navigate (buttons, js links).
+ * GET forms resolve to their target with every schema field as an empty query param.
+ * @param {Object} action - Contract action
+ * @param {string} pageUrl - URL of the page the action is on
+ * @returns {string|null}
+ */
+function actionTargetUrl(action, pageUrl) {
+  try {
+    if (action.kind === 'link' && action.href) {
+      const u = new URL(action.href, pageUrl);
+      if (!/^https?:$/.test(u.protocol)) return null;
+      u.hash = '';
+      return u.toString();
+    }
+    if (action.kind === 'form') {
+      const u = new URL(action.formAction || pageUrl, pageUrl);
+      u.hash = '';
+      if (action.method === 'GET') {
+        u.search = '';
+        for (const name of schemaFieldNames(action.schema)) u.searchParams.set(name, '');
+      }
+      return u.toString();
+    }
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * Breadth-first crawl producing an action graph.
+ * @param {string} startUrl
+ * @param {(url: string) => Promise<Object>} loadContract - Returns the contract for a URL
+ * @param {{ maxPages?: number, sameOrigin?: boolean, onPage?: (url: string, index: number) => void }} options
+ * @returns {Promise<{ startUrl: string, nodes: Array<Object>, edges: Array<Object> }>}
+ */
+export async function buildActionGraph(startUrl, loadContract, options = {}) {
+  const { maxPages = 10, sameOrigin = true, onPage } = options;
+  const origin = new URL(startUrl).origin;
+  const nodes = new Map();
+  const edges = [];
+  const queue = [startUrl];
+  const sampleUrls = new Map([[urlTemplate(startUrl), startUrl]]);
+  let visited = 0;
+
+  while (queue.length && visited < maxPages) {
+    const url = queue.shift();
+    const id = urlTemplate(url);
+    onPage?.(url, visited);
+    let contract;
+    try {
+      contract = await loadContract(url);
+    } catch (e) {
+      nodes.set(id, { id, url, visited: true, error: e.message, contract: null });
+      visited++;
+      continue;
+    }
+    nodes.set(id, { id, url, visited: true, contractName: contract.contractName, contract });
+    visited++;
+
+    for (const action of contract.actions || []) {
+      const target = actionTargetUrl(action, url);
+      if (!target) continue;
+      if (sameOrigin && new URL(target).origin !== origin) continue;
+      const to = urlTemplate(target);
+      edges.push({ from: id, to, action: action.action, method: action.method, kind: action.kind });
+      if (sampleUrls.has(to)) continue;
+      sampleUrls.set(to, target);
+      // POST forms change server state: record the edge but never submit them while crawling
+      if (action.kind === 'form' && action.method !== 'GET') continue;
+      queue.push(target);
+    }
+  }
+
+  for (const { to } of edges) {
+    if (!nodes.has(to)) nodes.set(to, { id: to, url: sampleUrls.get(to), visited: false, contract: null });
+  }
+
+  return { startUrl, nodes: [...nodes.values()], edges };
+}
@@ -1,32 +1,44 @@
 #!/usr/bin/env node
 /**
- * Agent: OpenRouter (LLM) + MCP web-scraper (tools).
- * API key from .env (OPENROUTER_API_KEY) or env. Usage: node src/agent.js "user message"
+ * Agent: LLM (OpenRouter by default, see llmProviders.js) + MCP web-scraper (tools).
+ * API keys from .env or env. Usage: node src/agent.js [--provider=openrouter|openai|anthropic|mock] [--model=…] [--base-url=…] "user message"
+ * Every run is traced to AGENT_TRACE_DIR (tokens, cost, latency, tool calls); see tracing.js.
  */
 
 import { config } from 'dotenv';
 import { fileURLToPath } from 'node:url';
-import { dirname, join } from 'node:path';
+import { dirname, join, resolve } from 'node:path';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-config({ path: join(__dirname, '..', '.env') });
+config({ path: join(__dirname, '..', '.env'), quiet: true });
 
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
 import { createInterface } from 'node:readline';
+import { createTracer } from './tracing.js';
+import { createProvider } from './llmProviders.js';
+import {
+  resolveBudget, createResultStore, fitToolResult, compactHistory, isCompacted, estimateMessageTokens, READ_RESULT_TOOL, READ_RESULT_TOOL_NAME,
+} from './contextBudget.js';
 const MCP_SERVER_PATH = join(__dirname, 'mcp-server.js');
 
-const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
-const DEFAULT_MODEL = 'google/gemini-3.1-pro-preview';
+// Vision fallback: 'auto' sends screenshots to the model when confidence is low, 'off' never does
+const VISION_MODE = process.env.AGENT_VISION || 'auto';
+const VISION_CONFIDENCE = Number(process.env.AGENT_VISION_CONFIDENCE || 0.5);
+const VISION_TOOLS = new Set(['browser_click', 'browser_click_at', 'browser_execute_action']);
+// Tools returning a page snapshot (diff by default) → their snapshot mode argument
+const SNAPSHOT_TOOLS = { browser_snapshot: 'mode', browser_execute_action: 'snapshot' };
 
 /**
  * Spawn and connect to the web-scraper MCP server.
+ * @param {{ env?: Record<string, string> }} [options] - env: server environment (default: the SDK's minimal safe set)
  */
-async function connectMcp() {
+export async function connectMcp(options = {}) {
   const transport = new StdioClientTransport({
     command: process.execPath,
     args: [MCP_SERVER_PATH],
     cwd: join(__dirname, '..'),
+    ...(options.env && { env: options.env }),
   });
   const client = new Client(
     { name: 'parse_web_agent', version: '1.0.0' },
@@ -39,7 +51,7 @@ async function connectMcp() {
 /**
  * Convert MCP tool list to OpenRouter/OpenAI tools format.
  */
-function mcpToolsToOpenAI(mcpTools) {
+export function mcpToolsToOpenAI(mcpTools) {
   return mcpTools.map((t) => ({
     type: 'function',
     function: {
@@ -51,51 +63,208 @@ function mcpToolsToOpenAI(mcpTools) {
 }
 
 /**
- * Call OpenRouter chat completions (no stream) with optional tools.
+ * Decide whether a tool result calls for a screenshot: failed clicks, empty snapshots,
+ * or contracts whose actions have low average confidence.
+ * @param {string} name - Tool name
+ * @param {string} text - Tool result text
+ * @param {boolean} isError
  */
-async function openRouterChat(apiKey, { model, messages, tools }) {
-  const body = {
-    model: model || DEFAULT_MODEL,
-    messages,
-    ...(tools && tools.length > 0 && { tools, tool_choice: 'auto' }),
+function needsVision(name, text, isError) {
+  if (isError) return VISION_TOOLS.has(name);
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return false;
+  }
+  if (Array.isArray(data?.actions)) {
+    if (data.actions.length === 0) return true;
+    const mean = data.actions.reduce((sum, a) => sum + (a.confidence ?? 1), 0) / data.actions.length;
+    return mean < VISION_CONFIDENCE;
+  }
+  if (Array.isArray(data?.buttons) && Array.isArray(data?.links) && Array.isArray(data?.forms)) {
+    return data.buttons.length + data.links.length + data.forms.length === 0;
+  }
+  return false;
+}
+
+/**
+ * Whether the model lost the base of diff snapshots: a snapshot result was compacted and no full
+ * snapshot came after it, so a diff would describe changes to a page state it can no longer see.
+ * @param {Array<Object>} messages
+ */
+function snapshotBaseCompacted(messages) {
+  const names = new Map();
+  let lost = false;
+  for (const m of messages) {
+    for (const tc of m.tool_calls || []) names.set(tc.id, tc.function?.name);
+    if (m.role !== 'tool' || !SNAPSHOT_TOOLS[names.get(m.tool_call_id)] || typeof m.content !== 'string') continue;
+    if (isCompacted(m)) lost = true;
+    else if (isFullSnapshot(m.content)) lost = false;
+  }
+  return lost;
+}
+
+/** Whether a snapshot tool's result text holds the full page state rather than a diff. */
+function isFullSnapshot(text) {
+  return /"buttons":/.test(text) && !/"mode":\s*"diff"/.test(text);
+}
+
+/**
+ * Whether the MCP server has a browser tab open (an automatic screenshot needs one).
+ * @param {Object} mcpClient
+ */
+async function browserOpen(mcpClient) {
+  try {
+    const result = await mcpClient.callTool({ name: 'browser_tabs', arguments: {} });
+    if (result.isError) return false;
+    const data = JSON.parse(result.content?.find((c) => c.type === 'text')?.text || '{}');
+    return (data.tabs || []).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * OpenAI-style user message carrying screenshots (tool messages cannot hold images).
+ * @param {Array<{ tool: string, data: string, mimeType: string, note?: string }>} images
+ */
+function imageMessage(images) {
+  return {
+    role: 'user',
+    content: [
+      { type: 'text', text: `Screenshot(s) from ${images.map((i) => i.tool).join(', ')}. Numbered boxes (if any) match the marks in the tool result; use browser_click_at with their x/y.` },
+      ...images.flatMap((i) => [
+        { type: 'image_url', image_url: { url: `data:${i.mimeType};base64,${i.data}` } },
+        ...(i.note ? [{ type: 'text', text: i.note }] : []),
+      ]),
+    ],
   };
-  const res = await fetch(OPENROUTER_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`,
-      'HTTP-Referer': 'https://github.com/parse_web_agent',
-    },
-    body: JSON.stringify(body),
-  });
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`OpenRouter ${res.status}: ${err}`);
+}
+
+/**
+ * Images in the messages sent to the model (vision input, the cost driver we compare against).
+ * @param {Array<Object>} messages
+ */
+function countImages(messages) {
+  return messages.reduce((n, m) => n + (Array.isArray(m.content) ? m.content.filter((c) => c.type === 'image_url').length : 0), 0);
+}
+
+/**
+ * MCP tool call, recorded on the tracer.
+ * @param {Object} tracer - createTracer() result
+ * @param {number} turn
+ * @param {{ automatic?: boolean }} [extra]
+ */
+async function tracedToolCall(mcpClient, tracer, turn, name, args, extra = {}) {
+  const started = Date.now();
+  try {
+    const result = await mcpClient.callTool({ name, arguments: args });
+    const content = result.content || [];
+    tracer.toolCall({
+      turn,
+      name,
+      args,
+      durationMs: Date.now() - started,
+      resultBytes: content.reduce((n, c) => n + Buffer.byteLength(c.text || c.data || ''), 0),
+      images: content.filter((c) => c.type === 'image').length,
+      isError: !!result.isError,
+      ...(result.isError && { error: content.find((c) => c.type === 'text')?.text?.slice(0, 500) }),
+      ...extra,
+    });
+    return result;
+  } catch (e) {
+    tracer.toolCall({ turn, name, args, durationMs: Date.now() - started, isError: true, error: e.message, ...extra });
+    throw e;
   }
-  return res.json();
 }
 
 /**
- * Run one agent turn: send messages to OpenRouter; if tool_calls, execute via MCP and loop.
+ * Run one agent turn: send messages to the LLM provider; if tool_calls, execute via MCP and loop.
+ * Tool results are fitted to the context budget and older turns compacted (see contextBudget.js); once a
+ * snapshot result was compacted, the next browser_snapshot / browser_execute_action asks for a full snapshot.
+ * @param {string} [apiKey] - OpenRouter key, used when no provider is given
+ * @param {string} [model] - Default: the provider's model
+ * @param {Object} [tracer] - createTracer() result; a new one (AGENT_TRACE_DIR) when omitted
+ * @param {{ provider?: { name: string, model: string, vision?: boolean, chat: Function }, budget?: Object, resultStore?: Object }} [options]
+ *   provider: createProvider() result (openrouter, openai, anthropic, mock); default OpenRouter with apiKey.
+ *   budget: resolveBudget() options (maxTurns, maxContextTokens, maxToolResultTokens, maxRunTokens, …).
+ *   resultStore: createResultStore(); share it across the turns of a conversation so result_ids stay readable.
+ * @returns {Promise<{ reply: string|null, stop: { reason: string, message: string, turns: number, contextTokens: number, runTokens: number }, messages: Array<Object>, trace: Object }>}
+ *   stop.reason: completed | max_turns | token_budget | context_overflow (reply is null unless completed);
+ *   messages: the (compacted) history including this turn, to continue the conversation with;
+ *   trace: the tracer's run summary (llmCalls, totalTokens, cost, toolCalls, durationMs, …) and its file (null when off)
  */
-async function runAgentTurn(apiKey, mcpClient, toolsOpenAI, messages, model) {
-  const maxTurns = 15;
+export async function runAgentTurn(apiKey, mcpClient, toolsOpenAI, messages, model, tracer, options = {}) {
+  const provider = options.provider || createProvider({ provider: 'openrouter', apiKey, model });
+  model = model || provider.model;
+  const budget = resolveBudget(options.budget);
+  const store = options.resultStore || createResultStore();
+  tracer = tracer || createTracer({ meta: { model, provider: provider.name, input: messages.filter((m) => m.role === 'user').pop()?.content } });
+  try {
+    const result = await agentLoop(provider.chat, mcpClient, toolsOpenAI, messages, model, tracer, { budget, store, vision: VISION_MODE !== 'off' && !!provider.vision });
+    const summary = tracer.finish({ status: result.stop.reason === 'completed' ? 'ok' : result.stop.reason });
+    return { ...result, trace: { file: tracer.file, ...summary } };
+  } catch (e) {
+    tracer.finish({ status: 'error', error: e.message });
+    throw e;
+  }
+}
+
+/**
+ * Tool-calling loop of runAgentTurn; returns the reply, why the run stopped, and the history.
+ * vision: the model takes images, so screenshots are attached (and taken automatically when needed).
+ */
+async function agentLoop(chat, mcpClient, toolsOpenAI, messages, model, tracer, { budget, store, vision }) {
+  const tools = [...toolsOpenAI, READ_RESULT_TOOL];
   let turn = 0;
+  let runTokens = 0;
+  let contextTokens = 0;
   let currentMessages = [...messages];
+  const stop = (reason, message, reply = null) => ({
+    reply,
+    stop: { reason, message, turns: turn, contextTokens, runTokens },
+    messages: currentMessages,
+  });
 
-  while (turn < maxTurns) {
-    const response = await openRouterChat(apiKey, {
-      model,
-      messages: currentMessages,
-      tools: toolsOpenAI,
-    });
+  while (turn < budget.maxTurns) {
+    const compaction = compactHistory(currentMessages, budget, store, tools);
+    currentMessages = compaction.messages;
+    contextTokens = compaction.after;
+    if (contextTokens > budget.maxContextTokens) {
+      return stop('context_overflow', `Stopped: the conversation needs about ${contextTokens} tokens after compaction, over the limit of ${budget.maxContextTokens}.`);
+    }
+    const started = Date.now();
+    let response;
+    try {
+      response = await chat({
+        model,
+        messages: currentMessages,
+        tools,
+      });
+    } catch (e) {
+      tracer.llmCall({ turn, model, latencyMs: Date.now() - started, images: countImages(currentMessages), error: e.message });
+      throw e;
+    }
 
     const choice = response.choices?.[0];
+    tracer.llmCall({
+      turn,
+      model: response.model || model,
+      latencyMs: Date.now() - started,
+      usage: response.usage,
+      images: countImages(currentMessages),
+      toolCalls: choice?.message?.tool_calls?.length || 0,
+      finishReason: choice?.finish_reason,
+      contextTokens,
+      ...(compaction.compacted && { compacted: compaction.compacted }),
+    });
     if (!choice?.message) {
-      throw new Error('No message in OpenRouter response');
+      throw new Error('No message in LLM response');
     }
 
     const msg = choice.message;
+    runTokens += (response.usage?.prompt_tokens ?? contextTokens) + (response.usage?.completion_tokens ?? estimateMessageTokens(msg));
     currentMessages.push({
       role: 'assistant',
       content: msg.content ?? null,
@@ -103,11 +272,14 @@ async function runAgentTurn(apiKey, mcpClient, toolsOpenAI, messages, model) {
     });
 
     if (!msg.tool_calls || msg.tool_calls.length === 0) {
+      turn++;
       const text = (msg.content && String(msg.content).trim()) || '';
-      if (text) return text;
-      return "I didn't get a final reply. Try asking again or give me a specific store URL (e.g. a trekking shop) so I can fetch its contract and suggest actions.";
+      return stop('completed', 'Final reply.', text || "I didn't get a final reply. Try asking again or give me a specific store URL (e.g. a trekking shop) so I can fetch its contract and suggest actions.");
     }
 
+    const images = [];
+    let wantVision = false;
+    let fullSnapshot = snapshotBaseCompacted(currentMessages);
     for (const tc of msg.tool_calls) {
       const name = tc.function?.name;
       const argsStr = tc.function?.arguments || '{}';
@@ -117,50 +289,71 @@ async function runAgentTurn(apiKey, mcpClient, toolsOpenAI, messages, model) {
       } catch {
         args = {};
       }
-      const result = await mcpClient.callTool({ name, arguments: args });
-      const text = result.content?.[0]?.text ?? (result.isError ? String(result.content?.[0]?.text || 'Error') : JSON.stringify(result));
+      if (name === READ_RESULT_TOOL_NAME) {
+        const text = JSON.stringify(store.read(args));
+        tracer.toolCall({ turn, name, args, durationMs: 0, resultBytes: Buffer.byteLength(text), local: true });
+        currentMessages.push({ role: 'tool', tool_call_id: tc.id, content: fitToolResult(text, { maxTokens: budget.maxToolResultTokens, store, tool: name }) });
+        continue;
+      }
+      if (fullSnapshot && SNAPSHOT_TOOLS[name]) args = { ...args, [SNAPSHOT_TOOLS[name]]: 'full' };
+      const result = await tracedToolCall(mcpClient, tracer, turn, name, args);
+      const textParts = (result.content || []).filter((c) => c.type === 'text').map((c) => c.text);
+      const text = textParts.length ? textParts.join('\n') : result.isError ? 'Error' : JSON.stringify(result);
+      if (SNAPSHOT_TOOLS[name] && !result.isError && isFullSnapshot(text)) fullSnapshot = false;
+      for (const c of result.content || []) {
+        if (c.type === 'image') images.push({ tool: name, data: c.data, mimeType: c.mimeType });
+      }
+      if (vision && needsVision(name, textParts[0] ?? text, !!result.isError)) wantVision = true;
       currentMessages.push({
         role: 'tool',
         tool_call_id: tc.id,
-        content: text,
+        content: fitToolResult(text, { maxTokens: budget.maxToolResultTokens, store, tool: name }),
       });
     }
+
+    if (wantVision && images.length === 0 && (await browserOpen(mcpClient))) {
+      const shot = await tracedToolCall(mcpClient, tracer, turn, 'browser_screenshot', { annotate: true }, { automatic: true });
+      const image = !shot.isError && shot.content?.find((c) => c.type === 'image');
+      if (image) {
+        const marks = shot.content.find((c) => c.type === 'text')?.text;
+        images.push({ tool: 'browser_screenshot (automatic, low confidence)', data: image.data, mimeType: image.mimeType, note: marks });
+      }
+    }
+    if (images.length && vision) currentMessages.push(imageMessage(images));
     turn++;
+    if (budget.maxRunTokens && runTokens >= budget.maxRunTokens) {
+      return stop('token_budget', `Stopped: the run used about ${runTokens} tokens, over the budget of ${budget.maxRunTokens}.`);
+    }
   }
 
-  return '(Max turns reached)';
+  return stop('max_turns', `Stopped after ${turn} turns (maxTurns ${budget.maxTurns}) without a final reply.`);
 }
 
-async function main() {
-  const apiKey = process.env.OPENROUTER_API_KEY;
-  if (!apiKey) {
-    console.error('Set OPENROUTER_API_KEY');
-    process.exit(1);
-  }
-
-  const model = process.env.OPENROUTER_MODEL || DEFAULT_MODEL;
-  const userInput = process.argv.slice(2).join(' ').trim();
-
-  console.error('Connecting to MCP web-scraper...');
-  const mcpClient = await connectMcp();
-  const { tools } = await mcpClient.listTools();
-  const toolsOpenAI = mcpToolsToOpenAI(tools);
-  console.error(`Loaded ${tools.length} MCP tools: ${tools.map((t) => t.name).join(', ')}`);
-
-  const systemPrompt = `You are an assistant that can both discover web pages (contract) and act in a real browser like a human.
+/** System prompt of the agent: tool guide and the recommended shopping flow. */
+export const SYSTEM_PROMPT = `You are an assistant that can both discover web pages (contract) and act in a real browser like a human.
 
 Discovery (no browser):
-- web_scraper_fetch_contract: get API contract (actions, forms, links) for a URL. Use discover_apis: true to also get apiEndpoints.
+- web_scraper_fetch_contract: get API contract (actions, forms, links) for a URL. Use discover_apis: true to also get apiEndpoints. Each action has a confidence (0..1); for actions below 0.5, confirm with browser_snapshot before relying on them, or pass min_confidence to drop them. For shops pass vertical: "auto" to get canonical intents (search_product, filter_price, select_variant, add_to_cart, view_cart, checkout) that work the same on every site.
 - web_scraper_contract_from_html, web_scraper_fetch_html: when you already have HTML or need raw HTML.
 
 Execute in a real browser (human-like):
-- browser_launch: open a browser (use headed: true so the user can watch). Do this first.
+- browser_launch: open a browser (use headed: true so the user can watch). Do this first. Pass profile (e.g. "shop-account") to start logged in with a saved auth profile.
+- browser_save_profile: after the user logs in, save the session cookies as a profile; browser_profiles lists saved ones.
 - browser_navigate: go to a URL.
-- browser_snapshot: get current page state (buttons, links, forms). Use this to decide what to click or fill.
-- browser_click: click by visible text (e.g. "Search", "Add to cart") or selector.
-- browser_fill: fill one field by label/name (e.g. "search", "Size").
-- browser_fill_form: fill multiple fields via JSON (e.g. '{"search":"trekking shoes","size":"40"}').
+- browser_snapshot: get current page state (buttons, links, forms, dialogs). After the first call it returns only what changed (mode "diff"); pass mode: "full" when you need the whole page again. Use this to decide what to click or fill.
+- browser_click: click by ref from browser_snapshot (e.g. "e17"), visible text (e.g. "Search", "Add to cart") or selector.
+- browser_fill: fill one field by ref, label or name (e.g. "e5", "search", "Size").
+- browser_fill_form: fill multiple fields via JSON (e.g. '{"search":"trekking shoes","size":"40"}'; refs work as keys too).
+Refs are the most reliable target. They stay valid while their element is on the page; on a stale-ref error, call browser_snapshot again.
+- browser_execute_action: run a contract action by name (e.g. action "search", params_json '{"q":"trekking shoes"}'); fills, submits and returns the new page state. Prefer this over guessing clicks when the action exists.
+- browser_screenshot: screenshot of the page or one element; annotate: true draws numbered boxes over clickable elements. Use when clicks by text fail or the snapshot is empty.
+- browser_click_at: click at x/y from a screenshot mark (vision fallback).
+- browser_tabs / browser_switch_tab: list tabs (popups and new windows open as tabs and become active), open or close a tab, or switch the active tab.
 - browser_close: close the browser when done.
+Every browser_* tool accepts session_id (returned by browser_launch); omit it to use the latest session. Launch a second session only when you need separate cookies (e.g. two accounts).
+Safety policy: clicks, fills, actions and web_scraper_call_api that look like a purchase, payment, deletion or password entry return requires_confirmation with a confirm_token instead of acting. Then stop and ask the user; only if they agree, repeat the exact same call with confirm_token. Never invent tokens. dry_run: true checks the risk without acting; policy_status shows the rules.
+Long tool results are truncated (and older ones compacted) with a result_id; call agent_read_result only when you need the omitted part.
+Pages behind a login (cart, account, order history): pass profile to web_scraper_fetch_contract. web_scraper_call_api sends the browser session cookies automatically (or a profile's, with profile).
 
 Recommended flow for shopping/product tasks (e.g. "trekking shoes, $100, black, size 40"):
 1. browser_launch(headed: true) so the user sees the browser.
@@ -170,21 +363,51 @@ Recommended flow for shopping/product tasks (e.g. "trekking shoes, $100, black,
 5. browser_snapshot again to see results; optionally click a product or summarize what you see.
 6. Always end with a clear text reply to the user. Then browser_close when the flow is done.
 
-You can also use web_scraper_fetch_contract to get the contract first (to know what actions exist), then use the browser_* tools to perform those actions in the real page. Never end with only tool calls and no message.`;
+You can also use web_scraper_fetch_contract to get the contract first (to know what actions exist), then use browser_execute_action (or the other browser_* tools) to perform those actions in the real page. Never end with only tool calls and no message.`;
+
+/** One stderr line about a run's trace file (CLI only). */
+function printTrace(trace) {
+  if (!trace?.file) return;
+  const cost = trace.cost != null ? `, $${trace.cost}` : '';
+  console.error(`Trace ${trace.file}: ${trace.llmCalls} LLM calls, ${trace.totalTokens} tokens${cost}, ${trace.toolCalls} tool calls, ${trace.durationMs} ms`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flag = (name) => args.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  let provider;
+  try {
+    provider = createProvider({ provider: flag('provider'), model: flag('model'), baseUrl: flag('base-url') });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  const model = provider.model;
+  const userInput = args.filter((a) => !/^--(provider|model|base-url)=/.test(a)).join(' ').trim();
+
+  console.error(`LLM: ${provider.name} (${model}). Connecting to MCP web-scraper...`);
+  const mcpClient = await connectMcp();
+  const { tools } = await mcpClient.listTools();
+  const toolsOpenAI = mcpToolsToOpenAI(tools);
+  console.error(`Loaded ${tools.length} MCP tools: ${tools.map((t) => t.name).join(', ')}`);
 
   if (userInput) {
     const messages = [
-      { role: 'system', content: systemPrompt },
+      { role: 'system', content: SYSTEM_PROMPT },
       { role: 'user', content: userInput },
     ];
-    const out = await runAgentTurn(apiKey, mcpClient, toolsOpenAI, messages, model);
-    console.log(out);
+    const out = await runAgentTurn(null, mcpClient, toolsOpenAI, messages, model, null, { provider });
+    printTrace(out.trace);
+    console.log(out.reply ?? `(${out.stop.message})`);
     await mcpClient.close();
+    if (out.stop.reason !== 'completed') process.exitCode = 2;
     return;
   }
 
   const rl = createInterface({ input: process.stdin, output: process.stdout });
-  const messages = [{ role: 'system', content: systemPrompt }];
+  // the history keeps tool results across turns; the budget compacts it, the store keeps full results readable
+  let messages = [{ role: 'system', content: SYSTEM_PROMPT }];
+  const resultStore = createResultStore();
 
   const ask = () => rl.question('You: ', async (line) => {
     const text = line?.trim();
@@ -199,9 +422,10 @@ You can also use web_scraper_fetch_contract to get the contract first (to know w
     }
     messages.push({ role: 'user', content: text });
     try {
-      const out = await runAgentTurn(apiKey, mcpClient, toolsOpenAI, messages, model);
-      console.log('Agent:', out);
-      messages.push({ role: 'assistant', content: out });
+      const out = await runAgentTurn(null, mcpClient, toolsOpenAI, messages, model, null, { provider, resultStore });
+      printTrace(out.trace);
+      console.log('Agent:', out.reply ?? `(${out.stop.message})`);
+      messages = out.messages;
     } catch (e) {
       console.error('Error:', e.message);
     }
@@ -212,7 +436,10 @@ You can also use web_scraper_fetch_contract to get the contract first (to know w
   ask();
 }
 
-main().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
+// Run the CLI only when executed directly (the benchmark runner imports this module)
+if (process.argv[1] && fileURLToPath(import.meta.url) === resolve(process.argv[1])) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
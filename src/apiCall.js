@@ -0,0 +1,41 @@
+/**
+ * Direct HTTP calls to site APIs (contract.apiEndpoints), checked against the safety policy:
+ * domain allow/deny lists, allowed methods, and confirmation for risky calls (DELETE, checkout/payment posts).
+ */
+
+import { classifyApiCall, enforcePolicy } from './policy.js';
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; AgentContractGenerator/1.0)';
+
+/**
+ * Call an API. Returns the parsed response, or the policy result (confirmation required / dry run) without calling.
+ * @param {{ method: string, url: string, body?: string, headers?: Record<string, string> }} request
+ * @param {{ confirmToken?: string, dryRun?: boolean, timeout?: number }} [options]
+ * @returns {Promise<{ status: number, ok: boolean, data: unknown }|Object>}
+ */
+export async function callApi(request, options = {}) {
+  const method = String(request.method || 'GET').toUpperCase();
+  const { url, body } = request;
+  if (!url) throw new Error('callApi: url is required');
+  const risk = classifyApiCall({ method, url, body });
+  const blocked = enforcePolicy({ type: 'call_api', target: `${method} ${url}`, details: body ?? null, url, method, risk }, options);
+  if (blocked) return blocked;
+
+  const opts = { method, headers: { 'User-Agent': USER_AGENT, ...request.headers } };
+  if (body && ['POST', 'PUT', 'PATCH'].includes(method)) {
+    opts.body = body;
+    if (!Object.keys(opts.headers).some((h) => h.toLowerCase() === 'content-type') && body.trim().startsWith('{')) {
+      opts.headers['Content-Type'] = 'application/json';
+    }
+  }
+  if (options.timeout) opts.signal = AbortSignal.timeout(options.timeout);
+  const res = await fetch(url, opts);
+  const text = await res.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    data = { _raw: text, _status: res.status };
+  }
+  return { status: res.status, ok: res.ok, data };
+}
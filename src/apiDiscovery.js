@@ -1,90 +1,402 @@
 /**
  * Capture XHR/fetch requests while loading a page (Playwright).
  * Returns list of API endpoints + sample payloads so the agent can call them directly.
+ * Endpoints are deduped by method + URL template (/products/{id}?page={page}) and, for GraphQL,
+ * by operationName. Each carries inferred request/response JSON Schemas and the auth headers,
+ * cookies and CSRF tokens the call was sent with (names only, never values).
+ * The capture can be exported as HAR (options.har) and rebuilt offline from a HAR (discoverFromHar).
  */
 
+import * as cheerio from 'cheerio';
 import { chromium } from 'playwright';
+import { pageHtml } from './accessibilityTree.js';
+import { exchangesToHar, loadHar } from './har.js';
+import { profileContextOptions } from './authProfiles.js';
+import { inferJsonSchema, mergeSchemas } from './schema.js';
+import { templatizeUrl } from './urlTemplate.js';
 
 const API_RESOURCE_TYPES = new Set(['xhr', 'fetch']);
+const MAX_RESPONSE_BYTES = 2 * 1024 * 1024;
+const MAX_SAMPLE_LENGTH = 2000;
+
+const AUTH_HEADERS = /^(authorization|proxy-authorization|x-api-key|api-key|x-auth-token|x-access-token|x-session-token|x-client-id)$/i;
+const CSRF_HEADERS = /^(x-csrf-token|x-xsrf-token|x-csrftoken|csrf-token|x-csrf|anti-csrf-token)$/i;
+const CSRF_FIELDS = /^(_csrf|csrf_?token|csrfmiddlewaretoken|authenticity_token|_token|__requestverificationtoken|xsrf_?token)$/i;
+
+/**
+ * Parse a request body: JSON, form-urlencoded, or null.
+ * @param {string|null} raw - Request body text
+ * @param {string} contentType
+ */
+function parseBody(raw, contentType) {
+  if (!raw) return null;
+  if (/json/i.test(contentType) || /^\s*[[{]/.test(raw)) {
+    try {
+      return JSON.parse(raw);
+    } catch (_) {}
+  }
+  if (/x-www-form-urlencoded/i.test(contentType)) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+  return null;
+}
+
+/**
+ * JSON Schema for a request body. Form values are always strings on the wire.
+ * @param {unknown} body
+ * @param {string} contentType
+ */
+function bodySchemaFor(body, contentType) {
+  if (body === null || body === undefined) return undefined;
+  if (/x-www-form-urlencoded/i.test(contentType)) {
+    return { type: 'object', properties: Object.fromEntries(Object.keys(body).map((k) => [k, { type: 'string' }])) };
+  }
+  return inferJsonSchema(body);
+}
+
+function operationType(query) {
+  const m = typeof query === 'string' && query.match(/^\s*(query|mutation|subscription)\b/);
+  return m ? m[1] : 'query';
+}
+
+function operationNameFromQuery(query) {
+  const m = typeof query === 'string' && query.match(/^\s*(?:query|mutation|subscription)\s+([_A-Za-z][_0-9A-Za-z]*)/);
+  return m ? m[1] : null;
+}
+
+/**
+ * GraphQL operations in a request (POST body, batched array, or GET ?query=&variables=).
+ * @param {URL} url
+ * @param {unknown} body
+ * @returns {Array<{ operationName: string|null, operationType: string, query?: string, persisted: boolean, variablesSchema: Object }>}
+ */
+function graphqlOperations(url, body) {
+  let ops = [];
+  if (body && typeof body === 'object') {
+    ops = (Array.isArray(body) ? body : [body]).filter((o) => o && typeof o === 'object' &&
+      (typeof o.query === 'string' || (o.operationName && 'variables' in o) || o.extensions?.persistedQuery));
+  } else if (url.searchParams.has('query') || (url.searchParams.has('operationName') && url.searchParams.has('extensions'))) {
+    let variables = {};
+    try {
+      variables = JSON.parse(url.searchParams.get('variables') || '{}');
+    } catch (_) {}
+    let extensions = null;
+    try {
+      extensions = JSON.parse(url.searchParams.get('extensions') || 'null');
+    } catch (_) {}
+    ops = [{ query: url.searchParams.get('query'), operationName: url.searchParams.get('operationName'), variables, extensions }];
+  }
+  return ops.map((o) => ({
+    operationName: o.operationName || operationNameFromQuery(o.query),
+    operationType: operationType(o.query),
+    ...(typeof o.query === 'string' && { query: o.query.replace(/\s+/g, ' ').trim().slice(0, MAX_SAMPLE_LENGTH) }),
+    persisted: !!o.extensions?.persistedQuery,
+    variablesSchema: inferJsonSchema(o.variables || {}),
+  }));
+}
+
+/**
+ * Names of auth headers, cookies and CSRF tokens a request carried. Token values are kept
+ * separately (csrfValues) only to find where the page got them from, then dropped.
+ * @param {Record<string, string>} headers - All request headers (lowercase names)
+ * @param {unknown} body
+ */
+function authInfo(headers, body) {
+  const authHeaders = Object.keys(headers).filter((h) => AUTH_HEADERS.test(h));
+  const scheme = headers.authorization?.match(/^(\w+)\s/)?.[1];
+  const cookies = (headers.cookie || '').split(';').map((c) => c.split('=')[0].trim()).filter(Boolean);
+  const csrf = [];
+  const csrfValues = [];
+  for (const [h, v] of Object.entries(headers)) {
+    if (CSRF_HEADERS.test(h)) {
+      csrf.push({ in: 'header', name: h });
+      csrfValues.push(v);
+    }
+  }
+  if (body && typeof body === 'object' && !Array.isArray(body)) {
+    for (const [k, v] of Object.entries(body)) {
+      if (CSRF_FIELDS.test(k) && typeof v === 'string') {
+        csrf.push({ in: 'body', name: k });
+        csrfValues.push(v);
+      }
+    }
+  }
+  if (!authHeaders.length && !cookies.length && !csrf.length) return { auth: undefined, csrfValues };
+  return {
+    auth: {
+      ...(authHeaders.length && { headers: authHeaders }),
+      ...(scheme && { scheme }),
+      ...(cookies.length && { cookies }),
+      ...(csrf.length && { csrf }),
+    },
+    csrfValues,
+  };
+}
+
+/**
+ * Where the page exposes CSRF tokens: meta tags, hidden inputs and cookies (value → source).
+ * @param {import('playwright').Page} page
+ * @returns {Promise<Map<string, string>>}
+ */
+async function csrfSources(page) {
+  const sources = new Map();
+  const inPage = await page.evaluate(() => {
+    const out = [];
+    document.querySelectorAll('meta[name]').forEach((m) => {
+      if (/csrf|xsrf/i.test(m.getAttribute('name'))) out.push([m.getAttribute('content'), `meta[name="${m.getAttribute('name')}"]`]);
+    });
+    document.querySelectorAll('input[type="hidden"][name]').forEach((i) => {
+      if (/csrf|xsrf|authenticity|verification|_token/i.test(i.name)) out.push([i.value, `input[name="${i.name}"]`]);
+    });
+    return out;
+  }).catch(() => []);
+  for (const [value, source] of inPage) if (value) sources.set(value, source);
+  for (const c of await page.context().cookies().catch(() => [])) {
+    if (/csrf|xsrf/i.test(c.name)) sources.set(decodeURIComponent(c.value), `cookie:${c.name}`);
+  }
+  return sources;
+}
 
 /**
- * Infer a minimal JSON schema from a request body (object).
- * @param {Object} obj
- * @returns {Object} schema like { key: "string" | "number" | "boolean" | "object" }
+ * CSRF token sources in static HTML (meta tags, hidden inputs) and Set-Cookie headers, for HAR input.
+ * @param {string} html
+ * @param {Array<Object>} exchanges
+ * @returns {Map<string, string>}
  */
-function inferSchemaFromBody(obj) {
-  if (obj === null || typeof obj !== 'object') {
-    return { _body: typeof obj };
+function csrfSourcesFromCapture(html, exchanges) {
+  const sources = new Map();
+  const $ = cheerio.load(html);
+  $('meta[name]').each((_, m) => {
+    const name = $(m).attr('name');
+    if (/csrf|xsrf/i.test(name) && $(m).attr('content')) sources.set($(m).attr('content'), `meta[name="${name}"]`);
+  });
+  $('input[type="hidden"][name]').each((_, i) => {
+    const name = $(i).attr('name');
+    if (/csrf|xsrf|authenticity|verification|_token/i.test(name) && $(i).attr('value')) sources.set($(i).attr('value'), `input[name="${name}"]`);
+  });
+  for (const e of exchanges) {
+    for (const line of (e.responseHeaders?.['set-cookie'] || '').split('\n')) {
+      const m = line.match(/^\s*([^=;\s]*(?:csrf|xsrf)[^=;\s]*)=([^;]*)/i);
+      if (m) sources.set(decodeURIComponent(m[2]), `cookie:${m[1]}`);
+    }
   }
-  const schema = {};
-  for (const [k, v] of Object.entries(obj)) {
-    if (v === null) schema[k] = 'string';
-    else if (Array.isArray(v)) schema[k] = 'array';
-    else if (typeof v === 'object') schema[k] = 'object';
-    else schema[k] = typeof v;
+  return sources;
+}
+
+/**
+ * Status, content type and body text of a Playwright response (body only for JSON/text; all text when wanted for HAR).
+ * @param {import('playwright').Response|null} response
+ * @param {boolean} [anyText] - Also read HTML, XML and other text bodies
+ */
+async function readResponse(response, anyText = false) {
+  if (!response) return { status: null, statusText: '', headers: {}, body: null };
+  const headers = await response.allHeaders().catch(() => ({}));
+  const readable = anyText ? /json|text|xml|javascript|graphql/i : /json/i;
+  let body = null;
+  if (readable.test(headers['content-type'] || '') && Number(headers['content-length'] || 0) <= MAX_RESPONSE_BYTES) {
+    try {
+      const buf = await response.body();
+      if (buf.length <= MAX_RESPONSE_BYTES) body = buf.toString('utf8');
+    } catch (_) {}
+  }
+  return { status: response.status(), statusText: response.statusText(), headers, body };
+}
+
+/**
+ * Fold one observed request into the endpoint list (merge with an earlier sample of the same template).
+ * @param {Map<string, Object>} endpoints
+ * @param {string} key - method + URL template (+ GraphQL operation)
+ * @param {Object} sample
+ */
+function addSample(endpoints, key, sample) {
+  const existing = endpoints.get(key);
+  if (!existing) {
+    endpoints.set(key, { ...sample, hits: 1 });
+    return;
+  }
+  existing.hits++;
+  if (sample.bodySchema) existing.bodySchema = mergeSchemas(existing.bodySchema || null, sample.bodySchema);
+  if (sample.graphql) existing.graphql.variablesSchema = mergeSchemas(existing.graphql.variablesSchema, sample.graphql.variablesSchema);
+  const res = existing.response;
+  if (sample.response.status != null && !res.statuses.includes(sample.response.status)) res.statuses.push(sample.response.status);
+  if (sample.response.schema) res.schema = mergeSchemas(res.schema || null, sample.response.schema);
+  if (sample.auth) existing.auth = { ...sample.auth, ...existing.auth };
+}
+
+/**
+ * Collector for observed API calls. Plain data in, so live capture and HAR files share it.
+ * record() takes { method, url, headers, postData, status, responseHeaders, responseBody }
+ * (header names lowercase); finish(csrfSources) returns the deduped endpoint list.
+ */
+export function createApiRecorder() {
+  const endpoints = new Map();
+  const csrfByEndpoint = new Map();
+
+  function record(exchange) {
+    const { method, headers = {}, postData = null, status = null, responseHeaders = {}, responseBody = null } = exchange;
+    const u = new URL(exchange.url);
+    const contentType = headers['content-type'] || '';
+    const body = parseBody(postData, contentType);
+    const tpl = templatizeUrl(u.toString());
+    const { auth, csrfValues } = authInfo(headers, body);
+    const responseType = (responseHeaders['content-type'] || '').slice(0, 80) || undefined;
+    let responseSchema;
+    if (responseBody && /json/i.test(responseType || '')) {
+      try {
+        responseSchema = inferJsonSchema(JSON.parse(responseBody));
+      } catch (_) {}
+    }
+
+    let sample = postData || undefined;
+    for (const v of csrfValues) if (sample && v) sample = sample.split(v).join('<csrf>');
+
+    const base = {
+      method,
+      url: u.toString(),
+      urlTemplate: tpl.template,
+      path: tpl.path,
+      pathParams: tpl.pathParams,
+      queryParams: tpl.queryParams,
+      postDataSample: sample?.slice(0, MAX_SAMPLE_LENGTH),
+      contentType: contentType.slice(0, 80) || undefined,
+      response: {
+        status,
+        statuses: status != null ? [status] : [],
+        contentType: responseType,
+        ...(responseSchema && { schema: responseSchema }),
+      },
+      ...(auth && { auth }),
+    };
+
+    const add = (key, entry) => {
+      addSample(endpoints, key, entry);
+      if (!csrfByEndpoint.has(key)) csrfByEndpoint.set(key, csrfValues);
+    };
+    const ops = graphqlOperations(u, body);
+    if (ops.length) {
+      // one endpoint per operation; the body is { query, operationName, variables }
+      for (const op of ops) add(`${method} ${tpl.template} ${op.operationName || op.query || ''}`, { ...base, graphql: op });
+      return;
+    }
+    add(`${method} ${tpl.template}`, { ...base, bodySchema: bodySchemaFor(body, contentType) });
   }
-  return schema;
+
+  /**
+   * @param {Map<string, string>} [sources] - CSRF token value → where the page exposes it
+   */
+  function finish(sources = new Map()) {
+    for (const [key, values] of csrfByEndpoint) {
+      const csrf = endpoints.get(key)?.auth?.csrf;
+      if (!csrf) continue;
+      csrf.forEach((token, i) => {
+        const source = sources.get(values[i]);
+        if (source) token.source = source;
+      });
+    }
+    return [...endpoints.values()];
+  }
+
+  return { record, finish };
 }
 
 /**
  * Fetch HTML and record all XHR/fetch requests (API calls) made during page load.
+ * With har: true the capture (main document + API calls) is also returned as a HAR log;
+ * auth headers, cookie values and password, payment and CSRF fields are redacted unless harRedact is false.
+ * With profile, the page loads with that auth profile's cookies and localStorage.
+ * extraction: 'accessibility' returns HTML annotated from the accessibility tree (accessibilityTree.js).
  * @param {string} url - Page URL
- * @param {{ waitUntil?: string, timeout?: number, waitAfterLoad?: number }} options
- * @returns {Promise<{ html: string, discoveredApis: Array<Object> }>}
+ * @param {{ waitUntil?: string, timeout?: number, waitAfterLoad?: number, har?: boolean, harRedact?: boolean, profile?: string, extraction?: 'dom'|'accessibility' }} options
+ * @returns {Promise<{ html: string, discoveredApis: Array<Object>, har?: Object }>}
  */
 export async function fetchWithApiDiscovery(url, options = {}) {
   const {
     waitUntil = 'domcontentloaded',
     timeout = 30000,
     waitAfterLoad = 2500,
+    har = false,
+    harRedact = true,
+    profile,
+    extraction,
   } = options;
+  const contextOptions = profileContextOptions(profile);
 
-  const discoveredApis = [];
-  const seen = new Set();
+  const recorder = createApiRecorder();
+  const exchanges = [];
+  const pending = [];
+  const started = new Map();
+  const startedDateTime = new Date().toISOString();
 
   const browser = await chromium.launch({ headless: true });
   try {
-    const page = await browser.newPage();
-
-    page.on('requestfinished', async (request) => {
-      const type = request.resourceType();
-      if (!API_RESOURCE_TYPES.has(type)) return;
-      const u = request.url();
-      const method = request.method();
-      const key = `${method} ${u}`;
-      if (seen.has(key)) return;
-      seen.add(key);
-
-      let postData = null;
-      let postDataJSON = null;
-      try {
-        postData = request.postData();
-        postDataJSON = request.postDataJSON();
-      } catch (_) {}
+    const page = await (await browser.newContext(contextOptions)).newPage();
 
-      const headers = request.headers();
-      const contentType = headers['content-type'] || '';
-
-      discoveredApis.push({
-        method,
-        url: u,
-        postDataSample: postData || undefined,
-        bodySchema: postDataJSON && typeof postDataJSON === 'object'
-          ? inferSchemaFromBody(postDataJSON)
-          : undefined,
-        contentType: contentType.slice(0, 80) || undefined,
-      });
+    page.on('request', (request) => started.set(request, Date.now()));
+    page.on('requestfinished', (request) => {
+      const resourceType = request.resourceType();
+      const isApi = API_RESOURCE_TYPES.has(resourceType);
+      const isDocument = har && resourceType === 'document' && request.frame() === page.mainFrame();
+      if (!isApi && !isDocument) return;
+      pending.push((async () => {
+        const response = await readResponse(await request.response(), har);
+        const exchange = {
+          method: request.method(),
+          url: request.url(),
+          headers: await request.allHeaders(),
+          postData: request.postData(),
+          status: response.status,
+          statusText: response.statusText,
+          responseHeaders: response.headers,
+          responseBody: response.body,
+          resourceType,
+          startedDateTime: new Date(started.get(request) || Date.now()).toISOString(),
+          time: Date.now() - (started.get(request) || Date.now()),
+        };
+        if (isApi) recorder.record(exchange);
+        if (har) exchanges.push(exchange);
+      })().catch(() => {}));
     });
 
     await page.goto(url, { waitUntil, timeout });
     await new Promise((r) => setTimeout(r, waitAfterLoad));
+    await Promise.all(pending);
 
-    const html = await page.content();
+    const discoveredApis = recorder.finish(await csrfSources(page));
+    const html = await pageHtml(page, extraction);
     return {
       html,
-      discoveredApis: [...discoveredApis],
+      discoveredApis,
+      ...(har && {
+        har: exchangesToHar(exchanges.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime)), {
+          url: page.url(),
+          title: await page.title().catch(() => ''),
+          html,
+          startedDateTime,
+          redact: harRedact,
+        }),
+      }),
     };
   } finally {
     await browser.close();
   }
 }
+
+/**
+ * Offline API discovery from a HAR (our export, browser devtools or a QA proxy): same apiEndpoints
+ * as a live capture, plus the page HTML for the DOM contract. See har.js for how the page is picked.
+ * @param {string|Object} input - HAR path, JSON string or parsed object
+ * @param {{ url?: string }} options
+ * @returns {{ url: string|null, title: string|null, html: string, discoveredApis: Array<Object> }}
+ */
+export function discoverFromHar(input, options = {}) {
+  const { url, title, html, exchanges, apiExchanges } = loadHar(input, options);
+  const recorder = createApiRecorder();
+  for (const exchange of apiExchanges) {
+    try {
+      recorder.record(exchange);
+    } catch (_) {
+      // unparseable URL (e.g. data: or blob: entries)
+    }
+  }
+  return { url, title, html, discoveredApis: recorder.finish(csrfSourcesFromCapture(html, exchanges)) };
+}
@@ -0,0 +1,133 @@
+/**
+ * Named auth profiles: Playwright storage state (cookies + localStorage) saved after a login
+ * and loaded into new browser contexts, so pages behind a login (cart, account, orders) can be
+ * fetched, executed and called through their APIs without logging in again.
+ * One JSON file per profile in AUTH_PROFILE_DIR (default .auth-profiles). The files hold live
+ * session cookies: keep the directory out of version control.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_DIR = '.auth-profiles';
+const NAME_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+
+function profileDir() {
+  return path.resolve(process.env.AUTH_PROFILE_DIR || DEFAULT_DIR);
+}
+
+/**
+ * File of a profile; the name is validated so it cannot escape the profile directory.
+ * @param {string} name
+ */
+export function profilePath(name) {
+  if (!NAME_RE.test(String(name)) || /^\.+$/.test(name)) {
+    throw new Error(`Invalid auth profile name "${name}" (letters, digits, "_", "-", "." only)`);
+  }
+  return path.join(profileDir(), `${name}.json`);
+}
+
+export function profileExists(name) {
+  return fs.existsSync(profilePath(name));
+}
+
+/**
+ * Stored storage state of a profile.
+ * @param {string} name
+ * @returns {{ cookies: Array<Object>, origins: Array<Object> }}
+ */
+export function loadProfile(name) {
+  const file = profilePath(name);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown auth profile "${name}". Log in with browser_launch({ profile }) and save it with browser_save_profile.`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Browser context options for a profile: its storage state, or {} when no profile is given.
+ * @param {string} [profile]
+ * @param {{ optional?: boolean }} options - optional: a missing profile starts empty instead of throwing
+ */
+export function profileContextOptions(profile, options = {}) {
+  if (!profile) return {};
+  if (options.optional && !profileExists(profile)) return {};
+  return { storageState: loadProfile(profile) };
+}
+
+/**
+ * Save a context's storage state under a profile name (overwrites).
+ * @param {string} name
+ * @param {import('playwright').BrowserContext} context
+ * @returns {Promise<{ profile: string, path: string, cookies: number, origins: number }>}
+ */
+export async function saveProfile(name, context) {
+  const file = profilePath(name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const state = await context.storageState();
+  fs.writeFileSync(file, JSON.stringify(state, null, 2), { encoding: 'utf8', mode: 0o600 });
+  return { profile: name, path: file, cookies: state.cookies.length, origins: state.origins.length };
+}
+
+/**
+ * Saved profiles with cookie counts and the domains they cover (no values).
+ */
+export function listProfiles() {
+  const dir = profileDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => {
+      const name = path.basename(f, '.json');
+      try {
+        const state = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+        const cookies = state.cookies || [];
+        return {
+          profile: name,
+          cookies: cookies.length,
+          domains: [...new Set(cookies.map((c) => c.domain.replace(/^\./, '')))],
+          origins: (state.origins || []).map((o) => o.origin),
+          savedAt: fs.statSync(path.join(dir, f)).mtime.toISOString(),
+        };
+      } catch (_) {
+        return { profile: name, error: 'unreadable' };
+      }
+    });
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} Whether a profile was removed
+ */
+export function deleteProfile(name) {
+  const file = profilePath(name);
+  if (!fs.existsSync(file)) return false;
+  fs.rmSync(file);
+  return true;
+}
+
+/**
+ * Cookie header for a request URL from stored cookies (domain, path, secure and expiry rules).
+ * @param {Array<{ name: string, value: string, domain: string, path?: string, secure?: boolean, expires?: number }>} cookies
+ * @param {string} url
+ * @returns {string} "a=1; b=2", or '' when none apply
+ */
+export function cookieHeader(cookies, url) {
+  const u = new URL(url);
+  const host = u.hostname.toLowerCase();
+  const now = Date.now() / 1000;
+  return cookies
+    .filter((c) => {
+      const domain = c.domain.toLowerCase();
+      const matchesDomain = domain.startsWith('.')
+        ? host === domain.slice(1) || host.endsWith(domain)
+        : host === domain;
+      const cookiePath = c.path || '/';
+      const matchesPath = u.pathname === cookiePath || u.pathname.startsWith(cookiePath.endsWith('/') ? cookiePath : `${cookiePath}/`);
+      const live = c.expires === undefined || c.expires < 0 || c.expires > now;
+      return matchesDomain && matchesPath && live && (!c.secure || u.protocol === 'https:' || host === 'localhost');
+    })
+    .sort((a, b) => (b.path || '/').length - (a.path || '/').length)
+    .map((c) => `${c.name}=${c.value}`)
+    .join('; ');
+}
@@ -0,0 +1,260 @@
+/**
+ * Local fixture server for benchmarks: the shop, account and SPA sites from sites.js with
+ * in-memory server-side state (carts, orders, logins, account settings), so task checkers can
+ * verify what an agent actually did instead of trusting its reply.
+ * Each browser gets a "sid" cookie; carts and logins are kept per sid.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import * as sites from './sites.js';
+
+const MAX_BODY = 1024 * 1024;
+
+/**
+ * Fresh server-side state. Users: demo / demo123.
+ * @returns {{ carts: Object, orders: Array<Object>, logins: Object, users: Object, spaCarts: Object, requests: number }}
+ */
+export function createFixtureState() {
+  return {
+    carts: {},
+    orders: [],
+    logins: {},
+    users: {
+      demo: { name: 'Demo User', password: 'demo123', settings: { newsletter: false, language: 'en' } },
+    },
+    spaCarts: {},
+    requests: 0,
+  };
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function send(res, status, body, headers = {}) {
+  const type = typeof body === 'string' ? 'text/html; charset=utf-8' : 'application/json; charset=utf-8';
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': type, 'Content-Length': Buffer.byteLength(text), ...headers });
+  res.end(text);
+}
+
+function redirect(res, location) {
+  res.writeHead(303, { Location: location, 'Content-Length': 0 });
+  res.end();
+}
+
+/**
+ * Form (urlencoded) or JSON request body as an object.
+ * @param {http.IncomingMessage} req
+ */
+async function readBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) throw httpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (/json/i.test(req.headers['content-type'] || '')) {
+    try {
+      return JSON.parse(text || '{}');
+    } catch (e) {
+      throw httpError(400, `Invalid JSON body: ${e.message}`);
+    }
+  }
+  return Object.fromEntries(new URLSearchParams(text));
+}
+
+function readSid(req) {
+  const match = /(?:^|;\s*)sid=([a-f0-9]+)/.exec(req.headers.cookie || '');
+  return match ? match[1] : null;
+}
+
+function cartCount(lines = []) {
+  return lines.reduce((n, l) => n + l.qty, 0);
+}
+
+/**
+ * Add a product line (merges with a line of the same variant).
+ * @param {Array<Object>} lines
+ * @param {{ sku: string, size?: string, color?: string, qty?: number|string }} item
+ * @returns {string|null} Error message, or null when added
+ */
+function addLine(lines, item) {
+  const product = sites.findProduct(item.sku);
+  if (!product) return `Unknown product "${item.sku}"`;
+  const qty = Math.max(1, Math.floor(Number(item.qty) || 1));
+  if (product.sizes.length && !product.sizes.includes(item.size)) return 'Please choose a size.';
+  const color = item.color || product.colors[0];
+  if (!product.colors.includes(color)) return `Color "${color}" is not available.`;
+  const size = product.sizes.length ? item.size : null;
+  const existing = lines.find((l) => l.sku === product.sku && l.size === size && l.color === color);
+  if (existing) existing.qty += qty;
+  else lines.push({ sku: product.sku, name: product.name, price: product.price, size, color, qty });
+  return null;
+}
+
+/**
+ * Create the fixture server (not listening yet).
+ * @param {ReturnType<typeof createFixtureState>} [state] - Shared with the task checkers; a fresh one when omitted
+ * @returns {http.Server & { state: Object }}
+ */
+export function createFixtureServer(state = createFixtureState()) {
+  async function route(req, res) {
+    state.requests++;
+    const url = new URL(req.url, 'http://fixture.local');
+    const { pathname } = url;
+    const method = req.method.toUpperCase();
+    let sid = readSid(req);
+    if (!sid) {
+      sid = crypto.randomBytes(8).toString('hex');
+      res.setHeader('Set-Cookie', `sid=${sid}; Path=/; HttpOnly; SameSite=Lax`);
+    }
+    const cart = state.carts[sid] || (state.carts[sid] = []);
+    const query = Object.fromEntries(url.searchParams);
+
+    if (pathname === '/') return redirect(res, '/shop/');
+
+    // Shop
+    if (pathname === '/shop/' && method === 'GET') return send(res, 200, sites.shopHome({ cartCount: cartCount(cart) }));
+    if (pathname === '/shop/search' && method === 'GET') {
+      return send(res, 200, sites.shopSearch({ query, results: sites.searchProducts(query), cartCount: cartCount(cart) }));
+    }
+    const productMatch = /^\/shop\/product\/([\w-]+)$/.exec(pathname);
+    if (productMatch && method === 'GET') {
+      const product = sites.findProduct(productMatch[1]);
+      if (!product) throw httpError(404, 'Product not found');
+      return send(res, 200, sites.shopProduct({ product, cartCount: cartCount(cart) }));
+    }
+    if (pathname === '/shop/cart/add' && method === 'POST') {
+      const body = await readBody(req);
+      const error = addLine(cart, body);
+      if (!error) return redirect(res, '/shop/cart');
+      const product = sites.findProduct(body.sku);
+      if (!product) throw httpError(404, error);
+      return send(res, 422, sites.shopProduct({ product, cartCount: cartCount(cart), error }));
+    }
+    if (pathname === '/shop/cart/remove' && method === 'POST') {
+      const { line } = await readBody(req);
+      cart.splice(Number(line), 1);
+      return redirect(res, '/shop/cart');
+    }
+    if (pathname === '/shop/cart' && method === 'GET') return send(res, 200, sites.shopCart({ lines: cart }));
+    if (pathname === '/shop/checkout' && method === 'GET') {
+      if (!cart.length) return redirect(res, '/shop/cart');
+      return send(res, 200, sites.shopCheckout({ lines: cart }));
+    }
+    if (pathname === '/shop/checkout' && method === 'POST') {
+      const body = await readBody(req);
+      if (!cart.length) return redirect(res, '/shop/cart');
+      const missing = ['name', 'email', 'address'].filter((k) => !String(body[k] || '').trim());
+      if (missing.length || !/@/.test(body.email)) {
+        return send(res, 422, sites.shopCheckout({ lines: cart, error: missing.length ? `Missing: ${missing.join(', ')}` : 'Invalid email address' }));
+      }
+      const order = {
+        id: `A${1000 + state.orders.length + 1}`,
+        sid,
+        user: state.logins[sid] || null,
+        name: body.name.trim(),
+        email: body.email.trim(),
+        address: body.address.trim(),
+        lines: cart.splice(0),
+        createdAt: new Date().toISOString(),
+      };
+      state.orders.push(order);
+      return redirect(res, `/shop/order/${order.id}`);
+    }
+    const orderMatch = /^\/shop\/order\/(\w+)$/.exec(pathname);
+    if (orderMatch && method === 'GET') {
+      const order = state.orders.find((o) => o.id === orderMatch[1] && o.sid === sid);
+      if (!order) throw httpError(404, 'Order not found');
+      return send(res, 200, sites.shopOrder({ order }));
+    }
+
+    // Account (login-gated)
+    const username = state.logins[sid];
+    const user = username ? state.users[username] : null;
+    if (pathname === '/account/login' && method === 'GET') return send(res, 200, sites.accountLogin({ next: query.next }));
+    if (pathname === '/account/login' && method === 'POST') {
+      const body = await readBody(req);
+      const candidate = state.users[body.username];
+      if (!candidate || candidate.password !== body.password) {
+        return send(res, 401, sites.accountLogin({ next: body.next, error: 'Wrong username or password.' }));
+      }
+      state.logins[sid] = body.username;
+      return redirect(res, /^\/account\//.test(body.next || '') ? body.next : '/account/');
+    }
+    if (pathname === '/account/logout' && method === 'POST') {
+      delete state.logins[sid];
+      return redirect(res, '/account/login');
+    }
+    if (pathname.startsWith('/account/')) {
+      if (!user) return redirect(res, `/account/login?next=${encodeURIComponent(pathname)}`);
+      if (pathname === '/account/' && method === 'GET') return send(res, 200, sites.accountHome({ user }));
+      if (pathname === '/account/settings' && method === 'GET') return send(res, 200, sites.accountSettings({ user, saved: query.saved === '1' }));
+      if (pathname === '/account/settings' && method === 'POST') {
+        const body = await readBody(req);
+        user.settings.newsletter = body.newsletter === 'on';
+        if (['en', 'de', 'fr'].includes(body.language)) user.settings.language = body.language;
+        return redirect(res, '/account/settings?saved=1');
+      }
+      if (pathname === '/account/orders' && method === 'GET') {
+        return send(res, 200, sites.accountOrders({ orders: state.orders.filter((o) => o.user === username) }));
+      }
+    }
+
+    // SPA
+    if (pathname === '/spa/' && method === 'GET') return send(res, 200, sites.spaShell());
+    if (pathname.startsWith('/spa/api/')) {
+      const spaCart = state.spaCarts[sid] || (state.spaCarts[sid] = []);
+      if (pathname === '/spa/api/products' && method === 'GET') {
+        return send(res, 200, { products: sites.searchProducts({ q: query.q }).map(({ sku, name, price }) => ({ sku, name, price })) });
+      }
+      if (pathname === '/spa/api/cart' && method === 'GET') return send(res, 200, { items: spaCart });
+      if (pathname === '/spa/api/cart' && method === 'POST') {
+        const error = addLine(spaCart, await readBody(req));
+        if (error) return send(res, 422, { ok: false, error });
+        return send(res, 200, { ok: true, items: spaCart });
+      }
+    }
+
+    throw httpError(404, `No route for ${method} ${pathname}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch((err) => {
+      const status = err.status || 500;
+      if (status >= 500) console.error(err);
+      if (req.url.startsWith('/spa/api/')) send(res, status, { ok: false, error: err.message });
+      else send(res, status, `<!DOCTYPE html><html><body><h1>${status}</h1><p>${sites.escapeHtml(err.message)}</p></body></html>`);
+    });
+  });
+  server.state = state;
+  return server;
+}
+
+/**
+ * Create the fixture server and start listening (port 0 = any free port).
+ * @param {{ port?: number, host?: string, state?: Object }} options
+ * @returns {Promise<http.Server & { state: Object, url: string }>} url: base URL, e.g. http://127.0.0.1:40123
+ */
+export async function startFixtureServer(options = {}) {
+  const { port = 0, host = '127.0.0.1', state } = options;
+  const server = createFixtureServer(state);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  server.url = `http://${host}:${server.address().port}`;
+  return server;
+}
+
+/**
+ * Reset the state in place (the server and checkers keep their reference).
+ * @param {Object} state
+ */
+export function resetFixtureState(state) {
+  Object.assign(state, createFixtureState());
+}
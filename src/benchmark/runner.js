@@ -0,0 +1,198 @@
+/**
+ * Benchmark runner: starts the fixture server, runs each task through the MCP server and checks
+ * the server-side state afterwards. Two modes:
+ *   script - replay the task's reference plan as MCP tool calls (measures the executor alone)
+ *   agent  - run the agent loop (agent.js) with an LLM provider; "scripted" is the mock provider issuing
+ *            the same plan as tool calls, so the loop, tracing and token accounting run without an API key
+ * Confirmation prompts of the safety policy are approved as a user would (the call is repeated
+ * with its confirm_token). Reports success rate, steps, tokens and wall time per task and overall.
+ */
+
+import { startFixtureServer, resetFixtureState } from './fixtureServer.js';
+import { selectTasks } from './tasks.js';
+import { createTracer } from '../tracing.js';
+import { createProvider, estimateTokens, PROVIDERS } from '../llmProviders.js';
+
+/** Replace "{{base}}" in every string of a step's arguments. */
+function withBase(args, base) {
+  return JSON.parse(JSON.stringify(args), (_, v) => (typeof v === 'string' ? v.replaceAll('{{base}}', base) : v));
+}
+
+function resultText(result) {
+  return (result.content || []).filter((c) => c.type === 'text').map((c) => c.text).join('\n');
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Mock provider that replays the task's reference plan and approves confirmations.
+ * @param {Object} task
+ * @param {string} base - Fixture server URL
+ */
+function scriptedProvider(task, base) {
+  return createProvider({
+    provider: 'mock',
+    model: 'scripted',
+    script: task.script.map((step) => ({ tool: step.tool, args: withBase(step.args, base) })),
+    autoConfirm: true,
+  });
+}
+
+/**
+ * Replay a task script through MCP. Stops at the first failing tool call.
+ * @returns {Promise<{ steps: number, confirmations: number, observationTokens: number, error?: string }>}
+ */
+async function runScript(client, task, base, tracer, options) {
+  const out = { steps: 0, confirmations: 0, observationTokens: 0 };
+  for (const [turn, step] of task.script.entries()) {
+    let args = withBase(step.args, base);
+    if (step.tool === 'browser_launch' && options.headed) args = { ...args, headed: true };
+    for (;;) {
+      const started = Date.now();
+      const result = await client.callTool({ name: step.tool, arguments: args });
+      const text = resultText(result);
+      out.steps++;
+      out.observationTokens += estimateTokens(text);
+      tracer.toolCall({ turn, name: step.tool, args, durationMs: Date.now() - started, resultBytes: Buffer.byteLength(text), isError: !!result.isError });
+      if (result.isError) return { ...out, error: `${step.tool}: ${text.split('\n')[0].slice(0, 300)}` };
+      const data = parseJson(text);
+      if (!data?.requires_confirmation || !data.confirm_token || data.dry_run || args.confirm_token) break;
+      out.confirmations++;
+      args = { ...args, confirm_token: data.confirm_token };
+    }
+  }
+  return out;
+}
+
+/**
+ * Run one task with the agent loop (which finishes the tracer).
+ * @returns {Promise<{ reply: string|null, stop: Object }>} runAgentTurn result
+ */
+async function runAgentTask(client, toolsOpenAI, task, base, tracer, options) {
+  const { runAgentTurn, SYSTEM_PROMPT } = await import('../agent.js');
+  const messages = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `${task.prompt}\nThe site is at ${base}${task.start}` },
+  ];
+  const provider = options.provider || scriptedProvider(task, base);
+  return runAgentTurn(null, client, toolsOpenAI, messages, provider.model, tracer, { provider });
+}
+
+/**
+ * Run benchmark tasks.
+ * @param {{ tasks?: string[], mode?: 'script'|'agent', llm?: string, model?: string, apiKey?: string, baseUrl?: string,
+ *   headed?: boolean, policy?: boolean, traceDir?: string, onResult?: (result: Object) => void }} options
+ *   tasks: task ids (default all); llm: model of agent mode, "scripted" (default: a mock provider replaying each
+ *   task's plan) or a provider name from llmProviders.js (model, apiKey, baseUrl go to that provider);
+ *   policy: false turns the safety policy off in the MCP server
+ * @returns {Promise<{ mode: string, llm: string|null, model: string|null, results: Array<Object>, summary: Object }>}
+ */
+export async function runBenchmark(options = {}) {
+  const { mode = 'script', llm = 'scripted', traceDir, onResult } = options;
+  if (!['script', 'agent'].includes(mode)) throw new Error(`Unknown benchmark mode "${mode}" (use script or agent)`);
+  if (mode === 'agent' && llm !== 'scripted' && !PROVIDERS.includes(llm)) {
+    throw new Error(`Unknown benchmark llm "${llm}" (use scripted, ${PROVIDERS.join(', ')})`);
+  }
+  const provider = mode === 'agent' && llm !== 'scripted'
+    ? createProvider({ provider: llm, model: options.model, apiKey: options.apiKey, baseUrl: options.baseUrl })
+    : null;
+  const model = mode === 'agent' ? (provider ? provider.model : 'scripted') : null;
+  const tasks = selectTasks(options.tasks);
+
+  const server = await startFixtureServer();
+  const { connectMcp, mcpToolsToOpenAI } = await import('../agent.js');
+  const client = await connectMcp({ env: { ...process.env, ...(options.policy === false && { AGENT_POLICY: 'off' }) } });
+  const results = [];
+  try {
+    const toolsOpenAI = mode === 'agent' ? mcpToolsToOpenAI((await client.listTools()).tools) : null;
+    for (const task of tasks) {
+      resetFixtureState(server.state);
+      const tracer = createTracer({ dir: traceDir, meta: { model: model || 'script', input: task.prompt, benchmark: { task: task.id, mode } } });
+      let summary = null;
+      const traced = { ...tracer, finish: (status) => (summary = tracer.finish(status)) };
+      const started = Date.now();
+      const result = { id: task.id, site: task.site, success: false };
+      try {
+        if (mode === 'script') {
+          const run = await runScript(client, task, server.url, traced, options);
+          traced.finish({ status: run.error ? 'error' : 'ok', ...(run.error && { error: run.error }) });
+          Object.assign(result, run, { llmCalls: 0, tokens: null });
+        } else {
+          const { reply, stop } = await runAgentTask(client, toolsOpenAI, task, server.url, traced, { provider });
+          Object.assign(result, {
+            steps: summary.toolCalls,
+            confirmations: null,
+            observationTokens: Math.ceil(Object.values(summary.tools).reduce((n, t) => n + t.resultBytes, 0) / 4),
+            llmCalls: summary.llmCalls,
+            tokens: summary.totalTokens,
+            cost: summary.cost,
+            status: stop.reason,
+            reply: reply ?? stop.message,
+          });
+        }
+      } catch (e) {
+        result.error = e.message;
+        if (!summary) traced.finish({ status: 'error', error: e.message });
+      } finally {
+        await client.callTool({ name: 'browser_close', arguments: { all: true } }).catch(() => {});
+      }
+      result.wallMs = Date.now() - started;
+      Object.assign(result, task.check(server.state));
+      result.trace = tracer.file;
+      results.push(result);
+      if (onResult) onResult(result);
+    }
+  } finally {
+    await client.close().catch(() => {});
+    await new Promise((resolve) => server.close(resolve));
+  }
+  return { mode, llm: mode === 'agent' ? llm : null, model, results, summary: summarizeBenchmark(results) };
+}
+
+/**
+ * Success rate and totals/means of steps, tokens and wall time over task results.
+ * @param {Array<Object>} results
+ */
+export function summarizeBenchmark(results) {
+  const stat = (key) => {
+    const values = results.map((r) => r[key]).filter((v) => typeof v === 'number');
+    if (!values.length) return null;
+    const total = values.reduce((a, b) => a + b, 0);
+    return { total, mean: Number((total / values.length).toFixed(1)) };
+  };
+  const succeeded = results.filter((r) => r.success).length;
+  return {
+    tasks: results.length,
+    succeeded,
+    successRate: results.length ? Number((succeeded / results.length).toFixed(3)) : null,
+    steps: stat('steps'),
+    confirmations: stat('confirmations'),
+    llmCalls: stat('llmCalls'),
+    tokens: stat('tokens'),
+    observationTokens: stat('observationTokens'),
+    wallMs: stat('wallMs'),
+  };
+}
+
+/**
+ * Human-readable table of a runBenchmark report.
+ * @param {{ mode: string, llm?: string|null, model?: string|null, results: Array<Object>, summary: Object }} report
+ */
+export function formatBenchmarkReport(report) {
+  const { summary } = report;
+  const header = `Benchmark (${report.mode}${report.model ? `, model ${report.model}` : ''}): ${summary.succeeded}/${summary.tasks} succeeded`;
+  const lines = [header, `${'task'.padEnd(22)}${'ok'.padStart(4)}${'steps'.padStart(7)}${'tokens'.padStart(9)}${'obs tok'.padStart(9)}${'ms'.padStart(8)}  detail`];
+  for (const r of report.results) {
+    lines.push(`${r.id.padEnd(22)}${(r.success ? 'yes' : 'no').padStart(4)}${String(r.steps ?? '-').padStart(7)}${String(r.tokens ?? '-').padStart(9)}` +
+      `${String(r.observationTokens ?? '-').padStart(9)}${String(r.wallMs).padStart(8)}  ${r.error ? `error: ${r.error}` : r.detail}`);
+  }
+  const mean = (s) => (s ? String(s.mean) : '-');
+  lines.push(`${'mean'.padEnd(22)}${''.padStart(4)}${mean(summary.steps).padStart(7)}${mean(summary.tokens).padStart(9)}${mean(summary.observationTokens).padStart(9)}${mean(summary.wallMs).padStart(8)}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,285 @@
+/**
+ * Pages of the benchmark fixture sites (served by fixtureServer.js):
+ *   /shop/     classic server-rendered shop: search, price/color filters, product variants, cart, checkout
+ *   /account/  login-gated account area: settings form behind a username/password login
+ *   /spa/      single-page app: one HTML shell, products and cart through a JSON API
+ * Markup is deliberately plain HTML so contracts, snapshots and screenshots all see the same page.
+ */
+
+export const PRODUCTS = [
+  { sku: 'TB-100', name: 'Alpine Trekking Boot', category: 'shoes', price: 89, colors: ['black', 'brown'], sizes: ['39', '40', '41', '42', '43', '44'] },
+  { sku: 'TB-200', name: 'Summit Trekking Boot Pro', category: 'shoes', price: 149, colors: ['black', 'grey'], sizes: ['40', '41', '42', '43', '44', '45'] },
+  { sku: 'TS-300', name: 'Trail Trekking Shoe', category: 'shoes', price: 79, colors: ['blue', 'grey'], sizes: ['38', '39', '40', '41', '42'] },
+  { sku: 'HS-400', name: 'Hiking Sandal', category: 'shoes', price: 45, colors: ['brown'], sizes: ['39', '40', '41', '42', '43'] },
+  { sku: 'RJ-500', name: 'Storm Rain Jacket', category: 'clothing', price: 120, colors: ['red', 'green', 'black'], sizes: ['S', 'M', 'L', 'XL'] },
+  { sku: 'DP-600', name: 'Daypack 20L', category: 'bags', price: 59, colors: ['black', 'orange'], sizes: [] },
+  { sku: 'DL-700', name: 'Desk Lamp', category: 'home', price: 35, colors: ['white', 'black'], sizes: [] },
+  { sku: 'FL-800', name: 'Floor Lamp', category: 'home', price: 85, colors: ['white'], sizes: [] },
+];
+
+export function findProduct(sku) {
+  return PRODUCTS.find((p) => p.sku === sku) || null;
+}
+
+/**
+ * Catalog search: every query word must appear in the name or category; optional price range and color.
+ * @param {{ q?: string, min_price?: string|number, max_price?: string|number, color?: string }} query
+ */
+export function searchProducts(query = {}) {
+  const words = String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean)
+    .map((w) => w.replace(/s$/, ''));
+  const min = query.min_price === '' || query.min_price == null ? null : Number(query.min_price);
+  const max = query.max_price === '' || query.max_price == null ? null : Number(query.max_price);
+  return PRODUCTS.filter((p) => {
+    const text = `${p.name} ${p.category}`.toLowerCase();
+    if (!words.every((w) => text.includes(w))) return false;
+    if (min != null && !Number.isNaN(min) && p.price < min) return false;
+    if (max != null && !Number.isNaN(max) && p.price > max) return false;
+    return !query.color || p.colors.includes(query.color);
+  });
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function layout(title, body, nav = '') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body>
+<header>${nav}</header>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+function shopNav(cartCount) {
+  return `<nav><a href="/shop/">Home</a> <a href="/shop/cart">Cart (${cartCount})</a> <a href="/account/">My account</a></nav>`;
+}
+
+function searchForm(q = '') {
+  return `<form action="/shop/search" method="get" role="search">
+  <label for="q">Search products</label>
+  <input id="q" name="q" type="search" value="${escapeHtml(q)}" placeholder="e.g. trekking boots">
+  <button type="submit">Search</button>
+</form>`;
+}
+
+function money(value) {
+  return `$${Number(value).toFixed(2)}`;
+}
+
+export function shopHome({ cartCount }) {
+  const categories = [...new Set(PRODUCTS.map((p) => p.category))];
+  return layout('Outdoor Shop', `${searchForm()}
+<section>
+  <h2>Categories</h2>
+  <ul>${categories.map((c) => `<li><a href="/shop/search?q=${encodeURIComponent(c)}">${escapeHtml(c)}</a></li>`).join('')}</ul>
+</section>`, shopNav(cartCount));
+}
+
+export function shopSearch({ query, results, cartCount }) {
+  const colors = [...new Set(PRODUCTS.flatMap((p) => p.colors))].sort();
+  const filters = `<form action="/shop/search" method="get" aria-label="Filters">
+  <input type="hidden" name="q" value="${escapeHtml(query.q || '')}">
+  <label for="min_price">Min price</label>
+  <input id="min_price" name="min_price" type="number" min="0" value="${escapeHtml(query.min_price || '')}">
+  <label for="max_price">Max price</label>
+  <input id="max_price" name="max_price" type="number" min="0" value="${escapeHtml(query.max_price || '')}">
+  <label for="color">Color</label>
+  <select id="color" name="color">
+    <option value="">Any color</option>
+    ${colors.map((c) => `<option value="${c}"${c === query.color ? ' selected' : ''}>${c}</option>`).join('')}
+  </select>
+  <button type="submit">Apply filters</button>
+</form>`;
+  const list = results.length
+    ? `<ul class="results">${results.map((p) => `<li class="product">
+  <a href="/shop/product/${p.sku}">${escapeHtml(p.name)}</a>
+  <span class="price">${money(p.price)}</span>
+  <span class="colors">${p.colors.join(', ')}</span>
+</li>`).join('\n')}</ul>`
+    : '<p class="empty">No products found.</p>';
+  return layout(`Results for "${query.q || ''}"`, `${searchForm(query.q)}
+${filters}
+<p>${results.length} product${results.length === 1 ? '' : 's'}</p>
+${list}`, shopNav(cartCount));
+}
+
+export function shopProduct({ product, cartCount, error }) {
+  const sizes = product.sizes.length
+    ? `<label for="size">Size</label>
+  <select id="size" name="size" required>
+    <option value="">Choose a size</option>
+    ${product.sizes.map((s) => `<option value="${s}">${s}</option>`).join('')}
+  </select>`
+    : '';
+  const colors = `<fieldset><legend>Color</legend>
+    ${product.colors.map((c, i) => `<label><input type="radio" name="color" value="${c}"${i === 0 ? ' checked' : ''}> ${c}</label>`).join('\n    ')}
+  </fieldset>`;
+  return layout(product.name, `<p class="price">${money(product.price)}</p>
+${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+<form action="/shop/cart/add" method="post">
+  <input type="hidden" name="sku" value="${product.sku}">
+  ${sizes}
+  ${colors}
+  <label for="qty">Quantity</label>
+  <input id="qty" name="qty" type="number" min="1" value="1">
+  <button type="submit">Add to cart</button>
+</form>
+<p><a href="/shop/search?q=${encodeURIComponent(product.category)}">More ${escapeHtml(product.category)}</a></p>`, shopNav(cartCount));
+}
+
+function lineText(line) {
+  return [line.name, line.size && `size ${line.size}`, line.color].filter(Boolean).join(', ');
+}
+
+export function shopCart({ lines }) {
+  const count = lines.reduce((n, l) => n + l.qty, 0);
+  if (!lines.length) return layout('Your cart', '<p class="empty">Your cart is empty.</p><p><a href="/shop/">Continue shopping</a></p>', shopNav(0));
+  const total = lines.reduce((n, l) => n + l.qty * l.price, 0);
+  return layout('Your cart', `<table>
+  <thead><tr><th>Item</th><th>Qty</th><th>Price</th><th></th></tr></thead>
+  <tbody>
+${lines.map((l, i) => `  <tr><td>${escapeHtml(lineText(l))}</td><td>${l.qty}</td><td>${money(l.price * l.qty)}</td>
+    <td><form action="/shop/cart/remove" method="post"><input type="hidden" name="line" value="${i}"><button type="submit">Remove</button></form></td></tr>`).join('\n')}
+  </tbody>
+</table>
+<p class="total">Total: ${money(total)}</p>
+<p><a href="/shop/checkout">Checkout</a> <a href="/shop/">Continue shopping</a></p>`, shopNav(count));
+}
+
+export function shopCheckout({ lines, error }) {
+  const total = lines.reduce((n, l) => n + l.qty * l.price, 0);
+  return layout('Checkout', `<p>${lines.length} item${lines.length === 1 ? '' : 's'}, total ${money(total)}</p>
+${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+<form action="/shop/checkout" method="post">
+  <label for="name">Full name</label>
+  <input id="name" name="name" required autocomplete="name">
+  <label for="email">Email</label>
+  <input id="email" name="email" type="email" required autocomplete="email">
+  <label for="address">Shipping address</label>
+  <textarea id="address" name="address" required></textarea>
+  <button type="submit">Place order</button>
+</form>`, shopNav(lines.reduce((n, l) => n + l.qty, 0)));
+}
+
+export function shopOrder({ order }) {
+  return layout(`Order ${order.id} confirmed`, `<p>Thank you, ${escapeHtml(order.name)}. A confirmation was sent to ${escapeHtml(order.email)}.</p>
+<ul>${order.lines.map((l) => `<li>${l.qty} × ${escapeHtml(lineText(l))}</li>`).join('')}</ul>
+<p><a href="/shop/">Back to the shop</a></p>`, shopNav(0));
+}
+
+const accountNav = '<nav><a href="/shop/">Shop</a> <a href="/account/">My account</a></nav>';
+
+export function accountLogin({ next, error }) {
+  return layout('Sign in', `${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+<form action="/account/login" method="post">
+  <input type="hidden" name="next" value="${escapeHtml(next || '/account/')}">
+  <label for="username">Username</label>
+  <input id="username" name="username" autocomplete="username" required>
+  <label for="password">Password</label>
+  <input id="password" name="password" type="password" autocomplete="current-password" required>
+  <button type="submit">Log in</button>
+</form>`, accountNav);
+}
+
+export function accountHome({ user }) {
+  return layout(`Welcome, ${user.name}`, `<ul>
+  <li><a href="/account/settings">Account settings</a></li>
+  <li><a href="/account/orders">Order history</a></li>
+</ul>
+<form action="/account/logout" method="post"><button type="submit">Log out</button></form>`, accountNav);
+}
+
+export function accountSettings({ user, saved }) {
+  const s = user.settings;
+  return layout('Account settings', `${saved ? '<p class="notice" role="status">Settings saved.</p>' : ''}
+<form action="/account/settings" method="post">
+  <label><input type="checkbox" name="newsletter" value="on"${s.newsletter ? ' checked' : ''}> Subscribe to the newsletter</label>
+  <label for="language">Language</label>
+  <select id="language" name="language">
+    ${['en', 'de', 'fr'].map((l) => `<option value="${l}"${l === s.language ? ' selected' : ''}>${l}</option>`).join('')}
+  </select>
+  <button type="submit">Save settings</button>
+</form>
+<p><a href="/account/">Back to my account</a></p>`, accountNav);
+}
+
+export function accountOrders({ orders }) {
+  const list = orders.length
+    ? `<ul>${orders.map((o) => `<li>Order ${o.id}: ${o.lines.map(lineText).map(escapeHtml).join('; ')}</li>`).join('')}</ul>`
+    : '<p class="empty">No orders yet.</p>';
+  return layout('Order history', `${list}<p><a href="/account/">Back to my account</a></p>`, accountNav);
+}
+
+/**
+ * SPA shell: the first response has no products at all; the script renders search results and
+ * the cart from /spa/api/* and routes with the URL hash (#/ and #/cart).
+ */
+export function spaShell() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Lamp Store</title></head>
+<body>
+<header><nav><a href="#/">Products</a> <a href="#/cart" id="cart-link">Cart (0)</a></nav></header>
+<main id="app"><p>Loading…</p></main>
+<script>
+const app = document.getElementById('app');
+const cartLink = document.getElementById('cart-link');
+const esc = (s) => String(s).replace(/[&<>"']/g, (c) => '&#' + c.charCodeAt(0) + ';');
+
+async function api(path, options) {
+  const res = await fetch('/spa/api/' + path, { headers: { 'Content-Type': 'application/json' }, ...options });
+  return res.json();
+}
+
+async function refreshCart() {
+  const cart = await api('cart');
+  cartLink.textContent = 'Cart (' + cart.items.reduce((n, i) => n + i.qty, 0) + ')';
+  return cart;
+}
+
+async function renderProducts(q) {
+  app.innerHTML = '<h1>Lamp Store</h1>' +
+    '<div role="search"><label for="spa-q">Search</label> <input id="spa-q" name="q" type="search" value="' + esc(q || '') + '">' +
+    ' <button type="button" id="spa-search">Search</button></div><ul id="products"></ul>';
+  const input = document.getElementById('spa-q');
+  const run = () => renderProducts(input.value);
+  document.getElementById('spa-search').addEventListener('click', run);
+  input.addEventListener('keydown', (e) => { if (e.key === 'Enter') run(); });
+  const { products } = await api('products?q=' + encodeURIComponent(q || ''));
+  const list = document.getElementById('products');
+  list.innerHTML = products.length
+    ? products.map((p) => '<li><span>' + esc(p.name) + '</span> <span>$' + p.price + '</span> ' +
+        '<button type="button" data-sku="' + p.sku + '" aria-label="Add ' + esc(p.name) + ' to cart">Add to cart</button></li>').join('')
+    : '<li>No products found.</li>';
+  list.querySelectorAll('button[data-sku]').forEach((b) => b.addEventListener('click', async () => {
+    await api('cart', { method: 'POST', body: JSON.stringify({ sku: b.dataset.sku, qty: 1 }) });
+    b.textContent = 'Added';
+    await refreshCart();
+  }));
+}
+
+async function renderCart() {
+  const cart = await refreshCart();
+  app.innerHTML = '<h1>Your cart</h1>' + (cart.items.length
+    ? '<ul>' + cart.items.map((i) => '<li>' + i.qty + ' × ' + esc(i.name) + '</li>').join('') + '</ul>'
+    : '<p>Your cart is empty.</p>');
+}
+
+function route() {
+  if (location.hash === '#/cart') renderCart();
+  else renderProducts('');
+}
+window.addEventListener('hashchange', route);
+refreshCart();
+route();
+</script>
+</body>
+</html>`;
+}
@@ -0,0 +1,120 @@
+/**
+ * Benchmark tasks on the fixture sites. Each task has:
+ *   prompt  - what the user asks the agent
+ *   start   - path to open first (relative to the fixture server)
+ *   check   - inspects the fixture server state (not the agent's reply) → { success, detail }
+ *   script  - a reference plan of MCP tool calls that solves the task; the scripted runner and the
+ *             scripted LLM replay it. "{{base}}" in string arguments is replaced by the server URL.
+ */
+
+const json = (value) => JSON.stringify(value);
+
+function allLines(carts) {
+  return Object.values(carts).flat();
+}
+
+/**
+ * @param {Array<Object>} lines
+ * @param {{ sku: string, size?: string, color?: string }} want
+ */
+function hasLine(lines, want) {
+  return lines.some((l) => l.sku === want.sku && (!want.size || l.size === want.size) && (!want.color || l.color === want.color));
+}
+
+function describeLines(lines) {
+  return lines.length ? lines.map((l) => `${l.qty}× ${l.sku}${l.size ? ` size ${l.size}` : ''}${l.color ? ` ${l.color}` : ''}`).join(', ') : 'none';
+}
+
+const BOOT = { sku: 'TB-100', size: '42', color: 'black' };
+
+const findBootSteps = [
+  { tool: 'browser_launch', args: {} },
+  { tool: 'browser_navigate', args: { url: '{{base}}/shop/' } },
+  { tool: 'browser_execute_action', args: { action: 'search_product', params_json: json({ query: 'trekking shoes' }) } },
+  { tool: 'browser_execute_action', args: { action: 'apply_filters', params_json: json({ q: 'trekking shoes', max_price: '100', color: 'black' }) } },
+  { tool: 'browser_click', args: { description_or_selector: 'Alpine Trekking Boot' } },
+  { tool: 'browser_execute_action', args: { action: 'select_variant', params_json: json({ size: BOOT.size, color: BOOT.color }) } },
+  { tool: 'browser_execute_action', args: { action: 'add_to_cart' } },
+];
+
+export const TASKS = [
+  {
+    id: 'shop-add-to-cart',
+    site: 'shop',
+    prompt: 'In the outdoor shop, find black trekking shoes under $100 and add them to the cart in size 42.',
+    start: '/shop/',
+    check(state) {
+      const lines = allLines(state.carts);
+      return { success: hasLine(lines, BOOT), detail: `cart lines: ${describeLines(lines)}` };
+    },
+    script: [...findBootSteps, { tool: 'browser_close', args: {} }],
+  },
+  {
+    id: 'shop-checkout',
+    site: 'shop',
+    prompt: 'Buy the black Alpine Trekking Boot in size 42 from the outdoor shop. Ship to Ada Lovelace, 12 St James Square, London, email ada@example.com.',
+    start: '/shop/',
+    check(state) {
+      const order = state.orders.find((o) => o.email === 'ada@example.com' && hasLine(o.lines, BOOT));
+      return {
+        success: !!order,
+        detail: order ? `order ${order.id}: ${describeLines(order.lines)}` : `${state.orders.length} order(s), none for ada@example.com with ${BOOT.sku}`,
+      };
+    },
+    script: [
+      ...findBootSteps,
+      { tool: 'browser_execute_action', args: { action: 'checkout' } },
+      {
+        tool: 'browser_execute_action',
+        args: { action: 'place_order', params_json: json({ name: 'Ada Lovelace', email: 'ada@example.com', address: '12 St James Square, London' }) },
+      },
+      { tool: 'browser_close', args: {} },
+    ],
+  },
+  {
+    id: 'account-newsletter',
+    site: 'account',
+    prompt: 'Log in to my shop account (username demo, password demo123) and subscribe to the newsletter in the account settings.',
+    start: '/account/settings',
+    check(state) {
+      const { settings } = state.users.demo;
+      return { success: settings.newsletter === true, detail: `newsletter: ${settings.newsletter}, language: ${settings.language}` };
+    },
+    script: [
+      { tool: 'browser_launch', args: {} },
+      { tool: 'browser_navigate', args: { url: '{{base}}/account/settings' } },
+      { tool: 'browser_execute_action', args: { action: 'log_in', params_json: json({ username: 'demo', password: 'demo123' }) } },
+      { tool: 'browser_execute_action', args: { action: 'save_settings', params_json: json({ newsletter: 'on' }) } },
+      { tool: 'browser_close', args: {} },
+    ],
+  },
+  {
+    id: 'spa-add-to-cart',
+    site: 'spa',
+    prompt: 'In the lamp store app, search for "lamp" and add the Desk Lamp to the cart.',
+    start: '/spa/',
+    check(state) {
+      const lines = allLines(state.spaCarts);
+      return { success: hasLine(lines, { sku: 'DL-700' }), detail: `cart lines: ${describeLines(lines)}` };
+    },
+    script: [
+      { tool: 'browser_launch', args: {} },
+      { tool: 'browser_navigate', args: { url: '{{base}}/spa/' } },
+      { tool: 'browser_fill', args: { field: 'Search', value: 'lamp' } },
+      { tool: 'browser_click', args: { description_or_selector: 'Search' } },
+      { tool: 'browser_click', args: { description_or_selector: 'Add Desk Lamp to cart' } },
+      { tool: 'browser_close', args: {} },
+    ],
+  },
+];
+
+/**
+ * Tasks by id (all when ids is empty).
+ * @param {string[]} [ids]
+ */
+export function selectTasks(ids = []) {
+  if (!ids.length) return TASKS;
+  const unknown = ids.filter((id) => !TASKS.some((t) => t.id === id));
+  if (unknown.length) throw new Error(`Unknown benchmark task(s): ${unknown.join(', ')}. Known: ${TASKS.map((t) => t.id).join(', ')}`);
+  return TASKS.filter((t) => ids.includes(t.id));
+}
@@ -1,45 +1,355 @@
 /**
- * Browser session: one Playwright browser + page, act like a human (click, fill, navigate).
+ * Browser sessions: Playwright browser contexts with tabs, act like a human (click, fill, navigate).
  * Contract = map of what actions exist; this module = execution in real browser.
+ * Each session has its own context (separate cookies/storage) and can hold several tabs;
+ * popups and new windows opened by a tab become new tabs and take focus.
+ * Functions take an optional sessionId; without one they use the most recently launched session.
+ * A session can start from a named auth profile (authProfiles.js) and save its cookies back to one.
+ * Clicks, fills, actions and navigation go through the safety policy (policy.js): risky ones return
+ * { requires_confirmation, confirm_token } instead of acting until repeated with options.confirmToken;
+ * options.dryRun classifies without acting.
  */
 
 import { chromium } from 'playwright';
 import * as cheerio from 'cheerio';
+import { generateContract } from './contractGenerator.js';
+import { resolveIntent } from './verticals/index.js';
+import { schemaFieldNames, validateParams } from './schema.js';
+import { pageHtml, readAccessibility, axHiddenReason } from './accessibilityTree.js';
+import { placement, hiddenReason } from './domParser.js';
+import { buildLocators } from './locators.js';
+import { diffSnapshots } from './snapshotDiff.js';
+import { profileContextOptions, saveProfile as saveProfileState } from './authProfiles.js';
+import { classifyAction, classifyElement, enforcePolicy, checkDomain, getPolicy, isSensitiveField } from './policy.js';
 
-let browser = null;
-let page = null;
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
-function hasPage() {
-  return page != null;
+/**
+ * Shared browser processes, one per mode; sessions are contexts inside them. Holds the launch promise,
+ * so concurrent launches share one process; cleared when the browser disconnects or fails to start.
+ * @type {{ headed: Promise<import('playwright').Browser>|null, headless: Promise<import('playwright').Browser>|null }}
+ */
+const browsers = { headed: null, headless: null };
+
+/**
+ * Browser of a mode, launched on first use.
+ * @param {'headed'|'headless'} mode
+ * @returns {Promise<import('playwright').Browser>}
+ */
+function sharedBrowser(mode) {
+  if (!browsers[mode]) {
+    const pending = chromium.launch({
+      headless: mode === 'headless',
+      args: mode === 'headed' ? [] : ['--no-sandbox'],
+    });
+    browsers[mode] = pending;
+    const forget = () => {
+      if (browsers[mode] === pending) browsers[mode] = null;
+    };
+    pending.then((browser) => browser.on('disconnected', forget), forget);
+  }
+  return browsers[mode];
 }
 
 /**
- * Launch browser (optionally headed so user can watch).
- * @param {{ headed?: boolean }} options
+ * Close the shared browser of a mode, if one was launched.
+ * @param {'headed'|'headless'} mode
  */
-export async function launch(options = {}) {
-  if (browser) return { ok: true, message: 'Browser already open' };
-  const { headed = false } = options;
-  browser = await chromium.launch({
-    headless: !headed,
-    args: headed ? [] : ['--no-sandbox'],
+async function closeBrowser(mode) {
+  const pending = browsers[mode];
+  browsers[mode] = null;
+  const browser = pending && await pending.catch(() => null);
+  if (browser) await browser.close();
+}
+/** @type {Map<string, { id: string, headed: boolean, profile: string|null, context: import('playwright').BrowserContext, tabs: Map<string, import('playwright').Page>, activeTab: string|null, nextTab: number, nextRef: number, createdAt: string }>} */
+const sessions = new Map();
+let nextSession = 1;
+let defaultSessionId = null;
+
+/**
+ * Resolve a session by id, or the default (most recent) session.
+ * @param {string} [sessionId]
+ */
+function getSession(sessionId) {
+  const id = sessionId || defaultSessionId;
+  if (!id || !sessions.has(id)) {
+    if (sessionId) throw new Error(`Unknown session "${sessionId}". Open sessions: ${[...sessions.keys()].join(', ') || 'none'}`);
+    throw new Error('Browser not launched. Call browser_launch first.');
+  }
+  return sessions.get(id);
+}
+
+/**
+ * Active page of a session.
+ * @param {string} [sessionId]
+ * @returns {import('playwright').Page}
+ */
+function getPage(sessionId) {
+  const session = getSession(sessionId);
+  const page = session.tabs.get(session.activeTab);
+  if (!page) throw new Error(`Session "${session.id}" has no open tab. Use browser_tabs to open one.`);
+  return page;
+}
+
+function hasPage(sessionId) {
+  try {
+    return getPage(sessionId) != null;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Register a page as a tab; popups/new windows call this through the context 'page' event.
+ * @param {Object} session
+ * @param {import('playwright').Page} page
+ */
+function addTab(session, page) {
+  for (const [id, p] of session.tabs) if (p === page) return id;
+  const tabId = `t${session.nextTab++}`;
+  session.tabs.set(tabId, page);
+  session.activeTab = tabId;
+  page.on('close', () => {
+    session.tabs.delete(tabId);
+    if (session.activeTab === tabId) session.activeTab = [...session.tabs.keys()].pop() || null;
+  });
+  page.on('dialog', (dialog) => {
+    const pending = pageState(page).nativeDialogs;
+    if (pending.length < 10) pending.push({ type: 'dialog', role: dialog.type(), text: dialog.message().slice(0, 200), native: true });
+    // listening turns off Playwright's auto-dismiss, so dismiss as it would
+    dialog.dismiss().catch(() => {});
+  });
+  page.on('framenavigated', (frame) => {
+    if (frame === page.mainFrame()) pageState(page).navigation++;
   });
+  return tabId;
+}
+
+/**
+ * In-page: what the policy needs to know about an element (label, link target, field and form fields).
+ * @param {Element} el
+ */
+function describeElement(el) {
+  const field = (f) => ({ name: f.name || f.id || '', type: (f.type || '').toLowerCase(), autocomplete: f.getAttribute('autocomplete') || '' });
+  const link = el.closest('a[href]');
+  const submits = el.matches('button:not([type="button"]):not([type="reset"]), input[type="submit"], input[type="image"]');
+  const form = submits ? el.form || el.closest('form') : null;
+  return {
+    text: (el.innerText || el.value || el.getAttribute('aria-label') || el.title || '').trim().slice(0, 200),
+    href: link ? link.href : null,
+    ...field(el),
+    formFields: form ? [...form.elements].filter((f) => f.name).map(field) : [],
+  };
+}
+
+/**
+ * Element at a viewport point, looking into (nested) frames: for an <iframe> at the point, the element
+ * at the same spot inside it. null when there is none.
+ * @param {import('playwright').Page} page
+ * @param {number} x
+ * @param {number} y
+ * @returns {Promise<import('playwright').ElementHandle|null>}
+ */
+async function elementAtPoint(page, x, y) {
+  let frame = page.mainFrame();
+  for (let depth = 0; depth < 10; depth++) {
+    const handle = (await frame.evaluateHandle(([px, py]) => document.elementFromPoint(px, py), [x, y])).asElement();
+    if (!handle) return null;
+    const inner = await handle.contentFrame();
+    if (!inner) return handle;
+    // frame content starts inside the border
+    const offset = await handle.evaluate((el) => {
+      const r = el.getBoundingClientRect();
+      return { x: r.left + el.clientLeft, y: r.top + el.clientTop };
+    });
+    await handle.dispose();
+    x -= offset.x;
+    y -= offset.y;
+    frame = inner;
+  }
+  throw new Error('frames nested too deeply');
+}
+
+/**
+ * describeElement for the first match of a locator. Throws when it cannot be read (not found or not
+ * rendered in time): an element the policy cannot see must not pass as low risk.
+ * @param {import('playwright').Locator} locator
+ * @param {string} target - What the caller asked for, for the error
+ */
+async function elementInfo(locator, target) {
+  try {
+    return await locator.first().evaluate(describeElement, null, { timeout: 5000 });
+  } catch (e) {
+    throw new Error(`Cannot check "${target}" against the safety policy: ${e.message.split('\n')[0]}`);
+  }
+}
+
+/**
+ * Policy check for an element the user is about to click or fill; null = go ahead.
+ * @param {import('playwright').Page} page
+ * @param {import('playwright').Locator} locator
+ * @param {string} type - click | fill
+ * @param {string} target - What the caller asked for (text, selector or field)
+ * @param {{ sessionId?: string, confirmToken?: string, dryRun?: boolean }} options
+ * @param {unknown} [values] - Values to fill; a confirmation holds only for these
+ */
+async function checkElement(page, locator, type, target, options, values) {
+  const info = getPolicy().enabled ? await elementInfo(locator, target) : {};
+  const risk = classifyElement(info, { pageUrl: page.url() });
+  return enforcePolicy({ type, target, sessionId: getSession(options.sessionId).id, url: info.href || undefined, values, risk }, options);
+}
+
+/**
+ * Launch a new browser session (optionally headed so user can watch).
+ * Returns session_id; pass it to other functions to drive this session.
+ * With profile, the session starts with that profile's cookies and localStorage; a profile that
+ * does not exist yet starts empty (log in, then saveProfile).
+ * @param {{ headed?: boolean, profile?: string }} options
+ */
+export async function launch(options = {}) {
+  const { headed = false, profile } = options;
+  const profileOptions = profileContextOptions(profile, { optional: true });
+  const mode = headed ? 'headed' : 'headless';
+  const browser = await sharedBrowser(mode);
   const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    userAgent: USER_AGENT,
     viewport: { width: 1280, height: 800 },
+    ...profileOptions,
   });
-  page = await context.newPage();
-  return { ok: true, message: headed ? 'Browser opened (visible)' : 'Browser opened (headless)' };
+  const session = {
+    id: `s${nextSession++}`,
+    headed,
+    profile: profile || null,
+    context,
+    tabs: new Map(),
+    activeTab: null,
+    nextTab: 1,
+    nextRef: 1,
+    createdAt: new Date().toISOString(),
+  };
+  sessions.set(session.id, session);
+  defaultSessionId = session.id;
+  context.on('page', (page) => addTab(session, page));
+  const page = await context.newPage();
+  addTab(session, page);
+  return {
+    ok: true,
+    session_id: session.id,
+    tab_id: session.activeTab,
+    ...(profile && { profile, profile_loaded: !!profileOptions.storageState }),
+    message: headed ? 'Browser opened (visible)' : 'Browser opened (headless)',
+  };
+}
+
+/**
+ * Save the session's cookies and localStorage as an auth profile (e.g. after logging in).
+ * @param {{ sessionId?: string, profile?: string }} options - profile defaults to the one the session was launched with
+ */
+export async function saveProfile(options = {}) {
+  const session = getSession(options.sessionId);
+  const name = options.profile || session.profile;
+  if (!name) throw new Error('saveProfile: pass a profile name (the session was launched without one)');
+  const saved = await saveProfileState(name, session.context);
+  session.profile = name;
+  return { ok: true, session_id: session.id, ...saved };
+}
+
+/**
+ * Cookies of a session that apply to a URL, for calling site APIs outside the browser.
+ * @param {string} url
+ * @param {{ sessionId?: string }} options
+ * @returns {Promise<Array<{ name: string, value: string, domain: string, path: string }>>}
+ */
+export async function sessionCookies(url, options = {}) {
+  const session = getSession(options.sessionId);
+  return session.context.cookies(url);
+}
+
+/**
+ * List open sessions.
+ */
+export function listSessions() {
+  return {
+    ok: true,
+    default_session_id: defaultSessionId,
+    sessions: [...sessions.values()].map((s) => ({
+      session_id: s.id,
+      headed: s.headed,
+      profile: s.profile,
+      tabs: s.tabs.size,
+      createdAt: s.createdAt,
+    })),
+  };
+}
+
+/**
+ * List tabs (including popups and new windows) of a session.
+ * @param {{ sessionId?: string }} options
+ */
+export async function listTabs(options = {}) {
+  const session = getSession(options.sessionId);
+  const tabs = [];
+  for (const [tabId, page] of session.tabs) {
+    tabs.push({
+      tab_id: tabId,
+      url: page.url(),
+      title: await page.title().catch(() => ''),
+      active: tabId === session.activeTab,
+    });
+  }
+  return { ok: true, session_id: session.id, tabs };
+}
+
+/**
+ * Make a tab the active one for subsequent actions.
+ * @param {string} tabId
+ * @param {{ sessionId?: string }} options
+ */
+export async function switchTab(tabId, options = {}) {
+  const session = getSession(options.sessionId);
+  const page = session.tabs.get(tabId);
+  if (!page) throw new Error(`Unknown tab "${tabId}" in session "${session.id}". Tabs: ${[...session.tabs.keys()].join(', ')}`);
+  session.activeTab = tabId;
+  await page.bringToFront();
+  return { ok: true, session_id: session.id, tab_id: tabId, url: page.url(), title: await page.title() };
+}
+
+/**
+ * Open a new tab (optionally at a URL); it becomes the active tab.
+ * @param {string} [url]
+ * @param {{ sessionId?: string }} options
+ */
+export async function newTab(url, options = {}) {
+  const session = getSession(options.sessionId);
+  if (url) checkDomain(url);
+  const page = await session.context.newPage();
+  const tabId = addTab(session, page);
+  if (url) await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  return { ok: true, session_id: session.id, tab_id: tabId, url: page.url() };
+}
+
+/**
+ * Close one tab of a session.
+ * @param {string} tabId
+ * @param {{ sessionId?: string }} options
+ */
+export async function closeTab(tabId, options = {}) {
+  const session = getSession(options.sessionId);
+  const page = session.tabs.get(tabId);
+  if (!page) throw new Error(`Unknown tab "${tabId}" in session "${session.id}"`);
+  await page.close();
+  return { ok: true, session_id: session.id, closed: tabId, active_tab: session.activeTab };
 }
 
 /**
  * Navigate to URL.
  * @param {string} url
- * @param {{ waitUntil?: 'load'|'domcontentloaded'|'networkidle', timeout?: number }} options
+ * @param {{ waitUntil?: 'load'|'domcontentloaded'|'networkidle', timeout?: number, sessionId?: string }} options
  */
 export async function navigate(url, options = {}) {
-  if (!page) throw new Error('Browser not launched. Call browser_launch first.');
+  const page = getPage(options.sessionId);
   const { waitUntil = 'domcontentloaded', timeout = 30000 } = options;
+  checkDomain(url);
   const res = await page.goto(url, { waitUntil, timeout });
   return {
     ok: true,
@@ -50,123 +360,720 @@ export async function navigate(url, options = {}) {
 }
 
 /**
- * Click element by visible text, aria-label, or CSS selector.
- * @param {string} descriptionOrSelector - e.g. "Add to cart", "Search", or "button#submit"
+ * Click element by snapshot ref, visible text, aria-label, or CSS selector.
+ * @param {string} descriptionOrSelector - e.g. "e17" (ref from getSnapshot), "Add to cart", "Search", or "button#submit"
+ * @param {{ sessionId?: string, confirmToken?: string, dryRun?: boolean }} [options]
  */
-export async function click(descriptionOrSelector) {
-  if (!page) throw new Error('Browser not launched. Call browser_launch first.');
+export async function click(descriptionOrSelector, options = {}) {
+  const page = getPage(options.sessionId);
   const s = String(descriptionOrSelector || '').trim();
   if (!s) throw new Error('click: description or selector is required');
+  const locator = (await refLocator(page, s)) || clickTarget(page, s);
+  const blocked = await checkElement(page, locator, 'click', s, options);
+  if (blocked) return blocked;
+  await locator.click({ timeout: 10000 });
+  return { ok: true, clicked: s };
+}
+
+/**
+ * Locator for click(): CSS selector when it looks like one, else button/link name or text.
+ * @param {import('playwright').Page|import('playwright').FrameLocator} scope
+ * @param {string} s
+ */
+function clickTarget(scope, s) {
   const looksLikeSelector = /^[#.\[]|[a-z]+\[|^input$|^button$/i.test(s) || s.includes('>>');
   let locator;
   if (looksLikeSelector && s.length < 200) {
     try {
-      locator = page.locator(s).first();
+      locator = scope.locator(s).first();
     } catch {
       locator = null;
     }
   }
   if (!locator) {
-    locator = page.getByRole('button', { name: s }).or(page.getByRole('link', { name: s })).or(page.getByText(s, { exact: false }).first());
+    locator = scope.getByRole('button', { name: s }).or(scope.getByRole('link', { name: s })).or(scope.getByText(s, { exact: false }).first());
   }
-  await locator.click({ timeout: 10000 });
-  return { ok: true, clicked: s };
+  return locator;
 }
 
 /**
- * Fill one input by label text, name, or selector.
- * @param {string} fieldIdentifier - label text, input name, or CSS selector
+ * Fill one input by snapshot ref, label text, name, or selector.
+ * @param {string} fieldIdentifier - ref from getSnapshot (e.g. "e5"), label text, input name, or CSS selector
  * @param {string} value
+ * @param {{ sessionId?: string, confirmToken?: string, dryRun?: boolean }} [options]
  */
-export async function fill(fieldIdentifier, value) {
-  if (!page) throw new Error('Browser not launched. Call browser_launch first.');
+export async function fill(fieldIdentifier, value, options = {}) {
+  const page = getPage(options.sessionId);
   const id = fieldIdentifier.trim();
+  const locator = (await refLocator(page, id)) || fieldTarget(page, id);
+  const blocked = await checkElement(page, locator, 'fill', id, options, String(value));
+  if (blocked) return blocked;
+  await locator.fill(String(value), { timeout: 8000 });
+  return { ok: true, field: id, value: String(value) };
+}
+
+/**
+ * Locator for a form field by name, label or placeholder.
+ * @param {import('playwright').Page} page
+ * @param {string} id
+ */
+function fieldTarget(page, id) {
   const byName = page.locator(`input[name="${id}"], select[name="${id}"], textarea[name="${id}"]`).first();
   const byLabel = page.getByLabel(id).first();
   const byPlaceholder = page.getByPlaceholder(id).first();
-  const locator = byName.or(byLabel).or(byPlaceholder);
-  await locator.fill(String(value), { timeout: 8000 });
-  return { ok: true, field: id, value: String(value) };
+  return byName.or(byLabel).or(byPlaceholder);
+}
+
+const REF_PATTERN = /^e\d+$/;
+// Set on an element in the page when a snapshot gives it a ref
+const REF_ATTR = 'data-agent-ref';
+
+/**
+ * Locator of an element ref from a snapshot of this tab, or null when s is not a ref. The ref is
+ * found by the attribute its element was tagged with. Throws when the ref is stale (the page
+ * navigated, or the element was removed or replaced since the snapshot that listed it) or unknown.
+ * @param {import('playwright').Page} page
+ * @param {string} s
+ * @returns {Promise<import('playwright').Locator|null>}
+ */
+async function refLocator(page, s) {
+  if (!REF_PATTERN.test(s)) return null;
+  const state = pageState(page);
+  const binding = state.refs.get(s);
+  if (state.staleRefs.has(s) || (binding && binding.navigation !== state.navigation)) {
+    throw new Error(`Stale ref "${s}": the page navigated since the snapshot that listed it (now at ${page.url()}). Call browser_snapshot for fresh refs.`);
+  }
+  if (!binding) {
+    throw new Error(state.goneRefs.has(s)
+      ? `Ref "${s}" is no longer on the page (missing from the latest snapshot). Call browser_snapshot for fresh refs.`
+      : `Unknown ref "${s}" for this tab. Refs come from browser_snapshot of the same tab.`);
+  }
+  const locator = scopeFor(page, binding).locator(`[${REF_ATTR}="${s}"]`);
+  const count = await locator.count().catch(() => 0);
+  if (count !== 1) {
+    throw new Error(`Stale ref "${s}" (${binding.label}): the element was removed or replaced since the snapshot that listed it. Call browser_snapshot for fresh refs.`);
+  }
+  return locator;
 }
 
 /**
- * Fill multiple form fields (e.g. search, filters). Keys = field name or label.
- * @param {Record<string, string>} fields - e.g. { "search": "trekking shoes", "size": "40" }
+ * Fill multiple form fields (e.g. search, filters). Keys = field name, label or snapshot ref.
+ * @param {Record<string, string>} fields - e.g. { "search": "trekking shoes", "size": "40" } or { "e5": "trekking shoes" }
+ * @param {{ sessionId?: string, confirmToken?: string, dryRun?: boolean }} [options]
  */
-export async function fillForm(fields) {
-  if (!page) throw new Error('Browser not launched. Call browser_launch first.');
+export async function fillForm(fields, options = {}) {
+  const page = getPage(options.sessionId);
+  const targets = await Promise.all(Object.entries(fields).map(async ([name, value]) => ({
+    name,
+    value,
+    locator: (await refLocator(page, name.trim())) || fieldTarget(page, name.trim()),
+  })));
+  // one policy decision (and one confirmation) for the whole form
+  const infos = getPolicy().enabled ? await Promise.all(targets.map((t) => elementInfo(t.locator, t.name))) : [];
+  const risk = classifyElement({ formFields: infos }, { pageUrl: page.url() });
+  const blocked = enforcePolicy({
+    type: 'fill',
+    target: targets.map((t) => t.name).join(', '),
+    sessionId: getSession(options.sessionId).id,
+    values: targets.map((t) => [t.name, String(t.value)]),
+    risk,
+  }, options);
+  if (blocked) return blocked;
   const results = [];
-  for (const [name, value] of Object.entries(fields)) {
-    await fill(name, value);
+  for (const { name, value, locator } of targets) {
+    await locator.fill(String(value), { timeout: 8000 });
     results.push({ field: name, value });
   }
   return { ok: true, filled: results };
 }
 
 /**
- * Snapshot of current page: interactive elements (buttons, links, forms) so agent knows what to do next.
- * Uses same idea as contract: list of clickables and form fields.
+ * Element of a same-name group whose value attribute equals value (works inside frames too).
+ * @param {import('playwright').Locator} group
+ * @param {string} value
+ */
+async function findByValue(group, value) {
+  for (const el of await group.all()) {
+    if (((await el.getAttribute('value')) ?? 'on') === value) return el;
+  }
+  return null;
+}
+
+/**
+ * Set a field's value according to its element type (select, checkbox/radio, or text-like).
+ * Radio values and checkbox arrays are matched by value attribute within the same-name group.
+ * @param {import('playwright').Locator} locator
+ * @param {unknown} value
+ * @param {import('playwright').Locator} [group] - All elements sharing the field's name
  */
-export async function getSnapshot() {
-  if (!page) throw new Error('Browser not launched. Call browser_launch first.');
-  const html = await page.content();
+async function setFieldValue(locator, value, group = locator) {
+  const { tag, type } = await locator.evaluate((el) => ({
+    tag: el.tagName.toLowerCase(),
+    type: (el.getAttribute('type') || '').toLowerCase(),
+  }), undefined, { timeout: 8000 });
+  if (tag === 'select') {
+    await locator.selectOption(Array.isArray(value) ? value.map(String) : String(value), { timeout: 8000 });
+  } else if (type === 'radio') {
+    const radio = await findByValue(group, String(value));
+    if (!radio) throw new Error(`No radio option with value "${value}"`);
+    await radio.check({ timeout: 8000 });
+  } else if (type === 'checkbox' && Array.isArray(value)) {
+    const wanted = value.map(String);
+    for (const box of await group.all()) {
+      const boxValue = (await box.getAttribute('value')) ?? 'on';
+      await box.setChecked(wanted.includes(boxValue), { timeout: 8000 });
+    }
+  } else if (type === 'checkbox') {
+    const checked = value === true || /^(true|on|1|yes)$/i.test(String(value));
+    await locator.setChecked(checked, { timeout: 8000 });
+  } else {
+    await locator.fill(String(value), { timeout: 8000 });
+  }
+}
+
+/**
+ * Where to look for an action's elements: the page, or the (nested) iframe it lives in.
+ * Shadow roots need no scoping: Playwright CSS and role locators pierce open shadow DOM.
+ * @param {import('playwright').Page} page
+ * @param {{ frame?: string[] }} action
+ * @returns {import('playwright').Page|import('playwright').FrameLocator}
+ */
+function scopeFor(page, action) {
+  return (action.frame || []).reduce((scope, selector) => scope.frameLocator(selector), page);
+}
+
+/**
+ * Resolve the first contract locator (highest ranked) that matches exactly one element.
+ * @param {import('playwright').Page|import('playwright').FrameLocator} page - Page or frame scope
+ * @param {Array<Object>} [locators] - Ranked locators from the contract (see locators.js)
+ * @returns {Promise<import('playwright').Locator|null>}
+ */
+async function resolveLocator(page, locators) {
+  for (const loc of locators || []) {
+    let candidate;
+    if (loc.strategy === 'css') candidate = page.locator(loc.value);
+    else if (loc.strategy === 'xpath') candidate = page.locator(`xpath=${loc.value}`);
+    else if (loc.strategy === 'role') candidate = page.getByRole(loc.role, { name: loc.name, exact: true });
+    else if (loc.strategy === 'label') candidate = page.getByLabel(loc.value, { exact: true });
+    else continue;
+    try {
+      if ((await candidate.count()) === 1) return candidate;
+    } catch (_) {}
+  }
+  return null;
+}
+
+/**
+ * Wait for navigation or DOM updates triggered by an action to settle.
+ * @param {import('playwright').Page} page
+ * @param {number} timeout
+ */
+async function waitForSettle(page, timeout) {
+  await page.waitForLoadState('domcontentloaded', { timeout }).catch(() => {});
+  await page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+}
+
+/**
+ * Execute a contract action by name in the live page: fill form inputs from params,
+ * submit or click the matching element, wait for the page to settle, return new state.
+ * If contract is null, a contract is generated from the current page (with vertical 'auto').
+ * actionName may also be a canonical intent (e.g. "add_to_cart") from contract.intents.
+ * extraction ('dom' or 'accessibility', see accessibilityTree.js) applies to that contract and the returned snapshot;
+ * snapshot: 'diff' returns only what changed on the page (see getSnapshot).
+ * @param {Object|null} contract - Output of generateContract
+ * @param {string} actionName - e.g. "search", "add_to_cart"
+ * @param {Record<string, unknown>} [params] - Values for the action schema fields
+ * @param {{ settleTimeout?: number, submit?: boolean, sessionId?: string, confirmToken?: string, dryRun?: boolean, extraction?: 'dom'|'accessibility', snapshot?: 'full'|'diff' }} [options] - submit: false fills a form without submitting
+ */
+export async function executeAction(contract, actionName, params = {}, options = {}) {
+  const page = getPage(options.sessionId);
+  const { settleTimeout = 5000 } = options;
+  let submit = options.submit !== false;
+  if (!contract) contract = generateContract(await pageHtml(page, options.extraction), { vertical: 'auto' });
+  let action = null;
+  const intent = resolveIntent(contract, actionName, params);
+  if (intent) {
+    action = contract.actions.find((a) => a.action === intent.action);
+    params = intent.params;
+    submit = submit && intent.submit;
+  } else {
+    action = (contract.actions || []).find((a) => a.action === actionName);
+  }
+  if (!action) {
+    const known = [...(contract.intents || []), ...(contract.actions || [])].map((a) => a.action).slice(0, 30).join(', ');
+    throw new Error(`executeAction: unknown action "${actionName}". Known actions: ${known}`);
+  }
+
+  const urlBefore = page.url();
+  const risk = classifyAction(action, { pageUrl: urlBefore });
+  const target = action.href ? new URL(action.href, urlBefore).toString() : undefined;
+  const blocked = enforcePolicy({ type: 'action', target: actionName, sessionId: getSession(options.sessionId).id, details: params, url: target, risk }, options);
+  if (blocked) return blocked;
+
+  const scope = scopeFor(page, action);
+  const fieldNames = schemaFieldNames(action.schema);
+  const kind = action.kind || (fieldNames.length ? 'form' : action.method === 'GET' ? 'link' : 'button');
+
+  if (kind === 'form') {
+    const unknown = Object.keys(params).filter((k) => !fieldNames.includes(k));
+    if (unknown.length) throw new Error(`executeAction: unknown params for "${actionName}": ${unknown.join(', ')}`);
+    // required fields may already be filled in the page (e.g. by select_variant), so only check given values
+    const errors = validateParams(action.schema, params, { partial: true });
+    if (errors.length) throw new Error(`executeAction: invalid params for "${actionName}": ${errors.join('; ')}`);
+    const form = (await resolveLocator(scope, action.locators)) || (fieldNames.length
+      ? scope.locator('form').filter({ has: scope.locator(`[name="${fieldNames[0]}"]`) }).first()
+      : scope.locator('form').filter({ hasText: action.submitLabel || '' }).first());
+    for (const name of fieldNames) {
+      if (params[name] === undefined) continue;
+      const group = form.locator(`[name="${name}"]`);
+      const field = (await resolveLocator(scope, action.fieldLocators?.[name])) || group.first();
+      await setFieldValue(field, params[name], group);
+    }
+    const submitControl = form.locator('button[type="submit"], input[type="submit"], button:not([type])').first();
+    if (!submit) {
+      // fill only (e.g. select_variant): leave submission to a later action
+    } else if (await submitControl.count()) {
+      await submitControl.click({ timeout: 10000 });
+    } else {
+      await form.evaluate((f) => f.requestSubmit());
+    }
+  } else {
+    const element = await resolveLocator(scope, action.locators);
+    if (element) {
+      await element.click({ timeout: 10000 });
+    } else if (kind === 'link' && action.href) {
+      const link = scope.locator(`a[href="${action.href}"]`).first();
+      if (await link.count()) {
+        await link.click({ timeout: 10000 });
+      } else if (!action.frame) {
+        await page.goto(new URL(action.href, urlBefore).toString(), { waitUntil: 'domcontentloaded' });
+      } else {
+        throw new Error(`executeAction: link "${actionName}" not found in frame ${action.frame.join(' > ')}`);
+      }
+    } else if (action.frame) {
+      await scope.getByText(action.description, { exact: false }).first().click({ timeout: 10000 });
+    } else {
+      // already checked against the policy as this action
+      await clickTarget(page, action.description).click({ timeout: 10000 });
+    }
+  }
+
+  await waitForSettle(page, settleTimeout);
+  const snapshot = await getSnapshot({ ...options, mode: options.snapshot });
+  return {
+    ok: true,
+    action: actionName,
+    navigated: snapshot.url !== urlBefore,
+    ...snapshot,
+  };
+}
+
+// Roles implied by a field's type; other roles (e.g. a checkbox acting as switch) are listed
+const FIELD_ROLES = ['textbox', 'searchbox', 'checkbox', 'radio', 'combobox', 'spinbutton', 'slider', 'listbox'];
+// Dialogs, alerts and toasts reported in snapshots (nested matches are covered by the outer one)
+const DIALOG_SELECTOR = 'dialog[open], [role="dialog"], [role="alertdialog"], [role="alert"], [role="status"], [aria-live="assertive"], [aria-live="polite"], [class*="toast"], [class*="snackbar"]';
+const SNAPSHOT_LIMITS = { buttons: 50, links: 80 };
+
+/**
+ * Role (when not the entry's usual one) and set states of an annotated element, for snapshot
+ * entries; empty without annotations.
+ * @param {ReturnType<typeof readAccessibility>} ax
+ * @param {string|string[]} [usualRoles]
+ * @param {string[]} [skipStates] - States reported elsewhere in the entry
+ */
+function snapshotAx(ax, usualRoles = [], skipStates = []) {
+  const states = Object.fromEntries(Object.entries(ax?.states || {}).filter(([k, v]) => v !== false && !skipStates.includes(k)));
+  return {
+    ...(ax?.role && ![].concat(usualRoles).includes(ax.role) && { role: ax.role }),
+    ...(Object.keys(states).length && { states }),
+  };
+}
+
+/**
+ * Current value of a snapshot field (live: HTML is serialized with liveValues, or the accessibility
+ * tree's value). Checkboxes and radios report their option value and checked; passwords, credential and
+ * payment fields (by name, id, autocomplete or label, see policy.js) nothing.
+ * @param {import('cheerio').Cheerio} $inp
+ * @param {ReturnType<typeof readAccessibility>} ax
+ */
+function fieldValue($inp, ax) {
+  const tag = $inp.prop('tagName')?.toLowerCase();
+  const type = ($inp.attr('type') || '').toLowerCase();
+  if (type === 'password' || type === 'file') return {};
+  const names = [$inp.attr('name'), $inp.attr('id'), $inp.attr('autocomplete'), ax?.name || $inp.attr('aria-label')];
+  if (names.some(isSensitiveField)) return {};
+  if (type === 'checkbox' || type === 'radio') {
+    const checked = ax?.states?.checked ?? $inp.attr('checked') != null;
+    return { value: $inp.attr('value') ?? 'on', checked: checked === true };
+  }
+  let value;
+  if (ax?.value != null) value = ax.value;
+  else if (tag === 'select') value = ($inp.find('option[selected]').first().attr('value') ?? $inp.find('option').first().attr('value'));
+  else if (tag === 'textarea') value = $inp.text();
+  else value = $inp.attr('value');
+  return value ? { value: String(value).slice(0, 100) } : {};
+}
+
+// Per page: the last snapshot (base of diff snapshots), native dialogs not reported yet, main-frame
+// navigations and element refs of the current document (ref → frame and label)
+const pageStates = new WeakMap();
+
+function pageState(page) {
+  if (!pageStates.has(page)) {
+    pageStates.set(page, {
+      last: null,
+      nativeDialogs: [],
+      navigation: 0,
+      refsNavigation: 0,
+      refs: new Map(),
+      goneRefs: new Set(),
+      staleRefs: new Set(),
+    });
+  }
+  return pageStates.get(page);
+}
+
+/**
+ * Give snapshot entries refs ("e17"). An element already tagged with a ref of this document keeps it
+ * (also when it left the page and came back); other elements get the next number of the session and
+ * are tagged in the page (REF_ATTR), so a ref never moves to another element. Entries whose element
+ * cannot be tagged are left without a ref. Refs of earlier documents become stale.
+ * @param {import('playwright').Page} page
+ * @param {Object} session
+ * @param {Map<Object, { el: Object, tag?: string, tagName: string, locate: () => Array<Object>, frame?: string[] }>} targets - readSnapshot targets
+ */
+async function assignRefs(page, session, targets) {
+  const state = pageState(page);
+  if (state.refsNavigation !== state.navigation) {
+    for (const ref of [...state.refs.keys(), ...state.goneRefs]) state.staleRefs.add(ref);
+    state.refs = new Map();
+    state.goneRefs = new Set();
+    state.refsNavigation = state.navigation;
+  }
+  const navigation = state.navigation;
+  const refs = new Map();
+  const byElement = new Map();
+  for (const [item, target] of targets) {
+    let ref = byElement.get(target.el);
+    if (!ref) {
+      const known = target.tag && (state.refs.has(target.tag) || state.goneRefs.has(target.tag));
+      ref = known && !refs.has(target.tag) ? target.tag : `e${session.nextRef++}`;
+      if (ref !== target.tag && !(await tagElement(scopeFor(page, target), target, ref))) {
+        delete item.ref;
+        continue;
+      }
+      byElement.set(target.el, ref);
+    }
+    item.ref = ref;
+    state.goneRefs.delete(ref);
+    refs.set(ref, { ...(target.frame && { frame: target.frame }), label: item.text || item.label, navigation });
+  }
+  for (const ref of state.refs.keys()) if (!refs.has(ref)) state.goneRefs.add(ref);
+  state.refs = refs;
+}
+
+/**
+ * Tag the element of a snapshot entry with its ref, found by its first locator that matches exactly
+ * one element of the same tag name. False when none does (e.g. the page changed meanwhile).
+ * @param {import('playwright').Page|import('playwright').FrameLocator} scope
+ * @param {{ tagName: string, locate: () => Array<Object> }} target
+ * @param {string} ref
+ */
+async function tagElement(scope, target, ref) {
+  for (const loc of target.locate()) {
+    let candidate;
+    if (loc.strategy === 'css') candidate = scope.locator(loc.value);
+    else if (loc.strategy === 'xpath') candidate = scope.locator(`xpath=${loc.value}`);
+    else if (loc.strategy === 'role') candidate = scope.getByRole(loc.role, { name: loc.name, exact: true });
+    else if (loc.strategy === 'label') candidate = scope.getByLabel(loc.value, { exact: true });
+    else continue;
+    const tagged = await candidate.evaluateAll((els, { attr, value, tagName }) => {
+      if (els.length !== 1 || els[0].localName !== tagName) return false;
+      els[0].setAttribute(attr, value);
+      return true;
+    }, { attr: REF_ATTR, value: ref, tagName: target.tagName }).catch(() => false);
+    if (tagged) return true;
+  }
+  return false;
+}
+
+/**
+ * Buttons, links, forms (with current field values) and open dialogs of the page, untruncated.
+ * Buttons, links and fields get `ref: null` (set by assignRefs); targets holds their element, the ref
+ * it is tagged with if any, and its ranked locators (built on demand) to tag it by.
+ * @param {import('playwright').Page} page
+ * @param {{ extraction?: 'dom'|'accessibility' }} options
+ * @returns {Promise<{ snapshot: Object, targets: Map<Object, { el: Object, tag?: string, tagName: string, locate: () => Array<Object>, frame?: string[] }> }>}
+ */
+async function readSnapshot(page, options) {
+  const html = await pageHtml(page, options.extraction, { liveValues: true });
   const $ = cheerio.load(html, { decodeEntities: true });
 
   const buttons = [];
   const links = [];
   const forms = [];
+  const dialogs = [];
+  const elements = new Map();
 
   $('button, input[type="submit"], input[type="button"], [role="button"]').each((i, el) => {
     const $el = $(el);
-    const text = ($el.text() || $el.attr('value') || $el.attr('aria-label') || '').trim().slice(0, 80);
-    if (text) buttons.push({ type: 'button', text, tag: $el.prop('tagName')?.toLowerCase() });
+    const ax = readAccessibility($el);
+    if (axHiddenReason(ax)) return;
+    const text = ($el.text().trim() || ax?.name || $el.attr('value') || $el.attr('aria-label') || '').trim().slice(0, 80);
+    if (!text) return;
+    const item = { ref: null, type: 'button', text, tag: $el.prop('tagName')?.toLowerCase(), ...snapshotAx(ax, 'button'), ...placement($, el) };
+    buttons.push(item);
+    elements.set(item, el);
   });
 
   $('a[href]').each((i, el) => {
     const $el = $(el);
     const href = $el.attr('href') || '';
     if (!href || href === '#' || href.startsWith('javascript:')) return;
-    const text = $el.text().trim().slice(0, 80);
-    if (text) links.push({ type: 'link', text, href: href.slice(0, 200) });
+    const ax = readAccessibility($el);
+    if (axHiddenReason(ax)) return;
+    const text = ($el.text().trim() || ax?.name || '').slice(0, 80);
+    if (!text) return;
+    const item = { ref: null, type: 'link', text, href: href.slice(0, 200), ...snapshotAx(ax, 'link'), ...placement($, el) };
+    links.push(item);
+    elements.set(item, el);
   });
 
   $('form').each((i, el) => {
     const $form = $(el);
+    if (axHiddenReason(readAccessibility($form))) return;
     const inputs = [];
     $form.find('input, select, textarea').each((_, inp) => {
       const $inp = $(inp);
       const name = $inp.attr('name');
       if (!name || ($inp.attr('type') || '').toLowerCase() === 'hidden') return;
-      const label = $inp.attr('aria-label') || $inp.attr('placeholder') || name;
-      inputs.push({ name, label, type: ($inp.attr('type') || 'text').toLowerCase() });
+      const ax = readAccessibility($inp);
+      if (axHiddenReason(ax)) return;
+      const label = ax?.name || $inp.attr('aria-label') || $inp.attr('placeholder') || name;
+      const field = { ref: null, name, label, type: ($inp.attr('type') || 'text').toLowerCase(), ...fieldValue($inp, ax), ...snapshotAx(ax, FIELD_ROLES, ['checked']) };
+      inputs.push(field);
+      elements.set(field, inp);
     });
     const submitText = $form.find('button[type="submit"], input[type="submit"]').first().text().trim() || 'Submit';
-    forms.push({ type: 'form', submitLabel: submitText, inputs });
+    forms.push({ type: 'form', submitLabel: submitText, inputs, ...placement($, el) });
   });
 
-  const title = $('title').text().trim() || '';
-  const currentUrl = page.url();
+  $(DIALOG_SELECTOR).each((i, el) => {
+    const $el = $(el);
+    if ($el.parents(DIALOG_SELECTOR).length || hiddenReason($el)) return;
+    const text = $el.text().replace(/\s+/g, ' ').trim().slice(0, 200);
+    if (!text) return;
+    const role = $el.attr('role') || (el.tagName === 'dialog' ? 'dialog' : $el.attr('aria-live') ? 'status' : 'toast');
+    dialogs.push({ type: 'dialog', role, text, ...placement($, el) });
+  });
+
+  const targets = new Map();
+  for (const [item, el] of elements) {
+    targets.set(item, { el, tag: $(el).attr(REF_ATTR), tagName: el.tagName, locate: () => buildLocators($, el), ...placement($, el) });
+  }
+
+  const title = $('head > title').first().text().trim() || '';
+  return { snapshot: { url: page.url(), title, buttons, links, forms, dialogs }, targets };
+}
+
+/**
+ * Snapshot of current page: interactive elements (buttons, links, forms) so agent knows what to do next.
+ * Uses same idea as contract: list of clickables and form fields (with their current values), plus open
+ * dialogs, alerts and toasts and native alert/confirm/prompt dialogs (dismissed) since the last snapshot.
+ * extraction 'accessibility' reads the rendered accessibility tree (accessibilityTree.js): hidden and
+ * decorative elements are left out, names come from the tree and entries carry role and states
+ * (disabled, expanded, checked, pressed).
+ * mode 'diff' returns only what changed since the previous snapshot of the same tab (see snapshotDiff.js):
+ * added / removed elements, changed field values and states, previous_url / previous_title. It falls back
+ * to the full snapshot (mode: 'full', diff_fallback) when there is no previous one or the diff is not smaller.
+ * Buttons, links and form fields carry a ref ("e17") that click / fill / fillForm accept; a ref stays the
+ * same while the element is on the page (it is tagged in the page) and goes stale when the element is
+ * removed or replaced or the tab navigates.
+ * @param {{ sessionId?: string, extraction?: 'dom'|'accessibility', mode?: 'full'|'diff' }} [options]
+ */
+export async function getSnapshot(options = {}) {
+  const { mode = 'full' } = options;
+  if (!['full', 'diff'].includes(mode)) throw new Error(`getSnapshot: unknown mode "${mode}" (use full or diff)`);
+  const page = getPage(options.sessionId);
+  const session = getSession(options.sessionId);
+  const state = pageState(page);
+  const { snapshot: current, targets } = await readSnapshot(page, options);
+  await assignRefs(page, session, targets);
+  const nativeDialogs = state.nativeDialogs.splice(0);
+  const previous = state.last;
+  state.last = current;
+
+  const head = {
+    session_id: session.id,
+    tab_id: session.activeTab,
+    tabs: session.tabs.size,
+    url: current.url,
+    title: current.title,
+  };
+  const full = {
+    ...head,
+    buttons: current.buttons.slice(0, SNAPSHOT_LIMITS.buttons),
+    links: current.links.slice(0, SNAPSHOT_LIMITS.links),
+    forms: current.forms,
+    dialogs: [...current.dialogs, ...nativeDialogs],
+  };
+  if (mode === 'full') return full;
+  if (!previous) return { ...head, mode: 'full', diff_fallback: 'no previous snapshot of this tab', ...full };
+
+  const diff = diffSnapshots(previous, current, { limits: SNAPSHOT_LIMITS });
+  if (nativeDialogs.length) {
+    diff.added = { ...diff.added, dialogs: [...(diff.added?.dialogs || []), ...nativeDialogs] };
+  }
+  const out = { ...head, mode: 'diff', ...diff };
+  if (JSON.stringify(out).length >= JSON.stringify(full).length) {
+    return { ...head, mode: 'full', diff_fallback: 'diff not smaller than the full snapshot', ...full };
+  }
+  return out;
+}
+
+const MARKS_LAYER_ID = '__agent_marks__';
+
+/**
+ * In-page: draw numbered boxes over visible interactive elements, return their click points.
+ * Coordinates are viewport pixels, or document pixels when fullPage.
+ */
+function drawMarks({ layerId, fullPage, max }) {
+  const selector = 'a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [role="link"], [onclick], [tabindex]:not([tabindex="-1"])';
+  const layer = document.createElement('div');
+  layer.id = layerId;
+  layer.style.cssText = 'position:absolute;left:0;top:0;pointer-events:none;z-index:2147483647;';
+  const marks = [];
+  for (const el of document.querySelectorAll(selector)) {
+    const r = el.getBoundingClientRect();
+    if (r.width < 2 || r.height < 2) continue;
+    const style = getComputedStyle(el);
+    if (style.visibility === 'hidden' || style.display === 'none' || Number(style.opacity) === 0) continue;
+    if (!fullPage && (r.bottom < 0 || r.right < 0 || r.top > innerHeight || r.left > innerWidth)) continue;
+    const n = marks.length + 1;
+    const box = document.createElement('div');
+    box.style.cssText = `position:absolute;left:${r.left + scrollX}px;top:${r.top + scrollY}px;width:${r.width}px;height:${r.height}px;border:2px solid #e0245e;box-sizing:border-box;`;
+    const label = document.createElement('span');
+    label.textContent = String(n);
+    label.style.cssText = 'position:absolute;left:-2px;top:-16px;background:#e0245e;color:#fff;font:bold 11px/14px sans-serif;padding:0 3px;';
+    box.appendChild(label);
+    layer.appendChild(box);
+    const offsetX = fullPage ? scrollX : 0;
+    const offsetY = fullPage ? scrollY : 0;
+    marks.push({
+      n,
+      tag: el.tagName.toLowerCase(),
+      text: (el.innerText || el.value || el.getAttribute('aria-label') || el.getAttribute('title') || '').trim().slice(0, 60),
+      x: Math.round(r.left + offsetX + r.width / 2),
+      y: Math.round(r.top + offsetY + r.height / 2),
+    });
+    if (marks.length >= max) break;
+  }
+  document.body.appendChild(layer);
+  return marks;
+}
 
+/**
+ * Screenshot of the page (viewport or full page) or of one element (clip).
+ * annotate: overlay numbered boxes on interactive elements and return them as marks
+ * (center x/y usable with clickAt). Annotation applies to page screenshots only.
+ * @param {{ fullPage?: boolean, selector?: string, annotate?: boolean, maxMarks?: number, sessionId?: string }} options
+ * @returns {Promise<{ ok: true, mimeType: string, data: string, url: string, fullPage: boolean, marks: Array<Object> }>}
+ */
+export async function screenshot(options = {}) {
+  const page = getPage(options.sessionId);
+  const { fullPage = false, selector, annotate = false, maxMarks = 100 } = options;
+  let marks = [];
+  if (annotate && !selector) {
+    marks = await page.evaluate(drawMarks, { layerId: MARKS_LAYER_ID, fullPage, max: maxMarks });
+  }
+  let buffer;
+  try {
+    buffer = selector
+      ? await page.locator(selector).first().screenshot({ type: 'png', timeout: 10000 })
+      : await page.screenshot({ type: 'png', fullPage, timeout: 10000 });
+  } finally {
+    if (marks.length) {
+      await page.evaluate((id) => document.getElementById(id)?.remove(), MARKS_LAYER_ID).catch(() => {});
+    }
+  }
   return {
-    url: currentUrl,
-    title,
-    buttons: buttons.slice(0, 50),
-    links: links.slice(0, 80),
-    forms,
+    ok: true,
+    mimeType: 'image/png',
+    data: buffer.toString('base64'),
+    url: page.url(),
+    fullPage: !selector && fullPage,
+    marks,
   };
 }
 
 /**
- * Close browser.
+ * Click at pixel coordinates (vision fallback when no element can be found by text or selector).
+ * The policy checks the element at the point (inside iframes too); one that cannot be read needs confirmation.
+ * @param {number} x
+ * @param {number} y
+ * @param {{ fullPage?: boolean, sessionId?: string, confirmToken?: string, dryRun?: boolean }} options - fullPage: x/y are document pixels from a full-page screenshot
+ */
+export async function clickAt(x, y, options = {}) {
+  const page = getPage(options.sessionId);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) throw new Error('clickAt: x and y must be numbers');
+  let vx = x;
+  let vy = y;
+  if (options.fullPage) {
+    const scroll = await page.evaluate(([px, py]) => {
+      window.scrollTo(Math.max(0, px - innerWidth / 2), Math.max(0, py - innerHeight / 2));
+      return { x: scrollX, y: scrollY };
+    }, [x, y]);
+    vx = x - scroll.x;
+    vy = y - scroll.y;
+  }
+  let target = null;
+  let info;
+  try {
+    const handle = await elementAtPoint(page, vx, vy);
+    if (handle) {
+      target = await handle.evaluate((el) => ({ tag: el.tagName.toLowerCase(), text: (el.innerText || el.value || '').trim().slice(0, 60) }));
+      info = await handle.evaluate(describeElement);
+      await handle.dispose();
+    } else {
+      info = { unreadable: 'no element at the point' };
+    }
+  } catch (e) {
+    info = { unreadable: e.message.split('\n')[0] };
+  }
+  const risk = classifyElement(info, { pageUrl: page.url() });
+  const blocked = enforcePolicy({ type: 'click_at', target: `${x},${y}`, sessionId: getSession(options.sessionId).id, details: target, url: info.href || undefined, risk }, options);
+  if (blocked) return blocked;
+  await page.mouse.click(vx, vy);
+  await waitForSettle(page, 5000);
+  return { ok: true, clicked: { x, y }, target, url: page.url() };
+}
+
+/**
+ * Close one session (default: the current one), or every session and browser with all: true.
+ * @param {{ sessionId?: string, all?: boolean }} [options]
  */
-export async function close() {
-  if (browser) {
-    await browser.close();
-    browser = null;
-    page = null;
-    return { ok: true, message: 'Browser closed' };
+export async function close(options = {}) {
+  if (options.all) {
+    for (const mode of Object.keys(browsers)) await closeBrowser(mode);
+    const count = sessions.size;
+    sessions.clear();
+    defaultSessionId = null;
+    return { ok: true, message: count ? `Closed ${count} session(s)` : 'No browser was open' };
+  }
+  const id = options.sessionId || defaultSessionId;
+  const session = id && sessions.get(id);
+  if (!session) {
+    if (options.sessionId) throw new Error(`Unknown session "${options.sessionId}"`);
+    return { ok: true, message: 'No browser was open' };
+  }
+  await session.context.close();
+  sessions.delete(id);
+  if (defaultSessionId === id) defaultSessionId = [...sessions.keys()].pop() || null;
+  for (const mode of Object.keys(browsers)) {
+    const inUse = [...sessions.values()].some((s) => (s.headed ? 'headed' : 'headless') === mode);
+    if (!inUse) await closeBrowser(mode);
   }
-  return { ok: true, message: 'No browser was open' };
+  return { ok: true, session_id: id, message: 'Session closed' };
 }
 
 export { hasPage };
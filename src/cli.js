@@ -3,8 +3,17 @@
  * CLI: fetch HTML from URL (Chromium) → generate API contract → print JSON
  * MCP: use "npm run mcp" or node src/mcp-server.js for the web-scraper MCP server.
  * Usage:
- *   node src/cli.js <url> [--context=contactForm] [--output=contract.json]
+ *   node src/cli.js <url> [--context=contactForm] [--vertical=ecommerce|auto] [--extraction=dom|accessibility] [--format=openapi] [--cache [--refresh]] [--profile=name] [--save-har=capture.har] [--output=contract.json]
  *   node src/cli.js --html=./page.html [--context=name] [--output=out.json]
+ *   node src/cli.js --har=capture.har [--url=<page url>] [--context=name] [--output=out.json]   (offline, DOM + apiEndpoints)
+ *   node src/cli.js --input=crawl.json|./pages/ [--context=name] [--output=out.json]
+ *   node src/cli.js graph <url> [--max-pages=10] [--all-origins] [--output=graph.json]
+ *   node src/cli.js diff <old.json> <new.json|url> [--output=diff.json]   (exit 2 on breaking changes)
+ *   node src/cli.js cache list | cache purge [--expired] [--url=<url>]
+ *   node src/cli.js trace summary [file.jsonl|dir] | trace compare <a> <b>   (agent run traces, see tracing.js)
+ *   node src/cli.js bench [--mode=script|agent] [--llm=scripted|openrouter|openai|anthropic] [--model=…] [--task=id,id] [--no-policy] [--headed] [--output=report.json]
+ *   node src/cli.js bench list | bench serve [--port=8790]   (benchmark tasks and fixture sites, see src/benchmark/)
+ *   node src/cli.js serve [--port=8787] [--host=127.0.0.1] [--allow-remote] [--headed]   → HTTP gateway for /contracts and /agent/* (loopback only unless --allow-remote)
  *   node src/cli.js --mcp   → start MCP server (stdio)
  */
 
@@ -12,15 +21,65 @@ const fs = await import('fs');
 const path = await import('path');
 
 const runMcp = process.argv.includes('--mcp');
-const url = process.argv.filter((a) => !a.startsWith('--'))[2] ?? process.argv[2];
+const positional = process.argv.slice(2).filter((a) => !a.startsWith('--'));
+const command = ['graph', 'diff', 'serve', 'cache', 'trace', 'bench'].includes(positional[0]) ? positional.shift() : null;
+const url = positional[0] ?? (command ? undefined : process.argv[2]);
 const contextArg = process.argv.find((a) => a.startsWith('--context='));
 const htmlPathArg = process.argv.find((a) => a.startsWith('--html='));
+const harArg = process.argv.find((a) => a.startsWith('--har='));
+const saveHarArg = process.argv.find((a) => a.startsWith('--save-har='));
+const inputArg = process.argv.find((a) => a.startsWith('--input='));
 const outputArg = process.argv.find((a) => a.startsWith('--output='));
+const maxPagesArg = process.argv.find((a) => a.startsWith('--max-pages='));
+const verticalArg = process.argv.find((a) => a.startsWith('--vertical='));
+const formatArg = process.argv.find((a) => a.startsWith('--format='));
+const portArg = process.argv.find((a) => a.startsWith('--port='));
+const hostArg = process.argv.find((a) => a.startsWith('--host='));
+const urlArg = process.argv.find((a) => a.startsWith('--url='));
+const profileArg = process.argv.find((a) => a.startsWith('--profile='));
+const modeArg = process.argv.find((a) => a.startsWith('--mode='));
+const llmArg = process.argv.find((a) => a.startsWith('--llm='));
+const taskArg = process.argv.find((a) => a.startsWith('--task='));
+const modelArg = process.argv.find((a) => a.startsWith('--model='));
+const extractionArg = process.argv.find((a) => a.startsWith('--extraction='));
 const useChromium = !process.argv.includes('--no-chromium');
 const discoverApis = process.argv.includes('--discover-apis');
+const cache = process.argv.includes('--cache') ? { refresh: process.argv.includes('--refresh') } : false;
 const context = contextArg ? contextArg.slice('--context='.length) : undefined;
 const htmlPath = htmlPathArg ? htmlPathArg.slice('--html='.length) : undefined;
+const harPath = harArg ? harArg.slice('--har='.length) : undefined;
+const saveHarPath = saveHarArg ? saveHarArg.slice('--save-har='.length) : undefined;
+const inputPath = inputArg ? inputArg.slice('--input='.length) : undefined;
 const outputPath = outputArg ? outputArg.slice('--output='.length) : undefined;
+const maxPages = maxPagesArg ? Number(maxPagesArg.slice('--max-pages='.length)) : undefined;
+const sameOrigin = !process.argv.includes('--all-origins');
+const vertical = verticalArg ? verticalArg.slice('--vertical='.length) : undefined;
+const format = formatArg ? formatArg.slice('--format='.length) : 'contract';
+const port = portArg ? Number(portArg.slice('--port='.length)) : 8787;
+const host = hostArg ? hostArg.slice('--host='.length) : '127.0.0.1';
+const profile = profileArg ? profileArg.slice('--profile='.length) : undefined;
+const extraction = extractionArg ? extractionArg.slice('--extraction='.length) : undefined;
+
+/**
+ * Load a saved contract (writeContract output); a { contract } wrapper is accepted too.
+ * @param {string} file
+ */
+function readContract(file) {
+  const json = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), file), 'utf8'));
+  return json && json.contract && !json.actions ? json.contract : json;
+}
+
+/**
+ * Contract in the requested --format (contract JSON as is, or an OpenAPI 3.1 document).
+ * @param {Object} contract
+ * @param {string} [pageUrl]
+ */
+async function formatContract(contract, pageUrl) {
+  if (format === 'contract') return contract;
+  if (format !== 'openapi') throw new Error(`Unknown --format "${format}" (use contract or openapi)`);
+  const { contractToOpenApi } = await import('./openapi.js');
+  return contractToOpenApi(contract, { url: pageUrl || undefined });
+}
 
 function writeContract(contract) {
   const json = JSON.stringify(contract, null, 2);
@@ -39,32 +98,191 @@ async function main() {
     return;
   }
 
+  if (command === 'cache') {
+    const { listCacheEntries, purgeCache } = await import('./contractCache.js');
+    if (url === 'list') {
+      writeContract(listCacheEntries());
+    } else if (url === 'purge') {
+      const removed = purgeCache({ expired: process.argv.includes('--expired'), url: urlArg?.slice('--url='.length) });
+      console.error(`Removed ${removed} cache entr${removed === 1 ? 'y' : 'ies'}`);
+    } else {
+      throw new Error('cache needs a subcommand: list | purge [--expired] [--url=<url>]');
+    }
+    return;
+  }
+
+  if (command === 'trace') {
+    const { loadTraceSummaries, aggregateSummaries, compareSummaries, formatTraceReport } = await import('./tracing.js');
+    const defaultDir = process.env.AGENT_TRACE_DIR || '.agent-traces';
+    let report;
+    if (url === 'summary') {
+      const summaries = loadTraceSummaries(path.resolve(process.cwd(), positional[1] || defaultDir));
+      report = { ...aggregateSummaries(summaries), summaries };
+    } else if (url === 'compare') {
+      if (!positional[1] || !positional[2]) throw new Error('trace compare needs two trace files or directories: <a> <b>');
+      report = compareSummaries(
+        loadTraceSummaries(path.resolve(process.cwd(), positional[1])),
+        loadTraceSummaries(path.resolve(process.cwd(), positional[2]))
+      );
+    } else {
+      throw new Error('trace needs a subcommand: summary [file|dir] | compare <a> <b>');
+    }
+    console.error(formatTraceReport(report));
+    writeContract(report);
+    return;
+  }
+
+  if (command === 'bench') {
+    if (url === 'list') {
+      const { TASKS } = await import('./benchmark/tasks.js');
+      writeContract(TASKS.map(({ id, site, prompt, start, script }) => ({ id, site, prompt, start, steps: script.length })));
+      return;
+    }
+    if (url === 'serve') {
+      const { startFixtureServer } = await import('./benchmark/fixtureServer.js');
+      const server = await startFixtureServer({ port: portArg ? port : 8790, host });
+      console.error(`Fixture sites on ${server.url}: /shop/, /account/ (demo / demo123), /spa/`);
+      process.on('SIGINT', () => server.close(() => process.exit(0)));
+      return;
+    }
+    if (url && url !== 'run') throw new Error('bench needs a subcommand: run (default) | list | serve');
+    const { runBenchmark, formatBenchmarkReport } = await import('./benchmark/runner.js');
+    const report = await runBenchmark({
+      mode: modeArg ? modeArg.slice('--mode='.length) : 'script',
+      llm: llmArg ? llmArg.slice('--llm='.length) : 'scripted',
+      model: modelArg?.slice('--model='.length),
+      tasks: taskArg ? taskArg.slice('--task='.length).split(',').filter(Boolean) : [],
+      headed: process.argv.includes('--headed'),
+      policy: !process.argv.includes('--no-policy'),
+      onResult: (r) => console.error(`${r.success ? 'PASS' : 'FAIL'} ${r.id} (${r.wallMs} ms)${r.error ? `: ${r.error}` : ''}`),
+    });
+    console.error(formatBenchmarkReport(report));
+    writeContract(report);
+    return;
+  }
+
+  if (command === 'serve') {
+    const { startGateway } = await import('./httpGateway.js');
+    const server = await startGateway({ port, host, useChromium, headed: process.argv.includes('--headed'), allowRemote: process.argv.includes('--allow-remote') });
+    console.error(`Gateway listening on http://${host}:${port} (POST /contracts, /agent/:contractId/:action)`);
+    process.on('SIGINT', () => server.close(() => process.exit(0)));
+    return;
+  }
+
   if (htmlPath) {
     const html = fs.readFileSync(path.resolve(process.cwd(), htmlPath), 'utf8');
     const { generateContract } = await import('./contractGenerator.js');
-    const contract = generateContract(html, { context });
-    writeContract(contract);
+    const contract = generateContract(html, { context, vertical });
+    writeContract(await formatContract(contract));
+    return;
+  }
+
+  if (harPath) {
+    const { harToContract } = await import('./index.js');
+    const { url: pageUrl, contract } = harToContract(path.resolve(process.cwd(), harPath), {
+      url: urlArg?.slice('--url='.length),
+      context,
+      vertical,
+    });
+    console.error(`HAR page: ${pageUrl || '(unknown URL)'}, ${contract.apiEndpoints?.length ?? 0} API endpoint(s)`);
+    writeContract(await formatContract(contract, pageUrl));
+    return;
+  }
+
+  if (inputPath) {
+    const { crawlToContracts } = await import('./crawlInput.js');
+    const results = crawlToContracts(path.resolve(process.cwd(), inputPath), { context, vertical });
+    if (format !== 'contract') {
+      for (const r of results) r.contract = await formatContract(r.contract, r.url);
+    }
+    writeContract(results.length === 1 ? results[0].contract : results);
     return;
   }
 
   if (!url || url.startsWith('--')) {
     console.error(`
 Usage:
-  node src/cli.js <url> [--context=name] [--discover-apis] [--output=contract.json]
-  node src/cli.js --html=./page.html [--context=name] [--output=contract.json]
+  node src/cli.js <url> [--context=name] [--discover-apis] [--profile=name] [--save-har=capture.har] [--vertical=ecommerce|auto] [--extraction=dom|accessibility] [--format=contract|openapi] [--cache [--refresh]] [--output=contract.json]
+  node src/cli.js --html=./page.html [--context=name] [--vertical=ecommerce|auto] [--format=contract|openapi] [--output=contract.json]
+  node src/cli.js --har=capture.har [--url=<page url>] [--context=name] [--format=contract|openapi] [--output=contract.json]
+  node src/cli.js --input=crawl.json|./pages/ [--context=name] [--format=contract|openapi] [--output=contracts.json]
+  node src/cli.js graph <url> [--max-pages=10] [--all-origins] [--output=graph.json]
+  node src/cli.js diff <old.json> <new.json|url> [--vertical=auto] [--output=diff.json]   (a url is read with the old contract's vertical and API discovery unless given)
+  node src/cli.js cache list | cache purge [--expired] [--url=<url>]   (contract cache, see CONTRACT_CACHE_DIR)
+  node src/cli.js trace summary [trace.jsonl|dir] | trace compare <a> <b>   (agent run traces, see AGENT_TRACE_DIR)
+  node src/cli.js bench [--mode=script|agent] [--llm=scripted|openrouter|openai|anthropic] [--model=…] [--task=id,id] [--no-policy] [--headed] [--output=report.json]
+  node src/cli.js bench list | bench serve [--port=8790]   (benchmark tasks and local fixture sites)
+  node src/cli.js serve [--port=8787] [--host=127.0.0.1] [--allow-remote] [--headed]   (HTTP gateway, no auth: loopback only unless --allow-remote)
   node src/cli.js --mcp   (start MCP web-scraper server, stdio)
 
 Examples:
   node src/cli.js https://example.com [--discover-apis] --output=contract.json
   node src/cli.js --html=./saved.html --context=productPage --output=out.json
+  node src/cli.js https://shop.example --discover-apis --format=openapi --output=openapi.json
+  node src/cli.js https://shop.example --save-har=shop.har   then offline: node src/cli.js --har=shop.har
+  node src/cli.js --input=firecrawl-crawl.json --output=contracts.json
+  node src/cli.js graph https://shop.example --max-pages=5 --output=graph.json
+  node src/cli.js diff contract.json https://shop.example   (exit 2 on breaking changes)
+  node src/cli.js serve --port=8787   then POST /contracts {"url": "..."} and POST /agent/<contractId>/<action>
   npm run mcp   (same as node src/mcp-server.js)
 `);
     process.exit(1);
   }
 
+  if (command === 'diff') {
+    const target = positional[1];
+    if (!target) throw new Error('diff needs two arguments: <old.json> <new.json|url>');
+    const { diffContracts, formatDiff } = await import('./contractDiff.js');
+    const before = readContract(url);
+    let after;
+    if (/^https?:\/\//i.test(target)) {
+      const { urlToContract } = await import('./index.js');
+      // regenerate the way the old contract was made, or its intents and APIs would all show as removed
+      after = (await urlToContract(target, {
+        context,
+        useChromium,
+        discoverApis: discoverApis || !!before.apiEndpoints?.length,
+        vertical: vertical ?? before.vertical,
+        profile,
+        extraction,
+      })).contract;
+    } else {
+      after = readContract(target);
+    }
+    const report = diffContracts(before, after);
+    console.error(formatDiff(report));
+    writeContract(report);
+    if (report.breaking) process.exitCode = 2;
+    return;
+  }
+
+  if (command === 'graph') {
+    if (maxPages !== undefined && !(Number.isInteger(maxPages) && maxPages >= 1)) {
+      throw new Error(`--max-pages must be a positive integer (got "${maxPagesArg.slice('--max-pages='.length)}")`);
+    }
+    const { urlToActionGraph } = await import('./index.js');
+    const graph = await urlToActionGraph(url, {
+      maxPages,
+      sameOrigin,
+      useChromium,
+      vertical,
+      cache,
+      profile,
+      onPage: (pageUrl, i) => console.error(`[${i + 1}] ${pageUrl}`),
+    });
+    writeContract(graph);
+    return;
+  }
+
   const { urlToContract } = await import('./index.js');
-  const { contract } = await urlToContract(url, { context, useChromium, discoverApis });
-  writeContract(contract);
+  const { contract, cache: cacheInfo, har } = await urlToContract(url, { context, useChromium, discoverApis, vertical, cache, profile, extraction, har: !!saveHarPath });
+  if (har) {
+    const out = path.resolve(process.cwd(), saveHarPath);
+    fs.writeFileSync(out, JSON.stringify(har, null, 2), 'utf8');
+    console.error(`Wrote HAR (${har.log.entries.length} entries):`, out);
+  }
+  if (cacheInfo) console.error(`Cache: ${cacheInfo.status} (${cacheInfo.key}, age ${cacheInfo.ageSeconds}s)`);
+  writeContract(await formatContract(contract, url));
 }
 
 main().catch((err) => {
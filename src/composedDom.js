@@ -0,0 +1,153 @@
+/**
+ * Composed DOM: page HTML including open shadow roots and iframe documents, so Cheerio-based
+ * extraction sees web components and embedded checkout/login widgets.
+ * page.content() serializes only the light DOM of the main frame; this walks the live DOM instead:
+ *   <host>…<agent-shadow-root>shadow children</agent-shadow-root>light children</host>
+ *   <iframe …></iframe><agent-frame data-frame-selector="iframe[name=&quot;pay&quot;]" data-frame-url="…">frame body</agent-frame>
+ * The wrappers are read back by locators.js (frame/shadow paths) and browserSession.js (frame scoping).
+ */
+
+/** Tag names of the wrappers inserted into the composed HTML. */
+export const SHADOW_ROOT_TAG = 'agent-shadow-root';
+export const FRAME_TAG = 'agent-frame';
+
+const MAX_FRAME_DEPTH = 3;
+
+/**
+ * In-page: serialize a document (or its body only, for frames) with open shadow roots inlined.
+ * iframe elements are followed by an empty placeholder <agent-frame> and returned in frames[]
+ * so the caller can fill in their documents.
+ * liveValues: form controls are written with their current value / checked / selected state
+ * instead of their markup defaults (password values are never written).
+ * @param {{ bodyOnly: boolean, token: string, liveValues?: boolean }} args
+ */
+function serializeComposed({ bodyOnly, token, liveValues }) {
+  const VOID = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+  const RAW = new Set(['script', 'style']);
+  const esc = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const escAttr = (s) => s.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  const cssString = (v) => `"${v.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const frames = [];
+  const out = [];
+
+  function frameSelector(el) {
+    for (const attr of ['id', 'name', 'title', 'src']) {
+      const v = el.getAttribute(attr);
+      if (v) return `${el.localName}[${attr}=${cssString(v)}]`;
+    }
+    const same = [...el.ownerDocument.querySelectorAll(el.localName)];
+    return `${el.localName} >> nth=${Math.max(0, same.indexOf(el))}`;
+  }
+
+  function walk(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      out.push(RAW.has(node.parentNode?.localName) ? node.data : esc(node.data));
+      return;
+    }
+    if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+      node.childNodes.forEach(walk);
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    const tag = node.localName;
+    const live = liveValues && (tag === 'input' || tag === 'option' || tag === 'textarea');
+    let attrs = '';
+    for (const a of node.attributes) {
+      if (live && ['value', 'checked', 'selected'].includes(a.name)) continue;
+      attrs += ` ${a.name}="${escAttr(a.value)}"`;
+    }
+    if (live && tag === 'option') {
+      attrs += `${node.selected ? ' selected=""' : ''} value="${escAttr(node.value)}"`;
+    } else if (live && tag === 'input') {
+      const type = (node.type || '').toLowerCase();
+      if (type === 'checkbox' || type === 'radio') attrs += `${node.checked ? ' checked=""' : ''} value="${escAttr(node.value)}"`;
+      else if (type !== 'password' && type !== 'file') attrs += ` value="${escAttr(node.value)}"`;
+      else if (node.hasAttribute('value')) attrs += ` value="${escAttr(node.getAttribute('value'))}"`;
+    }
+    out.push(`<${tag}${attrs}>`);
+    if (VOID.has(tag)) return;
+    if (live && tag === 'textarea') {
+      out.push(esc(node.value), '</textarea>');
+      return;
+    }
+    if (tag === 'template') {
+      walk(node.content);
+    } else {
+      if (node.shadowRoot) {
+        // runs in the page, so the wrapper tag names are literals (SHADOW_ROOT_TAG / FRAME_TAG)
+        out.push('<agent-shadow-root>');
+        node.shadowRoot.childNodes.forEach(walk);
+        out.push('</agent-shadow-root>');
+      }
+      node.childNodes.forEach(walk);
+    }
+    out.push(`</${tag}>`);
+    if (tag === 'iframe' || tag === 'frame') {
+      out.push(`<agent-frame data-frame-selector="${escAttr(frameSelector(node))}" data-frame-slot="${token}-${frames.length}"></agent-frame>`);
+      frames.push(node);
+    }
+  }
+
+  if (bodyOnly) {
+    if (document.body) document.body.childNodes.forEach(walk);
+  } else {
+    out.push('<!DOCTYPE html>');
+    walk(document.documentElement);
+  }
+  return { html: out.join(''), frames };
+}
+
+function escapeAttr(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Composed HTML of one frame, with child frames filled in recursively.
+ * @param {import('playwright').Frame} frame
+ * @param {number} depth
+ * @param {{ liveValues?: boolean }} options
+ */
+async function frameHtml(frame, depth, options) {
+  const token = Math.random().toString(36).slice(2, 10);
+  const handle = await frame.evaluateHandle(serializeComposed, { bodyOnly: depth > 0, token, liveValues: !!options.liveValues });
+  try {
+    let html = await (await handle.getProperty('html')).jsonValue();
+    const frameHandles = await (await handle.getProperty('frames')).getProperties();
+    for (const [index, h] of frameHandles) {
+      const slot = `data-frame-slot="${token}-${index}"></agent-frame>`;
+      let inner = '';
+      let url = '';
+      try {
+        const child = await h.asElement()?.contentFrame();
+        if (child) {
+          url = child.url();
+          if (depth < MAX_FRAME_DEPTH) inner = await frameHtml(child, depth + 1, options);
+        }
+      } catch (_) {
+        // detached or cross-process frame that went away; leave it empty
+      }
+      html = html.replace(slot, () => `data-frame-url="${escapeAttr(url)}">${inner}</agent-frame>`);
+    }
+    return html;
+  } finally {
+    await handle.dispose();
+  }
+}
+
+/**
+ * HTML of the page with open shadow roots and iframe contents inlined (see module comment).
+ * liveValues: form fields carry what is currently entered / checked / selected (snapshots);
+ * contracts use the markup defaults.
+ * Falls back to page.content() if the live DOM cannot be walked.
+ * @param {import('playwright').Page} page
+ * @param {{ liveValues?: boolean }} [options]
+ * @returns {Promise<string>}
+ */
+export async function composedHtml(page, options = {}) {
+  try {
+    return await frameHtml(page.mainFrame(), 0, options);
+  } catch (e) {
+    console.error('Composed DOM serialization failed, using page.content():', e.message);
+    return page.content();
+  }
+}
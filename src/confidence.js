@@ -0,0 +1,116 @@
+/**
+ * Per-action confidence scores: how likely a contract action maps to a real, usable control.
+ * Each scorer returns { confidence: 0..1, reasons: string[] } from static DOM signals.
+ */
+
+const SEMANTIC_BUTTON_TAGS = new Set(['button', 'input', 'a']);
+const CLICKABLE_ROLES = new Set(['button', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'switch']);
+
+function result(score, reasons) {
+  const confidence = Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+  return { confidence, reasons };
+}
+
+/**
+ * @param {Object} form - Form group from extractInteractiveGroups
+ * @param {{ fallbackName?: boolean }} [options]
+ */
+export function scoreForm(form, options = {}) {
+  const reasons = [];
+  let score = 0.6;
+  const visibleInputs = form.inputs.filter((inp) => inp.htmlType !== 'hidden');
+  if (form.hasSubmit) {
+    score += 0.15;
+    reasons.push('has submit control');
+  } else {
+    score -= 0.1;
+    reasons.push('no submit control');
+  }
+  if (!visibleInputs.length) {
+    score -= 0.2;
+    reasons.push('no visible inputs');
+  } else if (visibleInputs.every((inp) => inp.label)) {
+    score += 0.1;
+    reasons.push('all inputs labeled');
+  } else {
+    score -= 0.05;
+    reasons.push('some inputs unlabeled');
+  }
+  if (form.action) {
+    score += 0.05;
+    reasons.push('explicit action URL');
+  }
+  if (options.fallbackName) {
+    score -= 0.15;
+    reasons.push('name from fallback index');
+  }
+  if (form.hidden) {
+    score -= 0.3;
+    reasons.push(`hidden (${form.hidden})`);
+  }
+  return result(score, reasons);
+}
+
+/**
+ * @param {Object} btn - Button group from extractInteractiveGroups
+ * @param {{ fallbackName?: boolean }} [options]
+ */
+export function scoreButton(btn, options = {}) {
+  const reasons = [];
+  let score = 0.5;
+  if (SEMANTIC_BUTTON_TAGS.has(btn.tag)) {
+    score += 0.2;
+    reasons.push(`semantic <${btn.tag}>`);
+  } else if (CLICKABLE_ROLES.has(btn.role)) {
+    score += 0.1;
+    reasons.push(`role="${btn.role}"`);
+  } else {
+    score -= 0.1;
+    reasons.push(`<${btn.tag}> with click handler`);
+  }
+  if (btn.name) {
+    score += 0.2;
+    reasons.push('has accessible name');
+  } else {
+    score -= 0.1;
+    reasons.push('no accessible name');
+  }
+  if (options.fallbackName) {
+    score -= 0.2;
+    reasons.push('name from fallback index');
+  }
+  if (btn.hidden) {
+    score -= 0.3;
+    reasons.push(`hidden (${btn.hidden})`);
+  }
+  if (btn.states?.disabled) {
+    score -= 0.2;
+    reasons.push('disabled');
+  }
+  return result(score, reasons);
+}
+
+/**
+ * @param {Object} link - Link group from extractInteractiveGroups
+ * @param {{ fallbackName?: boolean }} [options]
+ */
+export function scoreLink(link, options = {}) {
+  const reasons = [];
+  let score = 0.6;
+  if (link.name) {
+    score += 0.2;
+    reasons.push('has accessible name');
+  } else {
+    score -= 0.1;
+    reasons.push('no accessible name');
+  }
+  if (options.fallbackName) {
+    score -= 0.1;
+    reasons.push('name from URL path');
+  }
+  if (link.hidden) {
+    score -= 0.3;
+    reasons.push(`hidden (${link.hidden})`);
+  }
+  return result(score, reasons);
+}
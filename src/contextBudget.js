@@ -0,0 +1,270 @@
+/**
+ * Context budget of the agent loop: token estimates per message, oversized tool results cut down
+ * before they enter the history (the full text stays retrievable by result_id through the local
+ * agent_read_result tool), and compaction of older turns once the context nears its limit.
+ * Env: AGENT_MAX_TURNS (15), AGENT_CONTEXT_TOKENS (100000), AGENT_TOOL_RESULT_TOKENS (8000),
+ * AGENT_COMPACT_AT (0.7 of the context), AGENT_KEEP_TURNS (3), AGENT_MAX_RUN_TOKENS (unlimited).
+ */
+
+import { estimateTokens } from './llmProviders.js';
+
+// Rough cost of one screenshot in the prompt; providers bill images by size, this is a mid value
+const IMAGE_TOKENS = 1500;
+const MESSAGE_OVERHEAD = 4;
+const STUB_CHARS = 300;
+const ARG_CHARS = 200;
+
+export const READ_RESULT_TOOL_NAME = 'agent_read_result';
+const TRUNCATED_ID = /\[Truncated: [^\]]*result_id: "(r\d+)" \}\)\]$/;
+const COMPACTED = /^\[Compacted /;
+
+/** OpenAI-style definition of the local tool that pages through stored tool results. */
+export const READ_RESULT_TOOL = {
+  type: 'function',
+  function: {
+    name: READ_RESULT_TOOL_NAME,
+    description: 'Read part of an earlier tool result that was truncated or compacted to save context (the result names its result_id). Returns the text from offset (characters), up to length characters.',
+    parameters: {
+      type: 'object',
+      properties: {
+        result_id: { type: 'string', description: 'result_id from the truncation note, e.g. "r3"' },
+        offset: { type: 'number', description: 'Start character (default 0)' },
+        length: { type: 'number', description: 'Characters to read (default 8000)' },
+      },
+      required: ['result_id'],
+    },
+  },
+};
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Budget settings: options over env over defaults.
+ * @param {{ maxTurns?: number, maxContextTokens?: number, maxToolResultTokens?: number, compactAt?: number,
+ *   keepRecentTurns?: number, maxRunTokens?: number|null }} [options]
+ *   compactAt: fraction of maxContextTokens that triggers compaction; maxRunTokens: prompt + completion tokens
+ *   a single run may spend (null = unlimited)
+ */
+export function resolveBudget(options = {}) {
+  const budget = {
+    maxTurns: envNumber('AGENT_MAX_TURNS', 15),
+    maxContextTokens: envNumber('AGENT_CONTEXT_TOKENS', 100000),
+    maxToolResultTokens: envNumber('AGENT_TOOL_RESULT_TOKENS', 8000),
+    compactAt: envNumber('AGENT_COMPACT_AT', 0.7),
+    keepRecentTurns: envNumber('AGENT_KEEP_TURNS', 3),
+    maxRunTokens: envNumber('AGENT_MAX_RUN_TOKENS', null),
+  };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && key in budget) budget[key] = value;
+  }
+  if (!(budget.maxTurns >= 1)) throw new Error(`maxTurns must be at least 1 (got ${budget.maxTurns})`);
+  return budget;
+}
+
+/**
+ * Estimated tokens of one chat message (text, images, tool call arguments).
+ * @param {Object} message
+ */
+export function estimateMessageTokens(message) {
+  let tokens = MESSAGE_OVERHEAD;
+  if (typeof message.content === 'string') tokens += estimateTokens(message.content);
+  else if (Array.isArray(message.content)) {
+    for (const part of message.content) tokens += part.type === 'image_url' ? IMAGE_TOKENS : estimateTokens(part.text);
+  }
+  for (const tc of message.tool_calls || []) tokens += estimateTokens(tc.function?.name) + estimateTokens(tc.function?.arguments);
+  return tokens;
+}
+
+/**
+ * Estimated prompt tokens of a request: every message plus the tool definitions.
+ * @param {Array<Object>} messages
+ * @param {Array<Object>} [tools]
+ */
+export function estimateContextTokens(messages, tools = []) {
+  return messages.reduce((n, m) => n + estimateMessageTokens(m), 0) + estimateTokens(JSON.stringify(tools));
+}
+
+/**
+ * Full texts of tool results that were cut or compacted, by result_id. Keep one store per
+ * conversation so ids in the history stay readable across turns.
+ * @param {{ maxEntries?: number }} [options] - Oldest entries are dropped beyond this
+ */
+export function createResultStore(options = {}) {
+  const { maxEntries = 200 } = options;
+  const entries = new Map();
+  const byText = new Map();
+  let seq = 0;
+  return {
+    /**
+     * @param {string} text
+     * @param {{ tool?: string }} [meta]
+     * @returns {string} result_id (the same id for the same text)
+     */
+    put(text, meta = {}) {
+      if (byText.has(text)) return byText.get(text);
+      const id = `r${++seq}`;
+      entries.set(id, { text, ...meta });
+      byText.set(text, id);
+      if (entries.size > maxEntries) {
+        const [oldId, old] = entries.entries().next().value;
+        entries.delete(oldId);
+        byText.delete(old.text);
+      }
+      return id;
+    },
+    get(id) {
+      return entries.get(id) || null;
+    },
+    /**
+     * Slice of a stored result, as the agent_read_result tool answer.
+     * @param {{ result_id: string, offset?: number, length?: number }} args
+     */
+    read(args) {
+      const entry = entries.get(args.result_id);
+      if (!entry) return { error: `Unknown or expired result_id "${args.result_id}"` };
+      const offset = Math.max(0, Math.floor(Number(args.offset) || 0));
+      const length = Math.max(1, Math.floor(Number(args.length) || 8000));
+      const text = entry.text.slice(offset, offset + length);
+      return {
+        result_id: args.result_id,
+        tool: entry.tool,
+        offset,
+        total_chars: entry.text.length,
+        ...(offset + text.length < entry.text.length && { next_offset: offset + text.length }),
+        text,
+      };
+    },
+  };
+}
+
+/**
+ * Shrink parsed JSON: arrays keep their first items, long strings are cut; both note what was dropped.
+ * @param {unknown} value
+ * @param {{ items: number, chars: number }} limits
+ */
+function shrinkJson(value, limits) {
+  if (typeof value === 'string') {
+    return value.length > limits.chars ? `${value.slice(0, limits.chars)}… (${value.length} chars)` : value;
+  }
+  if (Array.isArray(value)) {
+    const kept = value.slice(0, limits.items).map((v) => shrinkJson(v, limits));
+    if (value.length > limits.items) kept.push(`… ${value.length - limits.items} more`);
+    return kept;
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, shrinkJson(v, limits)]));
+  }
+  return value;
+}
+
+/**
+ * Tool result text as it enters the history: unchanged when small; otherwise JSON is shrunk
+ * (fewer array items, shorter strings) or text cut, with a note naming the result_id of the full text.
+ * @param {string} text
+ * @param {{ maxTokens: number, store: ReturnType<typeof createResultStore>, tool?: string }} options
+ */
+export function fitToolResult(text, options) {
+  const { maxTokens, store, tool } = options;
+  if (estimateTokens(text) <= maxTokens) return text;
+  const id = store.put(text, { tool });
+  const note = `[Truncated: ${text.length} chars, about ${estimateTokens(text)} tokens. Full result: ${READ_RESULT_TOOL_NAME}({ result_id: "${id}" })]`;
+  const maxChars = Math.max(0, maxTokens * 4 - note.length - 2);
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    data = undefined;
+  }
+  if (data && typeof data === 'object') {
+    for (const limits of [{ items: 20, chars: 400 }, { items: 10, chars: 200 }, { items: 5, chars: 100 }, { items: 3, chars: 60 }]) {
+      const shrunk = JSON.stringify(shrinkJson(data, limits));
+      if (shrunk.length <= maxChars) return `${shrunk}\n${note}`;
+    }
+  }
+  return `${text.slice(0, maxChars)}…\n${note}`;
+}
+
+/**
+ * Tool name of each tool_call_id in the history.
+ * @param {Array<Object>} messages
+ */
+function toolNames(messages) {
+  const names = new Map();
+  for (const m of messages) for (const tc of m.tool_calls || []) names.set(tc.id, tc.function?.name);
+  return names;
+}
+
+/**
+ * Tool call with long string arguments (e.g. contract_json) cut down; the call already ran.
+ * @param {Object} toolCall
+ */
+function shortenToolCall(toolCall) {
+  const args = toolCall.function?.arguments;
+  if (typeof args !== 'string' || args.length <= ARG_CHARS * 2) return toolCall;
+  let parsed;
+  try {
+    parsed = JSON.parse(args);
+  } catch {
+    return { ...toolCall, function: { ...toolCall.function, arguments: JSON.stringify({ _compacted: `${args.length} chars` }) } };
+  }
+  const short = Object.fromEntries(Object.entries(parsed).map(([k, v]) => [
+    k,
+    typeof v === 'string' && v.length > ARG_CHARS ? `${v.slice(0, ARG_CHARS)}… (${v.length} chars, compacted)` : v,
+  ]));
+  return { ...toolCall, function: { ...toolCall.function, arguments: JSON.stringify(short) } };
+}
+
+/**
+ * Whether a tool result in the history was replaced by a compaction stub (see compactHistory).
+ * @param {Object} message - role 'tool' message
+ */
+export function isCompacted(message) {
+  return typeof message.content === 'string' && COMPACTED.test(message.content);
+}
+
+/**
+ * Compact the history when it nears the context limit: tool results of all but the most recent
+ * turns become one-line stubs (full text kept in the store under a result_id), old screenshots are
+ * dropped and long tool call arguments cut. System and user messages and the pairing of tool calls
+ * with their results are kept, so every provider accepts the result.
+ * @param {Array<Object>} messages
+ * @param {{ maxContextTokens: number, compactAt: number, keepRecentTurns: number }} budget
+ * @param {ReturnType<typeof createResultStore>} store
+ * @param {Array<Object>} [tools]
+ * @returns {{ messages: Array<Object>, compacted: number, before: number, after: number }}
+ */
+export function compactHistory(messages, budget, store, tools = []) {
+  const before = estimateContextTokens(messages, tools);
+  if (before <= budget.maxContextTokens * budget.compactAt) return { messages, compacted: 0, before, after: before };
+  const turnStarts = messages.map((m, i) => (m.role === 'assistant' && m.tool_calls?.length ? i : -1)).filter((i) => i >= 0);
+  const keepFrom = turnStarts.length > budget.keepRecentTurns ? turnStarts[turnStarts.length - budget.keepRecentTurns] : 0;
+  const names = toolNames(messages);
+  let compacted = 0;
+  const out = messages.map((m, i) => {
+    if (i >= keepFrom) return m;
+    if (m.role === 'tool' && typeof m.content === 'string' && m.content.length > STUB_CHARS) {
+      const tool = names.get(m.tool_call_id);
+      // a truncated result already names the full text's id
+      const id = TRUNCATED_ID.exec(m.content)?.[1] || store.put(m.content, { tool });
+      compacted++;
+      return { ...m, content: `[Compacted ${tool || 'tool'} result: ${m.content.length} chars. ${m.content.slice(0, 120).replace(/\s+/g, ' ')}… Full result: ${READ_RESULT_TOOL_NAME}({ result_id: "${id}" })]` };
+    }
+    if (m.role === 'user' && Array.isArray(m.content) && m.content.some((c) => c.type === 'image_url')) {
+      compacted++;
+      const shots = m.content.filter((c) => c.type === 'image_url').length;
+      return { ...m, content: `[${shots} earlier screenshot(s) removed to save context]` };
+    }
+    if (m.role === 'assistant' && m.tool_calls?.length) {
+      const calls = m.tool_calls.map(shortenToolCall);
+      if (calls.some((c, k) => c !== m.tool_calls[k])) {
+        compacted++;
+        return { ...m, tool_calls: calls };
+      }
+    }
+    return m;
+  });
+  return { messages: out, compacted, before, after: estimateContextTokens(out, tools) };
+}
@@ -0,0 +1,250 @@
+/**
+ * Persistent contract cache (filesystem, one JSON file per entry) around urlToContract.
+ * Key = normalized URL + contract options. Within the TTL an entry is returned without fetching;
+ * after it, the page is fetched again and the stored contract is reused if the fingerprint of what
+ * the contract is built from (interactive DOM and discovered APIs) is unchanged (no re-parse),
+ * otherwise regenerated.
+ * Env: CONTRACT_CACHE_DIR (default .contract-cache), CONTRACT_CACHE_TTL (seconds, default 3600).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import * as cheerio from 'cheerio';
+import { hiddenReason } from './domParser.js';
+import { AX_ATTR } from './accessibilityTree.js';
+import { FRAME_TAG, SHADOW_ROOT_TAG } from './composedDom.js';
+
+const DEFAULT_DIR = '.contract-cache';
+const DEFAULT_TTL = 3600;
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|msclkid|_ga|ref)$/i;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Cache settings from the cache option (true or an object) and env.
+ * @param {boolean|{ dir?: string, ttl?: number, refresh?: boolean }} [cache]
+ */
+export function cacheSettings(cache) {
+  const opts = cache && typeof cache === 'object' ? cache : {};
+  const envTtl = Number(process.env.CONTRACT_CACHE_TTL);
+  return {
+    dir: path.resolve(opts.dir || process.env.CONTRACT_CACHE_DIR || DEFAULT_DIR),
+    ttl: opts.ttl ?? (Number.isFinite(envTtl) ? envTtl : DEFAULT_TTL),
+    refresh: !!opts.refresh,
+  };
+}
+
+/**
+ * Normalize a URL for cache keys: lowercase host, no fragment or default port,
+ * tracking params dropped, query params sorted.
+ * @param {string} url
+ */
+export function normalizeUrl(url) {
+  const u = new URL(url);
+  u.hash = '';
+  u.hostname = u.hostname.toLowerCase();
+  const params = [...u.searchParams.entries()]
+    .filter(([k]) => !TRACKING_PARAMS.test(k))
+    .sort(([a, av], [b, bv]) => (a === b ? av.localeCompare(bv) : a.localeCompare(b)));
+  u.search = new URLSearchParams(params).toString();
+  return u.toString();
+}
+
+/**
+ * Options that change the generated contract (others, like timeouts, do not).
+ * @param {Object} options - urlToContract options
+ */
+function keyOptions(options = {}) {
+  return {
+    context: options.context ?? null,
+    useChromium: options.useChromium !== false,
+    discoverApis: !!options.discoverApis,
+    minConfidence: options.minConfidence ?? null,
+    vertical: options.vertical ?? null,
+    profile: options.profile ?? null,
+    // only when set, so keys of existing DOM-extracted entries stay valid
+    ...(options.extraction === 'accessibility' && { extraction: 'accessibility' }),
+  };
+}
+
+/**
+ * @param {string} url
+ * @param {Object} options - urlToContract options
+ */
+export function cacheKey(url, options = {}) {
+  return sha256(JSON.stringify([normalizeUrl(url), keyOptions(options)])).slice(0, 32);
+}
+
+// Elements a contract is built from: controls, their labels and groups, role/AX-annotated elements
+// and the frame / shadow-root wrappers of composed HTML (placement)
+const FINGERPRINT_SELECTOR = [
+  'form', 'input', 'select', 'option', 'textarea', 'button', 'a[href]', 'label', 'fieldset', 'legend',
+  '[role]', '[onclick]', '[data-action]', '[data-submit]', `[${AX_ATTR}]`, FRAME_TAG, SHADOW_ROOT_TAG,
+].join(', ');
+// Their text counts too (names, labels, options); form and wrapper text is page content
+const TEXT_TAGS = new Set(['a', 'button', 'option', 'label', 'legend', 'textarea']);
+
+/**
+ * Fingerprint of what a contract is built from (domParser.js, locators.js): every attribute of forms,
+ * fields, buttons, links, labels, legends and role- or AX-annotated elements (names, values and
+ * defaults, constraints, placeholders, ARIA, classes and test ids, accessibility data), their text,
+ * the text aria-labelledby points to, whether they are hidden (own or ancestor attributes) and
+ * frame / shadow-root placement. Other page content (prices, descriptions) is ignored.
+ * @param {string} html
+ */
+export function domFingerprint(html) {
+  const $ = cheerio.load(html);
+  const parts = [];
+  $(FINGERPRINT_SELECTOR).each((_, el) => {
+    const $el = $(el);
+    const tag = el.tagName?.toLowerCase();
+    const attrs = Object.entries(el.attribs || {}).sort(([a], [b]) => a.localeCompare(b)).map(([k, v]) => `${k}=${v}`).join('\u0001');
+    const collapse = (t) => t.replace(/\s+/g, ' ').trim().slice(0, 200);
+    const text = TEXT_TAGS.has(tag) || $el.is('[role], [onclick], [data-action], [data-submit]') ? collapse($el.text()) : '';
+    const labelledBy = ($el.attr('aria-labelledby') || '').trim().split(/\s+/).filter(Boolean)
+      .map((id) => collapse($(`[id="${id.replace(/["\\]/g, '\\$&')}"]`).first().text())).join(' ');
+    parts.push([tag, attrs, text, labelledBy, hiddenReason($el) || ''].join('|'));
+  });
+  return sha256(parts.join('\n')).slice(0, 16);
+}
+
+/**
+ * Fingerprint of discovered API endpoints: method, URL template, GraphQL operation, body and response
+ * schemas, statuses and auth (names only), the parts apiEndpoints are built from. Concrete URLs and
+ * body samples, which vary per load, are left out.
+ * @param {Array<Object>} [discoveredApis]
+ */
+export function apiFingerprint(discoveredApis = []) {
+  const parts = discoveredApis.map((api) => JSON.stringify([
+    api.method, api.urlTemplate || api.path, api.graphql || null, api.bodySchema || null, api.contentType || null,
+    api.response?.statuses || [], api.response?.contentType || null, api.response?.schema || null, api.auth || null,
+  ])).sort();
+  return sha256(parts.join('\n')).slice(0, 16);
+}
+
+/**
+ * Fingerprint of a fetched page: the DOM, plus the APIs it called when they were discovered.
+ * @param {{ html: string, discoveredApis?: Array<Object> }} page
+ */
+function pageFingerprint(page) {
+  const dom = domFingerprint(page.html);
+  return page.discoveredApis ? `${dom}-${apiFingerprint(page.discoveredApis)}` : dom;
+}
+
+function entryPath(dir, key) {
+  return path.join(dir, `${key}.json`);
+}
+
+function readEntry(dir, key) {
+  try {
+    return JSON.parse(fs.readFileSync(entryPath(dir, key), 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+function writeEntry(dir, entry) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(entryPath(dir, entry.key), JSON.stringify(entry), 'utf8');
+}
+
+function cacheInfo(status, entry, settings) {
+  return {
+    status,
+    key: entry.key,
+    fingerprint: entry.fingerprint,
+    storedAt: new Date(entry.storedAt).toISOString(),
+    ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000),
+    ttl: settings.ttl,
+  };
+}
+
+/**
+ * Cached contract for a URL.
+ * status: "hit" (within TTL, not fetched), "revalidated" (fetched, DOM and API fingerprint unchanged, stored contract reused),
+ * "changed" (fetched, fingerprint differs, regenerated) or "miss" (no entry).
+ * @param {string} url
+ * @param {Object} options - urlToContract options; options.cache = true | { dir?, ttl?, refresh? }
+ * @param {() => Promise<{ html: string, discoveredApis?: Array<Object> }>} fetchPage
+ * @param {(page: { html: string, discoveredApis?: Array<Object> }) => Object} buildContract
+ * @returns {Promise<{ html: string, contract: Object, cache: Object }>}
+ */
+export async function cachedContract(url, options, fetchPage, buildContract) {
+  const settings = cacheSettings(options.cache);
+  const key = cacheKey(url, options);
+  const entry = settings.refresh ? null : readEntry(settings.dir, key);
+
+  if (entry && Date.now() - entry.storedAt < settings.ttl * 1000) {
+    entry.hits = (entry.hits || 0) + 1;
+    writeEntry(settings.dir, entry);
+    return { html: entry.html, contract: entry.contract, cache: cacheInfo('hit', entry, settings) };
+  }
+
+  const page = await fetchPage();
+  const fingerprint = pageFingerprint(page);
+  if (entry && entry.fingerprint === fingerprint) {
+    Object.assign(entry, { html: page.html, storedAt: Date.now(), hits: (entry.hits || 0) + 1 });
+    writeEntry(settings.dir, entry);
+    return { html: page.html, contract: entry.contract, cache: cacheInfo('revalidated', entry, settings) };
+  }
+
+  const fresh = {
+    key,
+    url,
+    normalizedUrl: normalizeUrl(url),
+    options: keyOptions(options),
+    fingerprint,
+    storedAt: Date.now(),
+    hits: 0,
+    contract: buildContract(page),
+    html: page.html,
+  };
+  writeEntry(settings.dir, fresh);
+  return { html: page.html, contract: fresh.contract, cache: cacheInfo(entry ? 'changed' : 'miss', fresh, settings) };
+}
+
+/**
+ * List cache entries (newest first).
+ * @param {{ dir?: string, ttl?: number }} [options]
+ */
+export function listCacheEntries(options = {}) {
+  const settings = cacheSettings(options);
+  if (!fs.existsSync(settings.dir)) return [];
+  return fs.readdirSync(settings.dir)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => readEntry(settings.dir, path.basename(f, '.json')))
+    .filter(Boolean)
+    .map((e) => ({
+      key: e.key,
+      url: e.url,
+      options: e.options,
+      fingerprint: e.fingerprint,
+      storedAt: new Date(e.storedAt).toISOString(),
+      ageSeconds: Math.round((Date.now() - e.storedAt) / 1000),
+      expired: Date.now() - e.storedAt >= settings.ttl * 1000,
+      hits: e.hits || 0,
+      actions: e.contract?.actions?.length ?? 0,
+    }))
+    .sort((a, b) => a.ageSeconds - b.ageSeconds);
+}
+
+/**
+ * Delete cache entries: all of them, only expired ones, or those for one URL (any options).
+ * @param {{ dir?: string, ttl?: number, url?: string, expired?: boolean }} [options]
+ * @returns {number} Entries removed
+ */
+export function purgeCache(options = {}) {
+  const settings = cacheSettings(options);
+  const target = options.url ? normalizeUrl(options.url) : null;
+  let removed = 0;
+  for (const e of listCacheEntries(options)) {
+    if (options.expired && !e.expired) continue;
+    if (target && normalizeUrl(e.url) !== target) continue;
+    fs.rmSync(entryPath(settings.dir, e.key), { force: true });
+    removed++;
+  }
+  return removed;
+}
@@ -0,0 +1,226 @@
+/**
+ * Contract diff: compare two contracts for the same page (e.g. saved vs fresh fetch)
+ * and report drift — added/removed/renamed actions, schema changes, locator changes.
+ * Each change has a severity; "breaking" means an agent built on the old contract will fail.
+ */
+
+import { normalizeSchema, schemaFieldNames } from './schema.js';
+
+/** Minimum similarity for an unmatched removed/added pair to count as a rename. */
+const RENAME_THRESHOLD = 0.5;
+
+function locatorKey(loc) {
+  return loc.strategy === 'role' ? `role:${loc.role}:${loc.name}` : `${loc.strategy}:${loc.value}`;
+}
+
+function locatorKeys(action) {
+  return new Set((action.locators || []).map(locatorKey));
+}
+
+function overlap(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const k of a) if (b.has(k)) shared++;
+  return shared / Math.max(a.size, b.size);
+}
+
+function propsOf(schema) {
+  return normalizeSchema(schema).properties || {};
+}
+
+/**
+ * How likely it is that two actions are the same element under different names (0..1).
+ */
+function similarity(a, b) {
+  if ((a.kind || null) !== (b.kind || null)) return 0;
+  const scores = [overlap(locatorKeys(a), locatorKeys(b))];
+  const fieldsA = new Set(schemaFieldNames(a.schema));
+  const fieldsB = new Set(schemaFieldNames(b.schema));
+  if (fieldsA.size && fieldsB.size) {
+    const union = new Set([...fieldsA, ...fieldsB]).size;
+    scores.push([...fieldsA].filter((f) => fieldsB.has(f)).length / union);
+  }
+  if (a.href && a.href === b.href) scores.push(0.9);
+  if (a.formAction && a.formAction === b.formAction && a.method === b.method) scores.push(0.7);
+  if (a.description && a.description === b.description) scores.push(0.8);
+  return Math.max(...scores);
+}
+
+/**
+ * Compare the parameter schemas of one action.
+ * @param {string} name - Action name (for messages)
+ * @param {Object} [before]
+ * @param {Object} [after]
+ * @param {Array<Object>} changes - Output list
+ */
+function diffSchema(name, before, after, changes) {
+  const propsA = propsOf(before);
+  const propsB = propsOf(after);
+  const requiredA = new Set(before?.required || []);
+  const requiredB = new Set(after?.required || []);
+  const push = (severity, field, message) => changes.push({ type: 'schema', severity, action: name, field, message });
+
+  for (const field of Object.keys(propsA)) {
+    if (!propsB[field]) push('breaking', field, `${name}: parameter "${field}" was removed`);
+  }
+  for (const field of Object.keys(propsB)) {
+    if (propsA[field]) continue;
+    if (requiredB.has(field)) push('breaking', field, `${name}: new required parameter "${field}"`);
+    else push('info', field, `${name}: new optional parameter "${field}"`);
+  }
+  for (const field of Object.keys(propsA)) {
+    const a = propsA[field];
+    const b = propsB[field];
+    if (!b) continue;
+    if (!requiredA.has(field) && requiredB.has(field)) push('breaking', field, `${name}: parameter "${field}" is now required`);
+    if (requiredA.has(field) && !requiredB.has(field)) push('info', field, `${name}: parameter "${field}" is no longer required`);
+    if (a.type !== b.type) push('breaking', field, `${name}: parameter "${field}" type changed from ${a.type} to ${b.type}`);
+    const enumA = a.enum || a.items?.enum;
+    const enumB = b.enum || b.items?.enum;
+    if (enumA && enumB) {
+      const removed = enumA.filter((v) => !enumB.includes(v));
+      const added = enumB.filter((v) => !enumA.includes(v));
+      if (removed.length) push('breaking', field, `${name}: parameter "${field}" lost enum values ${removed.map((v) => JSON.stringify(v)).join(', ')}`);
+      if (added.length) push('info', field, `${name}: parameter "${field}" gained enum values ${added.map((v) => JSON.stringify(v)).join(', ')}`);
+    } else if (!enumA && enumB) {
+      push('breaking', field, `${name}: parameter "${field}" is now restricted to ${enumB.map((v) => JSON.stringify(v)).join(', ')}`);
+    } else if (enumA && !enumB) {
+      push('info', field, `${name}: parameter "${field}" is no longer an enum`);
+    }
+    for (const key of ['pattern', 'format', 'minimum', 'maximum', 'minLength', 'maxLength']) {
+      if (a[key] !== b[key] && b[key] !== undefined) {
+        push('warning', field, `${name}: parameter "${field}" ${key} changed from ${JSON.stringify(a[key])} to ${JSON.stringify(b[key])}`);
+      }
+    }
+  }
+}
+
+/**
+ * Compare everything but the name of two matched actions.
+ */
+function diffAction(name, a, b, changes) {
+  if ((a.kind || null) !== (b.kind || null)) {
+    changes.push({ type: 'kind', severity: 'breaking', action: name, before: a.kind, after: b.kind, message: `${name}: kind changed from ${a.kind} to ${b.kind}` });
+  }
+  if (a.method !== b.method) {
+    changes.push({ type: 'method', severity: 'breaking', action: name, before: a.method, after: b.method, message: `${name}: method changed from ${a.method} to ${b.method}` });
+  }
+  if (a.submit !== b.submit) {
+    changes.push({ type: 'submit', severity: 'warning', action: name, message: `${name}: submit behaviour changed` });
+  }
+  diffSchema(name, a.schema, b.schema, changes);
+
+  const locA = locatorKeys(a);
+  const locB = locatorKeys(b);
+  if (locA.size && locB.size) {
+    const removed = [...locA].filter((k) => !locB.has(k));
+    const added = [...locB].filter((k) => !locA.has(k));
+    if (!overlap(locA, locB)) {
+      changes.push({ type: 'locators', severity: 'warning', action: name, removed, added, message: `${name}: none of the previous locators match any more` });
+    } else if (removed.length || added.length || locatorKey(a.locators[0]) !== locatorKey(b.locators[0])) {
+      changes.push({ type: 'locators', severity: 'info', action: name, removed, added, message: `${name}: locators changed (best: ${locatorKey(b.locators[0])})` });
+    }
+  }
+  if (a.href && b.href && a.href !== b.href) {
+    changes.push({ type: 'href', severity: 'warning', action: name, before: a.href, after: b.href, message: `${name}: href changed from ${a.href} to ${b.href}` });
+  }
+  if (a.formAction !== b.formAction && a.formAction && b.formAction) {
+    changes.push({ type: 'formAction', severity: 'warning', action: name, before: a.formAction, after: b.formAction, message: `${name}: form action changed from ${a.formAction} to ${b.formAction}` });
+  }
+}
+
+/**
+ * Diff one list of named actions (contract actions or intents).
+ * @param {Array<Object>} before
+ * @param {Array<Object>} after
+ * @param {string} label - 'action' | 'intent'
+ * @param {Array<Object>} changes - Output list
+ */
+function diffActionList(before = [], after = [], label, changes) {
+  const byNameB = new Map(after.map((a) => [a.action, a]));
+  const byNameA = new Map(before.map((a) => [a.action, a]));
+  const removed = before.filter((a) => !byNameB.has(a.action));
+  const added = after.filter((a) => !byNameA.has(a.action));
+
+  const candidates = [];
+  for (const a of removed) {
+    for (const b of added) {
+      const score = similarity(a, b);
+      if (score >= RENAME_THRESHOLD) candidates.push({ a, b, score });
+    }
+  }
+  candidates.sort((x, y) => y.score - x.score);
+  const renamedA = new Set();
+  const renamedB = new Set();
+  for (const { a, b, score } of candidates) {
+    if (renamedA.has(a) || renamedB.has(b)) continue;
+    renamedA.add(a);
+    renamedB.add(b);
+    changes.push({
+      type: 'renamed',
+      severity: 'breaking',
+      [label]: a.action,
+      renamedTo: b.action,
+      similarity: Math.round(score * 100) / 100,
+      message: `${label} "${a.action}" was renamed to "${b.action}"`,
+    });
+    diffAction(b.action, a, b, changes);
+  }
+
+  for (const a of removed) {
+    if (renamedA.has(a)) continue;
+    changes.push({ type: 'removed', severity: 'breaking', [label]: a.action, message: `${label} "${a.action}" was removed` });
+  }
+  for (const b of added) {
+    if (renamedB.has(b)) continue;
+    changes.push({ type: 'added', severity: 'info', [label]: b.action, message: `${label} "${b.action}" was added` });
+  }
+  for (const a of before) {
+    const b = byNameB.get(a.action);
+    if (b) diffAction(a.action, a, b, changes);
+  }
+}
+
+/**
+ * Compare two contracts for the same page.
+ * @param {Object} before - Saved contract (output of generateContract)
+ * @param {Object} after - New contract
+ * @returns {{ breaking: boolean, summary: Record<string, number>, changes: Array<{ type: string, severity: 'breaking'|'warning'|'info', message: string }> }}
+ */
+export function diffContracts(before, after) {
+  if (!before || !after || !Array.isArray(before.actions) || !Array.isArray(after.actions)) {
+    throw new Error('diffContracts: both arguments must be contracts with an actions array');
+  }
+  const changes = [];
+  if (before.contractName !== after.contractName) {
+    changes.push({ type: 'contractName', severity: 'info', before: before.contractName, after: after.contractName, message: `contract name changed from ${before.contractName} to ${after.contractName}` });
+  }
+  diffActionList(before.actions, after.actions, 'action', changes);
+  if (before.intents || after.intents) diffActionList(before.intents, after.intents, 'intent', changes);
+
+  const apiKey = (e) => `${e.method} ${e.url}`;
+  const apisA = new Set((before.apiEndpoints || []).map(apiKey));
+  const apisB = new Set((after.apiEndpoints || []).map(apiKey));
+  if (before.apiEndpoints && after.apiEndpoints) {
+    for (const k of apisA) if (!apisB.has(k)) changes.push({ type: 'apiRemoved', severity: 'warning', endpoint: k, message: `API endpoint ${k} no longer observed` });
+    for (const k of apisB) if (!apisA.has(k)) changes.push({ type: 'apiAdded', severity: 'info', endpoint: k, message: `API endpoint ${k} was added` });
+  }
+
+  const summary = { breaking: 0, warning: 0, info: 0 };
+  for (const c of changes) summary[c.severity]++;
+  return { breaking: summary.breaking > 0, summary, changes };
+}
+
+/**
+ * One line per change, breaking first; for CLI output.
+ * @param {ReturnType<typeof diffContracts>} report
+ */
+export function formatDiff(report) {
+  if (!report.changes.length) return 'No changes.';
+  const order = { breaking: 0, warning: 1, info: 2 };
+  const lines = [...report.changes]
+    .sort((a, b) => order[a.severity] - order[b.severity])
+    .map((c) => `${c.severity.toUpperCase().padEnd(8)} ${c.message}`);
+  lines.push(`${report.summary.breaking} breaking, ${report.summary.warning} warning(s), ${report.summary.info} info`);
+  return lines.join('\n');
+}
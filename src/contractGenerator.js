@@ -5,6 +5,10 @@
 
 import { extractInteractiveGroups } from './domParser.js';
 import { parseDOM } from './domParser.js';
+import { scoreForm, scoreButton, scoreLink } from './confidence.js';
+import { applyVertical } from './verticals/index.js';
+import { buildActionSchema } from './schema.js';
+import { AX_ATTR, AX_TREE_ATTR, checkExtraction } from './accessibilityTree.js';
 
 const AGENT_PREFIX = '/agent';
 
@@ -32,47 +36,60 @@ function slug(name) {
 }
 
 /**
- * Build schema object from form inputs.
+ * Generate action name from discovered API URL (path + method), or from the GraphQL operation.
+ * @param {{ method: string, url: string, path?: string, graphql?: { operationName?: string, operationType: string } }} api
+ * @param {Set<string>} used
  */
-function buildSchemaFromInputs(inputs) {
-  const schema = {};
-  for (const { name, type, required } of inputs) {
-    schema[name] = { type, required };
+function apiActionName(api, used) {
+  let base;
+  if (api.graphql?.operationName) {
+    base = `${api.graphql.operationType}_${api.graphql.operationName}`;
+  } else {
+    try {
+      const path = (api.path || new URL(api.url).pathname).replace(/\/$/, '') || 'root';
+      const segments = path.split('/').filter((seg) => seg && !seg.startsWith('{'));
+      base = `${api.method.toLowerCase()}_${segments.slice(-2).join('_') || 'api'}`;
+    } catch {
+      base = 'api';
+    }
   }
-  return schema;
+  const slug = base.replace(/[^A-Za-z0-9_]/g, '_').toLowerCase();
+  let name = slug;
+  let n = 2;
+  while (used.has(name)) name = slug + '_' + n++;
+  used.add(name);
+  return name;
 }
 
 /**
- * Generate action name from discovered API URL (path + method).
- * @param {{ method: string, url: string }} api
- * @param {Set<string>} used
+ * Frame / shadow placement of an extracted element, copied onto its action (omitted when empty).
+ * @param {{ frame?: string[], shadowPath?: string[] }} item
  */
-function apiActionName(api, used) {
-  try {
-    const u = new URL(api.url);
-    const path = u.pathname.replace(/\/$/, '') || 'root';
-    const base = path.split('/').filter(Boolean).slice(-2).join('_') || 'api';
-    const slug = `${api.method.toLowerCase()}_${base}`.replace(/[^a-z0-9_]/g, '_');
-    let name = slug;
-    let n = 2;
-    while (used.has(name)) name = slug + '_' + n++;
-    used.add(name);
-    return name;
-  } catch {
-    const name = `api_${used.size + 1}`;
-    used.add(name);
-    return name;
-  }
+function placementOf({ frame, shadowPath }) {
+  return {
+    ...(frame && { frame }),
+    ...(shadowPath && { shadowPath }),
+  };
 }
 
 /**
  * Generate full API contract from HTML.
  * @param {string} html - Full HTML string
- * @param {{ context?: string, discoveredApis?: Array<Object> }} options
- * @returns {Object} API contract (contractName, actions, apiEndpoints)
+ * Every action carries `confidence` (0..1) and `reasons`; minConfidence drops actions below it.
+ * Actions inside iframes / shadow roots (composed HTML, see composedDom.js) carry `frame` / `shadowPath`.
+ * vertical ('ecommerce', 'auto', ...) adds canonical `intents` mapped onto the raw actions.
+ * extraction: by default accessibility annotations (HTML from accessibleHtml, see accessibilityTree.js)
+ * are used when present; 'dom' ignores them, 'accessibility' requires them.
+ * @param {{ context?: string, discoveredApis?: Array<Object>, minConfidence?: number, vertical?: string, extraction?: 'dom'|'accessibility' }} options
+ * @returns {Object} API contract (contractName, actions, apiEndpoints, vertical, intents)
  */
 export function generateContract(html, options = {}) {
   const $ = parseDOM(html);
+  if (options.extraction && checkExtraction(options.extraction) === 'dom') {
+    $(`[${AX_ATTR}]`).removeAttr(AX_ATTR);
+  } else if (options.extraction === 'accessibility' && !$(`html[${AX_TREE_ATTR}]`).length) {
+    throw new Error('generateContract: extraction "accessibility" needs HTML annotated from the accessibility tree (accessibleHtml)');
+  }
   const { forms, buttons, links } = extractInteractiveGroups($);
   const contractName = inferContractName($, options.context);
   const actions = [];
@@ -81,15 +98,19 @@ export function generateContract(html, options = {}) {
   // Forms → POST/GET actions
   forms.forEach((form, idx) => {
     const actionName = form.submitLabel ? slug(form.submitLabel) : `submitForm_${idx + 1}`;
-    const schema = buildSchemaFromInputs(form.inputs);
     actions.push({
       action: actionName,
       method: form.method,
       endpoint: `${AGENT_PREFIX}/${actionName}`,
-      schema: Object.fromEntries(
-        Object.entries(schema).map(([k, v]) => [k, v.type])
-      ),
+      schema: buildActionSchema(form.inputs),
       description: form.submitLabel ? `Submit: ${form.submitLabel}` : `Form ${idx + 1}`,
+      ...scoreForm(form, { fallbackName: !form.submitLabel || form.submitLabel === 'submit' }),
+      kind: 'form',
+      submitLabel: form.submitLabel,
+      formAction: form.action,
+      locators: form.locators,
+      fieldLocators: Object.fromEntries(form.inputs.map((inp) => [inp.name, inp.locators])),
+      ...placementOf(form),
     });
   });
 
@@ -111,21 +132,31 @@ export function generateContract(html, options = {}) {
       action: actionName,
       method: 'POST',
       endpoint: `${AGENT_PREFIX}/${actionName}`,
-      schema: {},
+      schema: buildActionSchema(),
       description: btn.text || btn.id || `Button ${idx + 1}`,
+      ...scoreButton(btn, { fallbackName: !base }),
+      kind: 'button',
+      locators: btn.locators,
+      ...placementOf(btn),
     });
   });
 
   links.forEach((link) => {
     const pathSlug = slug(link.href.replace(/^https?:\/\/[^/]+/, '').replace(/\//g, '_').slice(0, 30)) || 'link';
-    const baseName = (link.text && slug(link.text)) || (link.id && slug(link.id)) || pathSlug;
+    const named = (link.text && slug(link.text)) || (link.id && slug(link.id)) || '';
+    const baseName = named || pathSlug;
     const actionName = ensureUnique(baseName, usedActions);
     actions.push({
       action: actionName,
       method: 'GET',
       endpoint: `${AGENT_PREFIX}/${actionName}`,
-      schema: {},
+      schema: buildActionSchema(),
       description: link.text || link.href,
+      ...scoreLink(link, { fallbackName: !named }),
+      kind: 'link',
+      href: link.href,
+      locators: link.locators,
+      ...placementOf(link),
     });
   });
 
@@ -133,17 +164,25 @@ export function generateContract(html, options = {}) {
   if (options.discoveredApis && options.discoveredApis.length > 0) {
     for (const api of options.discoveredApis) {
       const actionName = apiActionName(api, usedActions);
+      const { method, url, urlTemplate, bodySchema, postDataSample, contentType, ...details } = api;
+      const label = api.graphql ? `GraphQL ${api.graphql.operationType} ${api.graphql.operationName || '(anonymous)'}` : `${method} ${urlTemplate || url}`;
       apiEndpoints.push({
         action: actionName,
-        method: api.method,
-        url: api.url,
-        bodySchema: api.bodySchema,
-        description: `Real API: ${api.method} ${api.url}`,
+        method,
+        url,
+        ...(urlTemplate && { urlTemplate }),
+        bodySchema,
+        description: `Real API: ${label}`,
+        ...details,
+        ...(postDataSample && { postDataSample }),
+        ...(contentType && { contentType }),
       });
     }
   }
 
-  const out = { contractName, actions };
+  const minConfidence = options.minConfidence ?? 0;
+  const out = { contractName, actions: actions.filter((a) => a.confidence >= minConfidence) };
   if (apiEndpoints.length) out.apiEndpoints = apiEndpoints;
+  if (options.vertical) applyVertical(out, options.vertical);
   return out;
 }
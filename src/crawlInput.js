@@ -0,0 +1,127 @@
+/**
+ * Input adapter for pre-crawled documents: Firecrawl-style JSON (html / rawHtml / markdown /
+ * links / metadata), a crawl job ({ data: [...] }), or a directory of saved pages.
+ * Produces contracts without fetching anything.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { generateContract } from './contractGenerator.js';
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Minimal HTML from Markdown for contract generation: title + one anchor per link.
+ * Markdown has no forms or buttons, so only link actions survive.
+ * @param {string} markdown
+ * @param {{ title?: string, links?: string[] }} extra
+ */
+function markdownToHtml(markdown, extra = {}) {
+  const anchors = [];
+  const seen = new Set();
+  const linkRe = /(!?)\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+  let m;
+  while ((m = linkRe.exec(markdown))) {
+    if (m[1]) continue; // image
+    if (seen.has(m[3])) continue;
+    seen.add(m[3]);
+    anchors.push(`<a href="${escapeHtml(m[3])}">${escapeHtml(m[2].trim())}</a>`);
+  }
+  for (const href of extra.links || []) {
+    if (typeof href !== 'string' || seen.has(href)) continue;
+    seen.add(href);
+    anchors.push(`<a href="${escapeHtml(href)}"></a>`);
+  }
+  const title = extra.title ? `<title>${escapeHtml(extra.title)}</title>` : '';
+  return `<html><head>${title}</head><body>${anchors.join('\n')}</body></html>`;
+}
+
+/**
+ * Normalize one crawled document (Firecrawl scrape result or plain { url, html }).
+ * @param {Object} doc
+ * @returns {{ url: string|null, title: string|null, html: string, format: 'html'|'markdown' }|null}
+ */
+export function normalizeCrawlDocument(doc) {
+  if (!doc || typeof doc !== 'object') return null;
+  const meta = doc.metadata || {};
+  const url = meta.sourceURL || meta.url || doc.url || null;
+  const title = meta.title || doc.title || null;
+  const html = doc.rawHtml || doc.html;
+  if (typeof html === 'string' && html.trim()) return { url, title, html, format: 'html' };
+  if (typeof doc.markdown === 'string' || Array.isArray(doc.links)) {
+    return { url, title, html: markdownToHtml(doc.markdown || '', { title, links: doc.links }), format: 'markdown' };
+  }
+  return null;
+}
+
+/**
+ * Documents from parsed crawl JSON: a single scrape ({ data: {...} } or the doc itself),
+ * a crawl job ({ data: [...] }), or a bare array.
+ * @param {Object|Array} json
+ */
+function documentsFromJson(json) {
+  const raw = Array.isArray(json) ? json : Array.isArray(json?.data) ? json.data : json?.data ? [json.data] : [json];
+  return raw.map(normalizeCrawlDocument).filter(Boolean);
+}
+
+/**
+ * URL declared in a saved HTML page (canonical link or og:url), if any.
+ * @param {string} html
+ */
+function declaredUrl(html) {
+  const m = html.match(/<link[^>]+rel=["']canonical["'][^>]*href=["']([^"']+)["']/i) ||
+    html.match(/<meta[^>]+property=["']og:url["'][^>]*content=["']([^"']+)["']/i);
+  return m ? m[1] : null;
+}
+
+/**
+ * Read one file: .json (crawl output), .md (markdown), .html/.htm (saved page).
+ * @param {string} file
+ */
+function documentsFromFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.json') return documentsFromJson(JSON.parse(text));
+  if (ext === '.md' || ext === '.markdown') {
+    return [normalizeCrawlDocument({ markdown: text, url: null, title: path.basename(file, ext) })];
+  }
+  if (ext === '.html' || ext === '.htm') {
+    return [{ url: declaredUrl(text) || `file://${file}`, title: null, html: text, format: 'html' }];
+  }
+  return [];
+}
+
+/**
+ * Load crawled documents from a file, a directory (non-recursive), or already-parsed JSON.
+ * @param {string|Object|Array} input - Path or parsed crawl JSON
+ * @returns {Array<{ url: string|null, title: string|null, html: string, format: 'html'|'markdown' }>}
+ */
+export function loadCrawlDocuments(input) {
+  if (typeof input !== 'string') return documentsFromJson(input);
+  const stat = fs.statSync(input);
+  if (!stat.isDirectory()) return documentsFromFile(input);
+  return fs.readdirSync(input)
+    .sort()
+    .map((name) => path.join(input, name))
+    .filter((file) => fs.statSync(file).isFile())
+    .flatMap(documentsFromFile);
+}
+
+/**
+ * Generate contracts for pre-crawled documents (no fetch).
+ * @param {string|Object|Array} input - Path (file or directory) or parsed crawl JSON
+ * @param {{ context?: string, minConfidence?: number, vertical?: string }} options - Passed to generateContract
+ * @returns {Array<{ url: string|null, title: string|null, format: string, contract: Object }>}
+ */
+export function crawlToContracts(input, options = {}) {
+  const docs = loadCrawlDocuments(input);
+  if (!docs.length) throw new Error('No crawled documents with html or markdown found in input');
+  return docs.map(({ url, title, html, format }) => ({
+    url,
+    title,
+    format,
+    contract: generateContract(html, options),
+  }));
+}
@@ -4,6 +4,11 @@
  */
 
 import * as cheerio from 'cheerio';
+import { buildLocators, demoteAmbiguous, accessibleName, labelText, framePath, shadowPath } from './locators.js';
+import { AX_ATTR, readAccessibility, axHiddenReason, axFields } from './accessibilityTree.js';
+
+// Accessibility roles clicked like buttons, for elements the button selectors miss (see accessibilityTree.js)
+const AX_BUTTON_ROLES = new Set(['button', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'switch', 'DisclosureTriangle']);
 
 /**
  * @param {string} html - Raw HTML string
@@ -13,8 +18,53 @@ export function parseDOM(html) {
   return cheerio.load(html, { decodeEntities: true });
 }
 
+/**
+ * Visibility hint: why an element (or an ancestor) looks hidden, or null.
+ * Annotated HTML (accessibilityTree.js) answers from the rendered accessibility tree; otherwise only
+ * inline signals are visible to Cheerio (no computed styles).
+ * @param {import('cheerio').Cheerio} $el
+ * @returns {string|null}
+ */
+export function hiddenReason($el) {
+  if (($el.attr('type') || '').toLowerCase() === 'hidden') return 'type=hidden';
+  const ax = readAccessibility($el);
+  if (ax) return axHiddenReason(ax);
+  let $node = $el;
+  while ($node.length && $node.prop('tagName')) {
+    if ($node.attr('hidden') != null) return 'hidden attribute';
+    if ($node.attr('aria-hidden') === 'true') return 'aria-hidden';
+    const style = ($node.attr('style') || '').replace(/\s+/g, '').toLowerCase();
+    if (/display:none|visibility:hidden/.test(style)) return 'inline style';
+    if (/(^|\s)(hidden|d-none|sr-only|visually-hidden|invisible)(\s|$)/.test($node.attr('class') || '')) return 'hidden class';
+    $node = $node.parent();
+  }
+  return null;
+}
+
+/**
+ * Where an element lives in composed HTML (see composedDom.js): enclosing iframe selectors
+ * and shadow host paths. Empty object for plain light-DOM elements of the main frame.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Element} el
+ * @returns {{ frame?: string[], shadowPath?: string[] }}
+ */
+export function placement($, el) {
+  const frame = framePath(el);
+  const shadow = shadowPath($, el);
+  return {
+    ...(frame.length && { frame }),
+    ...(shadow.length && { shadowPath: shadow }),
+  };
+}
+
 /**
  * Get all interactive element groups: forms, standalone buttons, links with intent.
+ * Every form, input, button and link carries ranked `locators` (see locators.js); elements
+ * inside iframes or shadow roots also carry `frame` / `shadowPath` (see placement).
+ * On HTML annotated from the accessibility tree (accessibilityTree.js), hidden and decorative
+ * forms, buttons and links are left out, names come from the tree, and elements carry `role`,
+ * `states` ({ disabled, expanded, checked, pressed }) and `visible`. Hidden fields stay in their
+ * form (it still submits them) with visible: false.
  * @param {import('cheerio').CheerioAPI} $
  * @returns {{ forms: Array<Object>, buttons: Array<Object>, links: Array<Object> }}
  */
@@ -22,21 +72,38 @@ export function extractInteractiveGroups($) {
   const forms = [];
   $('form').each((i, el) => {
     const $form = $(el);
+    const formAx = readAccessibility($form);
+    if (axHiddenReason(formAx)) return;
     const action = $form.attr('action') || '';
     const method = (($form.attr('method') || 'get').toUpperCase());
     const inputs = [];
+    const byName = new Map();
     $form.find('input, select, textarea').each((_, inp) => {
       const $inp = $(inp);
       const name = $inp.attr('name');
       if (!name) return;
-      const type = ($inp.attr('type') || $inp.prop('tagName').toLowerCase() === 'select' ? 'select' : 'text').toLowerCase();
-      inputs.push({
-        name,
-        type: type === 'select' ? 'string' : inputTypeToSchema(type),
-        required: !!$inp.attr('required'),
-      });
+      const field = extractField($, $inp);
+      if (!field) return;
+      const existing = byName.get(name);
+      if (existing && existing.options && field.options && existing.htmlType === field.htmlType) {
+        // radio group / checkbox group sharing one name
+        existing.options.push(...field.options);
+        existing.required = existing.required || field.required;
+        if (field.htmlType === 'checkbox') {
+          existing.multiple = true;
+          existing.value = [...[].concat(existing.value ?? []), ...[].concat(field.value ?? [])];
+        } else if (field.value !== undefined) {
+          existing.value = field.value;
+        }
+        return;
+      }
+      if (existing) return;
+      const entry = { name, ...field, locators: buildLocators($, inp) };
+      byName.set(name, entry);
+      inputs.push(entry);
     });
     const submitText = $form.find('button[type="submit"], input[type="submit"]').first().text().trim() || 'submit';
+    const hasSubmit = $form.find('button[type="submit"], input[type="submit"], input[type="image"], button:not([type])').length > 0;
     forms.push({
       action,
       method: method === 'GET' ? 'GET' : 'POST',
@@ -44,6 +111,11 @@ export function extractInteractiveGroups($) {
       submitLabel: submitText,
       id: $form.attr('id') || null,
       className: $form.attr('class') || null,
+      hasSubmit,
+      hidden: hiddenReason($form),
+      ...axFields(formAx),
+      locators: buildLocators($, el),
+      ...placement($, el),
     });
   });
 
@@ -59,10 +131,18 @@ export function extractInteractiveGroups($) {
     '[data-submit]',
     '[onclick]',
   ].join(', ');
-  $(buttonSelectors).each((i, el) => {
+  const axButtons = $(`[${AX_ATTR}]`).filter((_, el) => {
+    const $el = $(el);
+    if ($el.is(buttonSelectors) || $el.is('a[href], input, select, textarea')) return false;
+    return AX_BUTTON_ROLES.has(readAccessibility($el)?.role);
+  });
+  $(buttonSelectors).add(axButtons).each((i, el) => {
     const $el = $(el);
+    const ax = readAccessibility($el);
+    if (axHiddenReason(ax)) return;
     const text = (
       $el.text().trim() ||
+      ax?.name ||
       $el.attr('value') ||
       $el.attr('aria-label') ||
       $el.attr('title') ||
@@ -76,7 +156,20 @@ export function extractInteractiveGroups($) {
     const tag = $el.prop('tagName') ? $el.prop('tagName').toLowerCase() : '';
     const type = ($el.attr('type') || '').toLowerCase();
     const inForm = $el.closest('form').length > 0;
-    buttons.push({ text, id, className, tag, type, inForm });
+    buttons.push({
+      text,
+      id,
+      className,
+      tag,
+      type,
+      inForm,
+      role: $el.attr('role') || null,
+      name: ax?.name || accessibleName($, $el),
+      hidden: hiddenReason($el),
+      ...axFields(ax),
+      locators: buildLocators($, el),
+      ...placement($, el),
+    });
   });
 
   const links = [];
@@ -84,21 +177,99 @@ export function extractInteractiveGroups($) {
     const $el = $(el);
     const href = ($el.attr('href') || '').trim();
     if (!href || href === '#' || href.startsWith('#') || /^\s*javascript\s*:/i.test(href)) return;
+    const ax = readAccessibility($el);
+    if (axHiddenReason(ax)) return;
     const text = $el.text().trim();
     const className = $el.attr('class') || null;
     const id = $el.attr('id') || null;
-    links.push({ href, text, className, id });
+    links.push({
+      href,
+      text,
+      className,
+      id,
+      name: ax?.name || accessibleName($, $el),
+      hidden: hiddenReason($el),
+      ...axFields(ax),
+      locators: buildLocators($, el),
+      ...placement($, el),
+    });
   });
 
+  demoteAmbiguous([
+    ...forms.flatMap((f) => [f.locators, ...f.inputs.map((inp) => inp.locators)]),
+    ...buttons.map((b) => b.locators),
+    ...links.map((l) => l.locators),
+  ]);
+
   return { forms, buttons, links };
 }
 
+/**
+ * Raw details of one form field: type, label, constraints, options and current value.
+ * Checkbox/radio fields carry their own option so same-name groups can be merged.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Cheerio} $inp
+ * @returns {Object|null} null for controls that are not data fields (submit, button, reset, image)
+ */
+function extractField($, $inp) {
+  const tag = $inp.prop('tagName').toLowerCase();
+  const htmlType = tag === 'input' ? ($inp.attr('type') || 'text').toLowerCase() : tag;
+  if (['submit', 'button', 'reset', 'image'].includes(htmlType)) return null;
+  const ax = htmlType === 'hidden' ? null : readAccessibility($inp);
+  const attr = (a) => {
+    const v = $inp.attr(a);
+    return v == null || v === '' ? undefined : v;
+  };
+  const field = {
+    type: tag === 'select' ? 'string' : inputTypeToSchema(htmlType),
+    required: $inp.attr('required') != null,
+    htmlType,
+    label: ax?.name || accessibleName($, $inp),
+    title: labelText($, $inp) || undefined,
+    placeholder: attr('placeholder'),
+    min: attr('min'),
+    max: attr('max'),
+    step: attr('step'),
+    pattern: attr('pattern'),
+    minLength: attr('minlength'),
+    maxLength: attr('maxlength'),
+    ...axFields(ax),
+  };
+
+  if (tag === 'select') {
+    field.multiple = $inp.attr('multiple') != null;
+    field.options = [];
+    const selected = [];
+    $inp.find('option').each((_, opt) => {
+      const $opt = $(opt);
+      const label = $opt.text().replace(/\s+/g, ' ').trim();
+      const value = $opt.attr('value') ?? label;
+      field.options.push({ value, label });
+      if ($opt.attr('selected') != null) selected.push(value);
+    });
+    if (field.multiple) field.value = selected;
+    else field.value = selected[0] ?? field.options[0]?.value;
+  } else if (htmlType === 'radio' || htmlType === 'checkbox') {
+    const value = $inp.attr('value') ?? 'on';
+    const groupLabel = $inp.closest('fieldset').find('legend').first().text().replace(/\s+/g, ' ').trim();
+    field.options = [{ value, label: labelText($, $inp) || value }];
+    field.title = groupLabel || (htmlType === 'checkbox' ? field.title : undefined);
+    if ($inp.attr('checked') != null) field.value = htmlType === 'checkbox' ? [value] : value;
+  } else if (tag === 'textarea') {
+    field.value = $inp.text() || undefined;
+  } else {
+    field.value = attr('value');
+  }
+  return field;
+}
+
 function inputTypeToSchema(type) {
   const map = {
     text: 'string',
     email: 'string',
     password: 'string',
     number: 'number',
+    range: 'number',
     tel: 'string',
     url: 'string',
     hidden: 'string',
@@ -1,39 +1,54 @@
 /**
  * Fetch full HTML from URL using Chromium (Playwright).
- * Renders JS so we get complete DOM.
+ * Renders JS so we get complete DOM, including open shadow roots and iframe documents (composedDom.js).
  * Fallback: plain fetch() when useChromium=false or Chromium fails.
+ * With profile, the page is loaded with that auth profile's cookies (authProfiles.js).
+ * extraction 'accessibility' annotates the HTML from the accessibility tree (accessibilityTree.js); it
+ * needs Chromium, so it throws instead of falling back to plain HTML.
  */
 
 import { chromium } from 'playwright';
+import { pageHtml, checkExtraction } from './accessibilityTree.js';
+import { profileContextOptions, cookieHeader } from './authProfiles.js';
 
 /**
  * @param {string} url - Full URL to fetch
- * @param {{ waitUntil?: 'load'|'domcontentloaded'|'networkidle', timeout?: number, useChromium?: boolean }} options
+ * @param {{ waitUntil?: 'load'|'domcontentloaded'|'networkidle', timeout?: number, useChromium?: boolean, profile?: string, extraction?: 'dom'|'accessibility' }} options
  * @returns {Promise<string>} Full HTML string
  */
 export async function fetchHtmlWithChromium(url, options = {}) {
-  const { waitUntil = 'domcontentloaded', timeout = 30000, useChromium = true } = options;
+  const { waitUntil = 'domcontentloaded', timeout = 30000, useChromium = true, profile, extraction } = options;
+  const contextOptions = profileContextOptions(profile);
+  checkExtraction(extraction);
+  if (extraction === 'accessibility' && !useChromium) {
+    throw new Error('extraction "accessibility" needs Chromium (the accessibility tree); it cannot be used with useChromium: false');
+  }
 
   if (useChromium) {
     try {
       const browser = await chromium.launch({ headless: true });
       try {
-        const page = await browser.newPage();
+        const page = await (await browser.newContext(contextOptions)).newPage();
         await page.goto(url, { waitUntil, timeout });
         await new Promise((r) => setTimeout(r, 1500));
-        const html = await page.content();
+        const html = await pageHtml(page, extraction);
         return html;
       } finally {
         await browser.close();
       }
     } catch (e) {
+      if (extraction === 'accessibility') throw new Error(`extraction "accessibility" needs Chromium, which failed: ${e.message}`);
       console.error('Chromium fetch failed, falling back to HTTP GET:', e.message);
     }
   }
 
   // Fallback: plain HTTP GET (no JS execution)
+  const cookie = contextOptions.storageState ? cookieHeader(contextOptions.storageState.cookies, url) : '';
   const res = await fetch(url, {
-    headers: { 'User-Agent': 'Mozilla/5.0 (compatible; AgentContractGenerator/1.0)' },
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; AgentContractGenerator/1.0)',
+      ...(cookie && { Cookie: cookie }),
+    },
     signal: AbortSignal.timeout(timeout),
   });
   if (!res.ok) throw new Error(`HTTP ${res.status}: ${url}`);
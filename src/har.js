@@ -0,0 +1,292 @@
+/**
+ * HAR 1.2 (HTTP Archive) conversion for API discovery. Captures are kept as plain exchanges
+ * ({ method, url, headers, postData, status, responseHeaders, responseBody, ... }, see apiDiscovery.js);
+ * this module turns them into a HAR log and reads HAR files from QA or browser devtools back.
+ * The rendered page HTML travels in pages[]._renderedHtml (custom HAR fields start with "_"),
+ * so a HAR we export rebuilds the same DOM contract offline; other HARs fall back to the
+ * main document response.
+ * Redaction (on by default) covers auth/CSRF headers and cookie values, and in request bodies,
+ * JSON/HTML response bodies and the rendered HTML the values of password, payment, CSRF and
+ * token fields. Other content (e.g. personal data in responses) is kept as captured.
+ */
+
+import fs from 'fs';
+import * as cheerio from 'cheerio';
+import { isSensitiveField } from './policy.js';
+
+const CREATOR = { name: 'parse_web', version: '1.0.0' };
+const REDACTED = '<redacted>';
+const SECRET_HEADERS = /^(authorization|proxy-authorization|x-api-key|api-key|x-auth-token|x-access-token|x-session-token|x-csrf-token|x-xsrf-token|x-csrftoken|csrf-token)$/i;
+const API_RESOURCE_TYPES = new Set(['xhr', 'fetch']);
+const API_MIME = /json|graphql|xml|protobuf|grpc/i;
+const CSRF_FIELD = /csrf|xsrf|authenticity.?token|requestverificationtoken|^_?token$/i;
+const TOKEN_FIELD = /(access|refresh|id|auth|session).?token|api.?key|secret|session.?id/i;
+
+/** Whether a body field, JSON key or input name holds a value that must not be written to disk. */
+function secretField(name) {
+  return isSensitiveField(name) || CSRF_FIELD.test(name) || TOKEN_FIELD.test(name);
+}
+
+/** Parsed JSON with the values of secret keys replaced, at any depth. */
+function redactJson(value) {
+  if (Array.isArray(value)) return value.map(redactJson);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, secretField(k) && v != null && typeof v !== 'object' ? REDACTED : redactJson(v)]));
+}
+
+/**
+ * HTML with the values of password, payment and CSRF inputs and csrf meta tags replaced
+ * (returned unchanged when there are none).
+ * @param {string} html
+ */
+function redactHtml(html) {
+  const $ = cheerio.load(html);
+  let changed = false;
+  $('input[value]').each((_, el) => {
+    const $el = $(el);
+    if (($el.attr('type') || '').toLowerCase() === 'password' || secretField($el.attr('name') || $el.attr('id') || '')) {
+      $el.attr('value', REDACTED);
+      changed = true;
+    }
+  });
+  $('meta[name][content]').each((_, el) => {
+    if (CSRF_FIELD.test($(el).attr('name'))) {
+      $(el).attr('content', REDACTED);
+      changed = true;
+    }
+  });
+  return changed ? $.html() : html;
+}
+
+/**
+ * Request or response body safe to write to disk: secret fields of JSON, form-encoded and HTML
+ * bodies redacted; other bodies as they are.
+ * @param {string|null|undefined} text
+ * @param {string} mimeType
+ */
+function redactBody(text, mimeType) {
+  if (!text) return text;
+  if (/html/i.test(mimeType)) return redactHtml(text);
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object') return JSON.stringify(redactJson(parsed));
+  } catch (_) {}
+  if (/x-www-form-urlencoded/i.test(mimeType) || (!mimeType && /^[^\s=&]+=[^\s]*$/.test(text))) {
+    const params = new URLSearchParams(text);
+    for (const key of [...params.keys()]) if (secretField(key)) params.set(key, REDACTED);
+    return params.toString();
+  }
+  return text;
+}
+
+/**
+ * Header value safe to write to disk: secrets replaced, cookie names kept (values dropped).
+ * @param {string} name - Lowercase header name
+ * @param {string} value
+ */
+function redactHeader(name, value) {
+  if (/authorization$/.test(name)) return value.replace(/^(\w+\s+)?.*$/, (_, scheme = '') => `${scheme}${REDACTED}`);
+  if (SECRET_HEADERS.test(name)) return REDACTED;
+  if (name === 'cookie') return value.split(';').map((c) => `${c.split('=')[0].trim()}=${REDACTED}`).join('; ');
+  if (name === 'set-cookie') return value.split('\n').map((c) => `${c.split('=')[0].trim()}=${REDACTED}`).join('\n');
+  return value;
+}
+
+function harHeaders(headers = {}, redact) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: redact ? redactHeader(name.toLowerCase(), String(value)) : String(value) }));
+}
+
+/** HAR name/value header list → object with lowercase names (repeated headers joined). */
+function headerMap(list = []) {
+  const out = {};
+  for (const { name, value } of list) {
+    const key = String(name).toLowerCase();
+    if (key.startsWith(':')) continue; // HTTP/2 pseudo-headers
+    out[key] = key in out ? `${out[key]}${key === 'cookie' ? '; ' : ', '}${value}` : String(value);
+  }
+  return out;
+}
+
+/**
+ * One exchange as a HAR entry.
+ * @param {Object} exchange
+ * @param {string} pageref
+ * @param {boolean} redact
+ */
+function harEntry(exchange, pageref, redact) {
+  const u = new URL(exchange.url);
+  const requestType = exchange.headers?.['content-type'] || 'application/octet-stream';
+  const responseType = exchange.responseHeaders?.['content-type'] || '';
+  const body = (redact ? redactBody(exchange.responseBody, responseType) : exchange.responseBody) ?? '';
+  const postData = redact ? redactBody(exchange.postData, requestType) : exchange.postData;
+  const time = Math.max(0, Math.round(exchange.time || 0));
+  return {
+    pageref,
+    startedDateTime: exchange.startedDateTime || new Date().toISOString(),
+    time,
+    request: {
+      method: exchange.method,
+      url: exchange.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: harHeaders(exchange.headers, redact),
+      queryString: [...u.searchParams.entries()].map(([name, value]) => ({ name, value })),
+      ...(postData != null && { postData: { mimeType: requestType, text: postData } }),
+      headersSize: -1,
+      bodySize: postData != null ? Buffer.byteLength(postData) : 0,
+    },
+    response: {
+      status: exchange.status ?? 0,
+      statusText: exchange.statusText || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: harHeaders(exchange.responseHeaders, redact),
+      content: {
+        size: Buffer.byteLength(body),
+        mimeType: responseType,
+        ...(exchange.responseBody != null && { text: body }),
+      },
+      redirectURL: exchange.responseHeaders?.location || '',
+      headersSize: -1,
+      bodySize: exchange.responseBody != null ? Buffer.byteLength(body) : -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+    ...(exchange.resourceType && { _resourceType: exchange.resourceType }),
+  };
+}
+
+/**
+ * Build a HAR log from captured exchanges.
+ * Unless redact is false, auth and CSRF headers, cookie values and secret body and HTML fields are
+ * redacted (see module comment).
+ * @param {Array<Object>} exchanges
+ * @param {{ url: string, title?: string, html?: string, startedDateTime?: string, redact?: boolean }} page
+ *   html: rendered (composed) page HTML, stored as pages[0]._renderedHtml
+ * @returns {{ log: Object }}
+ */
+export function exchangesToHar(exchanges, page) {
+  const { url, title, html, startedDateTime, redact = true } = page;
+  const pageref = 'page_1';
+  return {
+    log: {
+      version: '1.2',
+      creator: CREATOR,
+      pages: [{
+        id: pageref,
+        startedDateTime: startedDateTime || exchanges[0]?.startedDateTime || new Date().toISOString(),
+        title: title || url,
+        pageTimings: {},
+        _url: url,
+        ...(html != null && { _renderedHtml: redact ? redactHtml(html) : html }),
+      }],
+      entries: exchanges.map((e) => harEntry(e, pageref, redact)),
+    },
+  };
+}
+
+/**
+ * Parse a HAR from a file path, a JSON string or an already-parsed object.
+ * @param {string|Object} input
+ * @returns {{ version?: string, pages?: Array<Object>, entries: Array<Object> }} The log
+ */
+export function readHar(input) {
+  let har = input;
+  if (typeof input === 'string') {
+    const text = /^\s*\{/.test(input) ? input : fs.readFileSync(input, 'utf8');
+    har = JSON.parse(text);
+  }
+  const log = har?.log;
+  if (!log || !Array.isArray(log.entries)) throw new Error('Not a HAR file: expected { log: { entries: [...] } }');
+  return log;
+}
+
+/**
+ * Response body text of a HAR entry (base64 content decoded).
+ * @param {Object} entry
+ */
+function contentText(entry) {
+  const content = entry.response?.content;
+  if (typeof content?.text !== 'string') return null;
+  return content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+}
+
+/**
+ * HAR entry → exchange (header names lowercase).
+ * @param {Object} entry
+ */
+function toExchange(entry) {
+  const responseHeaders = headerMap(entry.response?.headers);
+  if (!responseHeaders['content-type'] && entry.response?.content?.mimeType) {
+    responseHeaders['content-type'] = entry.response.content.mimeType;
+  }
+  const headers = headerMap(entry.request.headers);
+  if (!headers['content-type'] && entry.request.postData?.mimeType) headers['content-type'] = entry.request.postData.mimeType;
+  return {
+    method: String(entry.request.method || 'GET').toUpperCase(),
+    url: entry.request.url,
+    headers,
+    postData: entry.request.postData?.text ?? null,
+    status: entry.response?.status || null,
+    statusText: entry.response?.statusText || '',
+    responseHeaders,
+    responseBody: contentText(entry),
+    resourceType: entry._resourceType || null,
+    startedDateTime: entry.startedDateTime,
+    time: entry.time,
+  };
+}
+
+/**
+ * Whether an exchange is an API call: xhr/fetch when the HAR records resource types,
+ * otherwise a non-document request with an API-like content type or a request body.
+ * @param {Object} exchange
+ */
+function isApiExchange(exchange) {
+  if (exchange.resourceType) return API_RESOURCE_TYPES.has(exchange.resourceType);
+  const type = exchange.responseHeaders['content-type'] || '';
+  if (/html/i.test(type)) return false;
+  return API_MIME.test(type) || API_MIME.test(exchange.headers['content-type'] || '') ||
+    (exchange.postData != null && exchange.method !== 'GET');
+}
+
+function sameDocument(a, b) {
+  try {
+    const ua = new URL(a);
+    const ub = new URL(b);
+    return ua.origin === ub.origin && ua.pathname.replace(/\/$/, '') === ub.pathname.replace(/\/$/, '') && ua.search === ub.search;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Split a HAR into the page (URL + HTML) and its API exchanges.
+ * The page is pages[0] (or the page whose URL matches options.url); its HTML is _renderedHtml when
+ * present, otherwise the HTML response of the main document (redirects followed).
+ * @param {string|Object} input - HAR path, JSON string or object
+ * @param {{ url?: string }} options - Pick the page/document with this URL (default: first page)
+ * @returns {{ url: string|null, title: string|null, html: string, exchanges: Array<Object>, apiExchanges: Array<Object> }}
+ */
+export function loadHar(input, options = {}) {
+  const log = readHar(input);
+  const pages = log.pages || [];
+  const page = (options.url && pages.find((p) => p._url && sameDocument(p._url, options.url))) || pages[0] || null;
+  const entries = page && log.entries.some((e) => e.pageref) ? log.entries.filter((e) => e.pageref === page.id) : log.entries;
+  const exchanges = entries.filter((e) => e?.request?.url).map(toExchange);
+
+  const htmlDocs = exchanges.filter((e) => /html/i.test(e.responseHeaders['content-type'] || '') && e.responseBody);
+  const wanted = options.url || page?._url;
+  const documentEntry = (wanted && htmlDocs.find((e) => sameDocument(e.url, wanted))) ||
+    htmlDocs.find((e) => e.resourceType === 'document') || htmlDocs[0] || null;
+
+  const html = page?._renderedHtml ?? documentEntry?.responseBody;
+  if (!html) throw new Error('HAR has no page HTML: no pages[]._renderedHtml and no HTML document response with content');
+  return {
+    url: page?._url || documentEntry?.url || options.url || null,
+    title: page?.title || null,
+    html,
+    exchanges,
+    apiExchanges: exchanges.filter(isApiExchange),
+  };
+}
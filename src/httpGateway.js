@@ -0,0 +1,248 @@
+/**
+ * HTTP gateway: serves the /agent/* endpoints that contracts describe, so non-MCP clients
+ * can use the layer as a plain REST API.
+ *   POST   /contracts                      { url, context?, vertical?, min_confidence?, discover_apis?, profile?, extraction?, html? } → contract
+ *   GET    /contracts                      list generated contracts
+ *   GET    /contracts/:contractId          one contract
+ *   DELETE /contracts/:contractId          drop contract and close its browser session
+ *   POST   /agent/:contractId/:action      run action with JSON body params → new page state
+ *   GET    /agent/:contractId/:action?...  same, params from the query string; only for actions that are GET
+ *                                          themselves (links, GET forms), others answer 405
+ *     headers X-Confirm-Token / X-Dry-Run: safety policy (policy.js); a risky action answers 428 with a confirm_token
+ * Each contract gets its own browser session, opened on the first action at the contract URL;
+ * later actions continue in that session (cookies, cart, current page). With profile, both the
+ * contract fetch and the session use that saved auth profile (authProfiles.js).
+ * There is no authentication: any client that reaches the gateway can fetch any URL, internal
+ * addresses included, with any saved profile. Keep it on loopback; startGateway refuses another
+ * host unless allowRemote is set (CLI: --allow-remote).
+ */
+
+import http from 'http';
+import { urlToContract } from './index.js';
+import { EXTRACTION_MODES } from './accessibilityTree.js';
+import { generateContract } from './contractGenerator.js';
+import * as browserSession from './browserSession.js';
+
+const MAX_BODY = 5 * 1024 * 1024;
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const json = JSON.stringify(body, null, 2);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json), ...headers });
+  res.end(json);
+}
+
+/**
+ * Read and parse a JSON request body ({} when empty).
+ * @param {http.IncomingMessage} req
+ */
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) throw httpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8').trim();
+  if (!text) return {};
+  try {
+    const body = JSON.parse(text);
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) throw new Error('expected an object');
+    return body;
+  } catch (e) {
+    throw httpError(400, `Body is not a JSON object: ${e.message}`);
+  }
+}
+
+/**
+ * Params from a query string; repeated keys become arrays.
+ * @param {URLSearchParams} searchParams
+ */
+function queryParams(searchParams) {
+  const params = {};
+  for (const key of new Set(searchParams.keys())) {
+    const values = searchParams.getAll(key);
+    params[key] = values.length > 1 ? values : values[0];
+  }
+  return params;
+}
+
+/**
+ * Map executeAction errors to HTTP status codes.
+ * @param {Error} err
+ */
+function statusFor(err) {
+  if (err.status) return err.status;
+  if (/unknown action/.test(err.message)) return 404;
+  if (/unknown params|invalid params|has no field for|Unknown ref/.test(err.message)) return 400;
+  // the page changed under the request: the element is gone or cannot be read
+  if (/^Stale ref|^Cannot check .* against the safety policy/.test(err.message)) return 409;
+  return 500;
+}
+
+/**
+ * Create the gateway server (not listening yet).
+ * @param {{ headed?: boolean, useChromium?: boolean }} options - headed: show browser windows; useChromium: passed to urlToContract
+ * @returns {http.Server}
+ */
+export function createGateway(options = {}) {
+  const { headed = false, useChromium = true } = options;
+  /** @type {Map<string, { id: string, url: string, contract: Object, profile: string|null, sessionId: string|null, queue: Promise<unknown>, createdAt: string }>} */
+  const contracts = new Map();
+  let nextId = 1;
+
+  function getEntry(contractId) {
+    const entry = contracts.get(contractId);
+    if (!entry) throw httpError(404, `Unknown contract "${contractId}"`);
+    return entry;
+  }
+
+  function summary(entry) {
+    return {
+      contractId: entry.id,
+      url: entry.url,
+      contractName: entry.contract.contractName,
+      actions: entry.contract.actions.length,
+      sessionId: entry.sessionId,
+      profile: entry.profile,
+      createdAt: entry.createdAt,
+    };
+  }
+
+  async function createContract(body) {
+    const { url, html, context, vertical, min_confidence, discover_apis, profile, extraction } = body;
+    if (!url || typeof url !== 'string') throw httpError(400, 'url is required');
+    if (extraction != null && !EXTRACTION_MODES.includes(extraction)) throw httpError(400, `extraction must be one of ${EXTRACTION_MODES.join(', ')}`);
+    // the accessibility tree comes from a rendered page: neither posted HTML nor a plain HTTP fetch has one
+    if (extraction === 'accessibility' && (html || !useChromium)) {
+      throw httpError(400, `extraction "accessibility" needs the page rendered in Chromium${html ? '; it cannot be used with html' : ' (the gateway runs with useChromium: false)'}`);
+    }
+    const minConfidence = min_confidence != null ? Number(min_confidence) : undefined;
+    if (minConfidence !== undefined && !(Number.isFinite(minConfidence) && minConfidence >= 0 && minConfidence <= 1)) {
+      throw httpError(400, 'min_confidence must be a number between 0 and 1');
+    }
+    const contract = html
+      ? generateContract(String(html), { context, vertical, minConfidence, extraction })
+      : (await urlToContract(url, { context, vertical, minConfidence, useChromium, discoverApis: !!discover_apis, profile, extraction })).contract;
+    const entry = { id: `c${nextId++}`, url, contract, profile: profile || null, sessionId: null, queue: Promise.resolve(), createdAt: new Date().toISOString() };
+    contracts.set(entry.id, entry);
+    return entry;
+  }
+
+  /**
+   * Run an action in the contract's session. Actions of one contract run one at a time;
+   * an action missing from the stored contract is looked up on the current page instead.
+   */
+  function runAction(entry, actionName, params, policyOptions = {}) {
+    const run = async () => {
+      if (!entry.sessionId || !browserSession.hasPage(entry.sessionId)) {
+        const { session_id } = await browserSession.launch({ headed, profile: entry.profile || undefined });
+        entry.sessionId = session_id;
+        await browserSession.navigate(entry.url, { sessionId: session_id });
+      }
+      const known = [...(entry.contract.intents || []), ...entry.contract.actions].some((a) => a.action === actionName);
+      const out = await browserSession.executeAction(known ? entry.contract : null, actionName, params, { sessionId: entry.sessionId, ...policyOptions });
+      return { contractId: entry.id, ...out };
+    };
+    const result = entry.queue.then(run, run);
+    entry.queue = result.catch(() => {});
+    return result;
+  }
+
+  async function route(req, res) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    let parts;
+    try {
+      parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (_) {
+      throw httpError(400, `Malformed escape in path ${pathname}`);
+    }
+    const method = req.method.toUpperCase();
+
+    if (method === 'GET' && (parts.length === 0 || parts[0] === 'health')) {
+      return sendJson(res, 200, { ok: true, contracts: contracts.size });
+    }
+
+    if (parts[0] === 'contracts') {
+      if (parts.length === 1 && method === 'GET') {
+        return sendJson(res, 200, { contracts: [...contracts.values()].map(summary) });
+      }
+      if (parts.length === 1 && method === 'POST') {
+        const entry = await createContract(await readJson(req));
+        return sendJson(res, 201, { contractId: entry.id, url: entry.url, contract: entry.contract });
+      }
+      if (parts.length === 2 && method === 'GET') {
+        const entry = getEntry(parts[1]);
+        return sendJson(res, 200, { contractId: entry.id, url: entry.url, sessionId: entry.sessionId, contract: entry.contract });
+      }
+      if (parts.length === 2 && method === 'DELETE') {
+        const entry = getEntry(parts[1]);
+        contracts.delete(entry.id);
+        if (entry.sessionId) await browserSession.close({ sessionId: entry.sessionId }).catch(() => {});
+        return sendJson(res, 200, { ok: true, contractId: entry.id });
+      }
+    }
+
+    if (parts[0] === 'agent' && parts.length === 3 && (method === 'GET' || method === 'POST')) {
+      const entry = getEntry(parts[1]);
+      // prefetchers, crawlers and <img> tags issue GETs: never let them submit forms or click buttons
+      if (method === 'GET') {
+        const action = [...(entry.contract.intents || []), ...entry.contract.actions].find((a) => a.action === parts[2]);
+        if (String(action?.method || '').toUpperCase() !== 'GET') {
+          throw Object.assign(httpError(405, `GET only runs links and GET forms; use POST for "${parts[2]}"`), { headers: { Allow: 'POST' } });
+        }
+      }
+      const params = { ...queryParams(searchParams), ...(method === 'POST' ? await readJson(req) : {}) };
+      const out = await runAction(entry, parts[2], params, {
+        confirmToken: req.headers['x-confirm-token'] || undefined,
+        dryRun: /^(1|true)$/i.test(req.headers['x-dry-run'] || ''),
+      });
+      return sendJson(res, out.requires_confirmation && !out.dry_run ? 428 : 200, out);
+    }
+
+    throw httpError(404, `No route for ${method} ${pathname}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch((err) => {
+      const status = statusFor(err);
+      if (status >= 500) console.error(err);
+      sendJson(res, status, { ok: false, error: err.message }, err.headers);
+    });
+  });
+  server.on('close', () => {
+    browserSession.close({ all: true }).catch(() => {});
+  });
+  return server;
+}
+
+/**
+ * Whether a listen address only accepts connections from this machine.
+ * @param {string} host
+ */
+function isLoopback(host) {
+  return /^(localhost|127(\.\d{1,3}){3}|::1|\[::1\])$/i.test(host);
+}
+
+/**
+ * Create the gateway and start listening.
+ * @param {{ port?: number, host?: string, allowRemote?: boolean, headed?: boolean, useChromium?: boolean }} options
+ *   allowRemote: listen on a non-loopback host (the gateway has no authentication, see above)
+ * @returns {Promise<http.Server>}
+ */
+export async function startGateway(options = {}) {
+  const { port = 8787, host = '127.0.0.1', allowRemote = false, ...rest } = options;
+  if (!isLoopback(host) && !allowRemote) {
+    throw new Error(`Refusing to serve the gateway on ${host}: it has no authentication and fetches any URL for its clients. Use a loopback host, or set allowRemote (--allow-remote) behind your own access control.`);
+  }
+  const server = createGateway(rest);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  return server;
+}
@@ -2,34 +2,105 @@
  * Agent Web Contract Generator
  * Pipeline: URL → Chromium HTML → DOM parse → semantic analysis → API contract JSON
  * Optional: capture XHR/fetch during load → apiEndpoints for direct API calls.
+ * Multi-page: urlToActionGraph crawls link/form actions → action graph of page contracts.
+ * Offline: harToContract builds the same contract (DOM + apiEndpoints) from a HAR capture.
  */
 
 import { fetchHtmlWithChromium } from './fetcher.js';
-import { fetchWithApiDiscovery } from './apiDiscovery.js';
+import { fetchWithApiDiscovery, discoverFromHar } from './apiDiscovery.js';
 import { generateContract } from './contractGenerator.js';
+import { buildActionGraph } from './actionGraph.js';
+import { cachedContract } from './contractCache.js';
+import { checkExtraction } from './accessibilityTree.js';
+
+/**
+ * Fetch a page: HTML, plus recorded XHR/fetch calls when discoverApis is set (Chromium only).
+ * har: also return the capture as a HAR log (implies discoverApis).
+ * @param {string} url
+ * profile: load the page with a saved auth profile's cookies (authProfiles.js).
+ * @param {{ useChromium?: boolean, discoverApis?: boolean, har?: boolean, profile?: string, extraction?: 'dom'|'accessibility', waitUntil?: string, timeout?: number }} options
+ * @returns {Promise<{ html: string, discoveredApis?: Array<Object>, har?: Object }>}
+ */
+async function fetchPage(url, options = {}) {
+  const { useChromium = true, discoverApis = false, ...rest } = options;
+  if (rest.har && !useChromium) throw new Error('HAR export needs Chromium (useChromium: true)');
+  if ((discoverApis || rest.har) && useChromium) return fetchWithApiDiscovery(url, rest);
+  return { html: await fetchHtmlWithChromium(url, { ...rest, useChromium }) };
+}
 
 /**
  * Full pipeline: fetch HTML from URL then generate contract.
  * If discoverApis is true, uses Playwright to record XHR/fetch and adds apiEndpoints to contract.
+ * With cache (true or { dir, ttl, refresh }), contracts are stored on disk (see contractCache.js)
+ * and the result includes cache: { status: 'hit'|'revalidated'|'changed'|'miss', ... }.
+ * With har, the page is always fetched (no cache) and the result includes the capture as a HAR log.
+ * With profile, the page is fetched logged in as that saved auth profile (cached separately).
+ * With extraction 'accessibility', elements are read from the rendered accessibility tree (accessibilityTree.js):
+ * hidden and decorative controls are dropped, names and states come from the tree.
  * @param {string} url - Page URL
- * @param {{ context?: string, useChromium?: boolean, discoverApis?: boolean, waitUntil?: string, timeout?: number }} options
- * @returns {Promise<{ html: string, contract: Object }>}
+ * @param {{ context?: string, useChromium?: boolean, discoverApis?: boolean, har?: boolean, harRedact?: boolean, profile?: string, minConfidence?: number, vertical?: string, extraction?: 'dom'|'accessibility', cache?: boolean|{ dir?: string, ttl?: number, refresh?: boolean }, waitUntil?: string, timeout?: number }} options
+ * @returns {Promise<{ html: string, contract: Object, cache?: Object, har?: Object }>}
  */
 export async function urlToContract(url, options = {}) {
-  const { context, useChromium = true, discoverApis = false, ...rest } = options;
+  const { context, minConfidence, vertical, cache, ...fetchOptions } = options;
+  checkExtraction(fetchOptions.extraction);
+  const build = ({ html, discoveredApis }) => generateContract(html, { context, discoveredApis, minConfidence, vertical });
+
+  if (cache && !fetchOptions.har) return cachedContract(url, options, () => fetchPage(url, fetchOptions), build);
+
+  const page = await fetchPage(url, fetchOptions);
+  return { html: page.html, contract: build(page), ...(page.har && { har: page.har }) };
+}
 
-  if (discoverApis && useChromium) {
-    const { html, discoveredApis } = await fetchWithApiDiscovery(url, rest);
-    const contract = generateContract(html, { context, discoveredApis });
-    return { html, contract };
-  }
+/**
+ * Offline pipeline: HAR capture → DOM contract (rendered HTML or main document) + apiEndpoints. No network.
+ * @param {string|Object} har - HAR path, JSON string or parsed object
+ * @param {{ url?: string, context?: string, minConfidence?: number, vertical?: string }} options - url picks the page in multi-page HARs
+ * @returns {{ url: string|null, html: string, contract: Object }}
+ */
+export function harToContract(har, options = {}) {
+  const { url, context, minConfidence, vertical } = options;
+  const page = discoverFromHar(har, { url });
+  const contract = generateContract(page.html, { context, discoveredApis: page.discoveredApis, minConfidence, vertical });
+  return { url: page.url, html: page.html, contract };
+}
 
-  const html = await fetchHtmlWithChromium(url, { ...rest, useChromium });
-  const contract = generateContract(html, { context });
-  return { html, contract };
+/**
+ * Multi-page pipeline: crawl from startUrl following link and GET form actions,
+ * dedupe pages by URL template, return an action graph (nodes = page contracts, edges = actions).
+ * @param {string} startUrl
+ * @param {{ maxPages?: number, sameOrigin?: boolean, useChromium?: boolean, waitUntil?: string, timeout?: number, onPage?: (url: string, index: number) => void }} options
+ * @returns {Promise<{ startUrl: string, nodes: Array<Object>, edges: Array<Object> }>}
+ */
+export async function urlToActionGraph(startUrl, options = {}) {
+  const { maxPages = 10, sameOrigin = true, onPage, ...rest } = options;
+  return buildActionGraph(
+    startUrl,
+    async (url) => (await urlToContract(url, rest)).contract,
+    { maxPages, sameOrigin, onPage }
+  );
 }
 
 export { fetchHtmlWithChromium } from './fetcher.js';
-export { fetchWithApiDiscovery } from './apiDiscovery.js';
+export { fetchWithApiDiscovery, discoverFromHar } from './apiDiscovery.js';
+export { exchangesToHar, loadHar } from './har.js';
 export { parseDOM, extractInteractiveGroups } from './domParser.js';
+export { accessibleHtml, readAccessibility } from './accessibilityTree.js';
 export { generateContract } from './contractGenerator.js';
+export { buildLocators } from './locators.js';
+export { urlTemplate, templatizeUrl } from './urlTemplate.js';
+export { crawlToContracts, loadCrawlDocuments } from './crawlInput.js';
+export { diffContracts } from './contractDiff.js';
+export { diffSnapshots } from './snapshotDiff.js';
+export { contractToOpenApi } from './openapi.js';
+export { listCacheEntries, purgeCache, domFingerprint } from './contractCache.js';
+export { listProfiles, loadProfile, deleteProfile, cookieHeader } from './authProfiles.js';
+export { getPolicy, configurePolicy, resetPolicy, classifyAction, classifyElement, classifyApiCall, enforcePolicy } from './policy.js';
+export { callApi } from './apiCall.js';
+export { createTracer, summarizeTrace, loadTraceSummaries, aggregateSummaries, compareSummaries } from './tracing.js';
+export { createProvider, createMockProvider } from './llmProviders.js';
+export { resolveBudget, createResultStore, fitToolResult, compactHistory, estimateContextTokens } from './contextBudget.js';
+export { runBenchmark, summarizeBenchmark } from './benchmark/runner.js';
+export { startFixtureServer, createFixtureState } from './benchmark/fixtureServer.js';
+export { TASKS as BENCHMARK_TASKS } from './benchmark/tasks.js';
+export { registerVertical, listVerticals, applyVertical, resolveIntent } from './verticals/index.js';
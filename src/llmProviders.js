@@ -0,0 +1,351 @@
+/**
+ * LLM providers for the agent loop. The loop speaks the OpenAI chat format (messages with
+ * tool_calls / role "tool", tools as { type: "function", function }); each provider translates
+ * requests and responses to its API and returns an OpenAI-style completion:
+ *   { model, choices: [{ message: { role, content, tool_calls? }, finish_reason }], usage: { prompt_tokens, completion_tokens, cost? } }
+ * Providers:
+ *   openrouter - OpenRouter (default; OPENROUTER_API_KEY, OPENROUTER_MODEL)
+ *   openai     - any OpenAI-compatible endpoint: OpenAI, Ollama (http://localhost:11434/v1), llama.cpp, vLLM
+ *   anthropic  - Anthropic Messages API (tool_use / tool_result blocks)
+ *   mock       - replays a scripted list of tool calls, no network (offline tests, benchmarks)
+ * Every provider tells whether its model takes image input (vision): Anthropic models do, the mock does
+ * not, other models are judged by name unless LLM_VISION (on | off) says otherwise.
+ * Env: LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL, LLM_API_KEY (or OPENAI_API_KEY / ANTHROPIC_API_KEY),
+ * LLM_MAX_TOKENS (anthropic), LLM_MOCK_SCRIPT (JSON file of mock steps), LLM_VISION.
+ */
+
+import fs from 'fs';
+
+export const PROVIDERS = ['openrouter', 'openai', 'anthropic', 'mock'];
+
+const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MODELS = {
+  openrouter: 'google/gemini-3.1-pro-preview',
+  openai: 'gpt-4o-mini',
+  anthropic: 'claude-sonnet-4-5',
+  mock: 'mock',
+};
+
+// Model names of the common image-capable families (OpenAI-compatible servers report no capabilities)
+const VISION_MODELS = /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|\bo[134]\b|claude|gemini|gemma-?3|pixtral|mistral-(small|medium)|llava|bakllava|moondream|minicpm-v|vision|\bvl\b|-vl|llama-?4|grok-(2-vision|4)/i;
+
+/**
+ * Whether the model takes image input: the explicit setting (true/false, or LLM_VISION on/off),
+ * else a guess from the model name.
+ * @param {string} model
+ * @param {boolean} [setting]
+ */
+function visionSupport(model, setting) {
+  if (typeof setting === 'boolean') return setting;
+  const env = process.env.LLM_VISION || '';
+  if (/^(on|true|1)$/i.test(env)) return true;
+  if (/^(off|false|0)$/i.test(env)) return false;
+  return VISION_MODELS.test(String(model || ''));
+}
+
+/**
+ * Rough token count of text (≈4 characters per token), for providers that report no usage.
+ * @param {string} text
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text ?? '').length / 4);
+}
+
+/**
+ * JSON Schema of a tool without keys that strict or local servers reject ($schema).
+ * @param {Object} schema
+ */
+function toolParameters(schema) {
+  const { $schema, ...rest } = schema || { type: 'object', properties: {} };
+  return rest;
+}
+
+async function postJson(name, url, headers, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const err = await res.text();
+    throw new Error(`${name} ${res.status}: ${err}`);
+  }
+  return res.json();
+}
+
+/**
+ * OpenAI chat completions (OpenRouter and OpenAI-compatible servers).
+ * @param {{ name: string, label: string, url: string, apiKey?: string, model: string, vision: boolean, extraBody?: Object, headers?: Object }} config
+ *   label: name in error messages
+ */
+function openAiCompatible(config) {
+  return {
+    name: config.name,
+    model: config.model,
+    vision: config.vision,
+    async chat({ model, messages, tools }) {
+      const body = {
+        model: model || config.model,
+        messages,
+        ...(tools && tools.length > 0 && {
+          tools: tools.map((t) => ({ ...t, function: { ...t.function, parameters: toolParameters(t.function.parameters) } })),
+          tool_choice: 'auto',
+        }),
+        ...config.extraBody,
+      };
+      const headers = { ...config.headers, ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` }) };
+      return postJson(config.label, config.url, headers, body);
+    },
+  };
+}
+
+/**
+ * OpenAI-style content (string or parts with image_url data URLs) → Anthropic content blocks.
+ * @param {string|Array<Object>|null} content
+ */
+function anthropicContent(content) {
+  if (content == null) return [];
+  if (typeof content === 'string') return content ? [{ type: 'text', text: content }] : [];
+  return content.map((part) => {
+    if (part.type !== 'image_url') return { type: 'text', text: part.text ?? '' };
+    const match = /^data:([^;]+);base64,(.*)$/s.exec(part.image_url?.url || '');
+    return match
+      ? { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } }
+      : { type: 'image', source: { type: 'url', url: part.image_url?.url } };
+  });
+}
+
+/**
+ * OpenAI chat messages → Anthropic { system, messages }. Tool results become tool_result blocks in a
+ * user message; consecutive messages of the same role are merged (the API requires alternation).
+ * @param {Array<Object>} messages
+ */
+export function toAnthropicMessages(messages) {
+  const system = [];
+  const out = [];
+  const push = (role, blocks) => {
+    if (!blocks.length) return;
+    const last = out[out.length - 1];
+    if (last?.role === role) last.content.push(...blocks);
+    else out.push({ role, content: blocks });
+  };
+  for (const m of messages) {
+    if (m.role === 'system') {
+      system.push(typeof m.content === 'string' ? m.content : anthropicContent(m.content).map((b) => b.text).join('\n'));
+    } else if (m.role === 'tool') {
+      push('user', [{ type: 'tool_result', tool_use_id: m.tool_call_id, content: String(m.content ?? '') }]);
+    } else if (m.role === 'assistant') {
+      const calls = (m.tool_calls || []).map((tc) => {
+        let input = tc.function?.arguments ?? {};
+        if (typeof input === 'string') {
+          try {
+            input = JSON.parse(input || '{}');
+          } catch {
+            input = {};
+          }
+        }
+        return { type: 'tool_use', id: tc.id, name: tc.function?.name, input };
+      });
+      push('assistant', [...anthropicContent(m.content), ...calls]);
+    } else {
+      push('user', anthropicContent(m.content));
+    }
+  }
+  return { system: system.join('\n\n'), messages: out };
+}
+
+/**
+ * Anthropic Messages response → OpenAI-style completion.
+ * @param {Object} response
+ */
+export function fromAnthropicResponse(response) {
+  const blocks = response.content || [];
+  const text = blocks.filter((b) => b.type === 'text').map((b) => b.text).join('\n');
+  const toolCalls = blocks.filter((b) => b.type === 'tool_use').map((b) => ({
+    id: b.id,
+    type: 'function',
+    function: { name: b.name, arguments: JSON.stringify(b.input ?? {}) },
+  }));
+  const finishReasons = { tool_use: 'tool_calls', end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length' };
+  const usage = response.usage || {};
+  return {
+    model: response.model,
+    choices: [{
+      message: { role: 'assistant', content: text || null, ...(toolCalls.length && { tool_calls: toolCalls }) },
+      finish_reason: finishReasons[response.stop_reason] || response.stop_reason,
+    }],
+    usage: {
+      prompt_tokens: (usage.input_tokens ?? 0) + (usage.cache_read_input_tokens ?? 0) + (usage.cache_creation_input_tokens ?? 0),
+      completion_tokens: usage.output_tokens ?? 0,
+      ...(usage.cache_read_input_tokens && { prompt_tokens_details: { cached_tokens: usage.cache_read_input_tokens } }),
+    },
+  };
+}
+
+/**
+ * Anthropic Messages API.
+ * @param {{ apiKey: string, model: string, baseUrl?: string, maxTokens?: number }} config
+ */
+function anthropicProvider(config) {
+  return {
+    name: 'anthropic',
+    model: config.model,
+    vision: config.vision,
+    async chat({ model, messages, tools }) {
+      const { system, messages: converted } = toAnthropicMessages(messages);
+      const body = {
+        model: model || config.model,
+        max_tokens: config.maxTokens,
+        ...(system && { system }),
+        messages: converted,
+        ...(tools && tools.length > 0 && {
+          tools: tools.map((t) => ({
+            name: t.function.name,
+            description: t.function.description,
+            input_schema: toolParameters(t.function.parameters),
+          })),
+        }),
+      };
+      const response = await postJson('Anthropic', `${config.baseUrl.replace(/\/$/, '')}/messages`, {
+        'x-api-key': config.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+      }, body);
+      return fromAnthropicResponse(response);
+    },
+  };
+}
+
+/**
+ * Scripted provider: each chat call returns the next step of the script, no network.
+ * Steps: { tool, args } (one call), { tool_calls: [{ tool, args }] } (parallel calls), { content } (text reply),
+ * or a function (request) => step. After the last step it replies with text.
+ * With autoConfirm, a tool result that requires confirmation makes it repeat the same calls with the
+ * confirm_token (a user who always approves), once: if the repeated calls still require confirmation the
+ * token was rejected, and the script goes on. Usage is estimated from the request and response size.
+ * @param {{ script: Array<Object|Function>, autoConfirm?: boolean, model?: string, vision?: boolean }} config
+ */
+export function createMockProvider(config) {
+  const script = config.script || [];
+  let next = 0;
+  let pending = null;
+  let callId = 0;
+  const toolCall = ({ tool, args = {} }) => ({
+    id: `call_${++callId}`,
+    type: 'function',
+    function: { name: tool, arguments: JSON.stringify(args) },
+  });
+  const model = config.model || DEFAULT_MODELS.mock;
+  return {
+    name: 'mock',
+    model,
+    vision: !!config.vision,
+    async chat(request) {
+      const { messages, tools } = request;
+      let calls = null;
+      let content = null;
+      const confirming = pending?.some((c) => c.args?.confirm_token);
+      const confirmToken = config.autoConfirm && pending && !confirming && lastConfirmToken(messages);
+      if (confirmToken) {
+        calls = pending.map((c) => ({ ...c, args: { ...c.args, confirm_token: confirmToken } }));
+      } else if (next < script.length) {
+        let step = script[next++];
+        if (typeof step === 'function') step = await step(request);
+        if (step?.tool_calls) calls = step.tool_calls;
+        else if (step?.tool) calls = [step];
+        else content = step?.content ?? '';
+      } else {
+        content = 'Done: the mock script has no more steps.';
+      }
+      pending = calls;
+      const message = calls
+        ? { role: 'assistant', content, tool_calls: calls.map(toolCall) }
+        : { role: 'assistant', content };
+      return {
+        model,
+        choices: [{ message, finish_reason: calls ? 'tool_calls' : 'stop' }],
+        usage: {
+          prompt_tokens: estimateTokens(JSON.stringify(messages)) + estimateTokens(JSON.stringify(tools || [])),
+          completion_tokens: estimateTokens(JSON.stringify(message)),
+        },
+      };
+    },
+  };
+}
+
+/**
+ * confirm_token of a requires_confirmation tool result after the last assistant message, if any.
+ * @param {Array<Object>} messages
+ */
+function lastConfirmToken(messages) {
+  const lastAssistant = messages.map((m) => m.role).lastIndexOf('assistant');
+  for (const m of messages.slice(lastAssistant + 1)) {
+    if (m.role !== 'tool') continue;
+    try {
+      const data = JSON.parse(m.content);
+      if (data?.requires_confirmation && data.confirm_token && !data.dry_run) return data.confirm_token;
+    } catch {
+      // not JSON: no confirmation
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a provider from options, falling back to env.
+ * @param {{ provider?: string, model?: string, apiKey?: string, baseUrl?: string, maxTokens?: number, vision?: boolean,
+ *   script?: Array<Object|Function>, autoConfirm?: boolean }} [options]
+ *   provider: one of PROVIDERS (default LLM_PROVIDER or openrouter); script: mock steps (default: LLM_MOCK_SCRIPT file);
+ *   vision: whether the model takes images (default: see module comment)
+ * @returns {{ name: string, model: string, vision: boolean, chat: (request: { model?: string, messages: Array<Object>, tools?: Array<Object> }) => Promise<Object> }}
+ */
+export function createProvider(options = {}) {
+  const env = process.env;
+  const name = options.provider || env.LLM_PROVIDER || 'openrouter';
+  const model = options.model || env.LLM_MODEL || (name === 'openrouter' && env.OPENROUTER_MODEL) || DEFAULT_MODELS[name];
+  switch (name) {
+    case 'openrouter': {
+      const apiKey = options.apiKey || env.OPENROUTER_API_KEY;
+      if (!apiKey) throw new Error('Set OPENROUTER_API_KEY (or choose another LLM_PROVIDER)');
+      return openAiCompatible({
+        name: 'openrouter',
+        label: 'OpenRouter',
+        url: OPENROUTER_URL,
+        apiKey,
+        model,
+        vision: visionSupport(model, options.vision),
+        headers: { 'HTTP-Referer': 'https://github.com/parse_web_agent' },
+        // OpenRouter: include cost in usage
+        extraBody: { usage: { include: true } },
+      });
+    }
+    case 'openai': {
+      const baseUrl = options.baseUrl || env.LLM_BASE_URL || OPENAI_BASE_URL;
+      const apiKey = options.apiKey || env.LLM_API_KEY || env.OPENAI_API_KEY;
+      // local servers (Ollama, llama.cpp) need no key; api.openai.com does
+      if (!apiKey && baseUrl === OPENAI_BASE_URL) throw new Error('Set LLM_API_KEY or OPENAI_API_KEY, or LLM_BASE_URL for a local server');
+      return openAiCompatible({ name: 'openai', label: 'OpenAI-compatible', url: `${baseUrl.replace(/\/$/, '')}/chat/completions`, apiKey, model, vision: visionSupport(model, options.vision) });
+    }
+    case 'anthropic': {
+      const apiKey = options.apiKey || env.LLM_API_KEY || env.ANTHROPIC_API_KEY;
+      if (!apiKey) throw new Error('Set ANTHROPIC_API_KEY (or LLM_API_KEY)');
+      return anthropicProvider({
+        apiKey,
+        model,
+        vision: options.vision ?? true,
+        baseUrl: options.baseUrl || env.LLM_BASE_URL || ANTHROPIC_BASE_URL,
+        maxTokens: options.maxTokens || Number(env.LLM_MAX_TOKENS) || 4096,
+      });
+    }
+    case 'mock': {
+      let script = options.script;
+      if (!script && env.LLM_MOCK_SCRIPT) script = JSON.parse(fs.readFileSync(env.LLM_MOCK_SCRIPT, 'utf8'));
+      if (!Array.isArray(script)) throw new Error('Mock provider needs a script: pass script or set LLM_MOCK_SCRIPT to a JSON array of steps');
+      return createMockProvider({ script, autoConfirm: options.autoConfirm, model: options.model || env.LLM_MODEL, vision: options.vision });
+    }
+    default:
+      throw new Error(`Unknown LLM provider "${name}" (use ${PROVIDERS.join(', ')})`);
+  }
+}
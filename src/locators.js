@@ -0,0 +1,319 @@
+/**
+ * Stable element locators for contract actions and inputs.
+ * Each element gets several strategies (CSS, ARIA role + name, XPath, label text),
+ * ranked by robustness so an executor can re-find it after minor layout changes.
+ * In composed HTML (see composedDom.js) locators are relative to the element's own frame;
+ * CSS paths cross shadow roots with a descendant step, which Playwright pierces.
+ */
+
+import { SHADOW_ROOT_TAG, FRAME_TAG } from './composedDom.js';
+
+const TEST_ID_ATTRS = ['data-testid', 'data-test', 'data-qa', 'data-cy'];
+const FRAME_BODY = 'html > body > ';
+
+const SCORES = {
+  id: 0.95,
+  testId: 0.9,
+  name: 0.85,
+  role: 0.8,
+  label: 0.75,
+  unstableId: 0.6,
+  path: 0.5,
+  ambiguous: 0.45,
+  xpath: 0.4,
+};
+
+/**
+ * Ids that look generated (framework counters, hashes) are likely to change between builds.
+ * @param {string} id
+ */
+function looksGenerated(id) {
+  return /\d{3,}|^[a-f0-9]{8,}$|^:r[0-9a-z]+:$|^(ember|react|vue|mui)[-_]?\d/i.test(id);
+}
+
+function cssString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function collapse(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+}
+
+function tagOf($el) {
+  return ($el.prop('tagName') || '').toLowerCase();
+}
+
+/**
+ * Nearest enclosing <agent-frame> wrapper (the element's iframe document), or null for the main frame.
+ * @param {import('cheerio').Element} el
+ */
+function frameRoot(el) {
+  for (let node = el.parent; node; node = node.parent) {
+    if (node.type === 'tag' && node.name === FRAME_TAG) return node;
+  }
+  return null;
+}
+
+/**
+ * Number of matches for a selector within the element's own frame.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {string} selector
+ * @param {import('cheerio').Element} el
+ */
+function countInFrame($, selector, el) {
+  const root = frameRoot(el);
+  // frame documents are inlined under their wrapper, so their html > body is the wrapper itself
+  const matches = root && selector.startsWith(FRAME_BODY)
+    ? $(root).find(`:scope > ${selector.slice(FRAME_BODY.length)}`)
+    : $(selector);
+  return matches.filter((_, n) => frameRoot(n) === root).length;
+}
+
+/**
+ * Selectors of the iframes enclosing an element, outermost first (empty in the main frame).
+ * @param {import('cheerio').Element} el
+ * @returns {string[]}
+ */
+export function framePath(el) {
+  const path = [];
+  for (let node = frameRoot(el); node; node = frameRoot(node)) {
+    path.unshift(node.attribs['data-frame-selector']);
+  }
+  return path;
+}
+
+/**
+ * CSS paths of the shadow hosts enclosing an element within its frame, outermost first.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Element} el
+ * @returns {string[]}
+ */
+export function shadowPath($, el) {
+  const path = [];
+  for (let node = el.parent; node && node.name !== FRAME_TAG; node = node.parent) {
+    if (node.type === 'tag' && node.name === SHADOW_ROOT_TAG && node.parent?.type === 'tag') {
+      path.unshift(cssPath($, node.parent));
+    }
+  }
+  return path;
+}
+
+/**
+ * Implicit (or explicit) ARIA role of an element.
+ * @param {import('cheerio').Cheerio} $el
+ * @returns {string|null}
+ */
+export function ariaRole($el) {
+  const explicit = ($el.attr('role') || '').trim().split(/\s+/)[0];
+  if (explicit) return explicit;
+  const tag = tagOf($el);
+  const type = ($el.attr('type') || 'text').toLowerCase();
+  switch (tag) {
+    case 'a':
+      return $el.attr('href') != null ? 'link' : null;
+    case 'button':
+      return 'button';
+    case 'select':
+      return $el.attr('multiple') != null ? 'listbox' : 'combobox';
+    case 'textarea':
+      return 'textbox';
+    case 'form':
+      return 'form';
+    case 'input':
+      if (['submit', 'button', 'image', 'reset'].includes(type)) return 'button';
+      if (type === 'checkbox') return 'checkbox';
+      if (type === 'radio') return 'radio';
+      if (type === 'range') return 'slider';
+      if (type === 'number') return 'spinbutton';
+      if (type === 'search') return 'searchbox';
+      if (type === 'hidden') return null;
+      return 'textbox';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Text of the <label> associated with a form field (label[for], wrapping label, aria-labelledby).
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Cheerio} $el
+ * @returns {string}
+ */
+export function labelText($, $el) {
+  const labelledBy = ($el.attr('aria-labelledby') || '').trim();
+  if (labelledBy) {
+    const text = labelledBy.split(/\s+/).map((id) => $(`[id=${cssString(id)}]`).first().text()).join(' ');
+    if (collapse(text)) return collapse(text);
+  }
+  const id = $el.attr('id');
+  if (id) {
+    const text = $(`label[for=${cssString(id)}]`).first().text();
+    if (collapse(text)) return collapse(text);
+  }
+  const $wrap = $el.closest('label');
+  if ($wrap.length) {
+    const $clone = $wrap.clone();
+    $clone.find('input, select, textarea').remove();
+    return collapse($clone.text());
+  }
+  return '';
+}
+
+/**
+ * Accessible name approximation from static HTML.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Cheerio} $el
+ * @returns {string}
+ */
+export function accessibleName($, $el) {
+  const tag = tagOf($el);
+  const type = ($el.attr('type') || '').toLowerCase();
+  const label = labelText($, $el);
+  if (label) return label;
+  if ($el.attr('aria-label')) return collapse($el.attr('aria-label'));
+  if (tag === 'input' && ['submit', 'button', 'reset'].includes(type)) return collapse($el.attr('value'));
+  if (tag === 'input' && type === 'image') return collapse($el.attr('alt'));
+  if (['input', 'select', 'textarea'].includes(tag)) {
+    return collapse($el.attr('placeholder') || $el.attr('title'));
+  }
+  if (tag === 'form') return collapse($el.attr('title'));
+  return collapse($el.text() || $el.find('img[alt]').first().attr('alt') || $el.attr('title'));
+}
+
+/**
+ * Structural CSS path: tag:nth-of-type steps up to the nearest ancestor with a stable id.
+ * A shadow root boundary becomes a descendant step from the host; a frame boundary ends
+ * the path at the frame document's body.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Element} el
+ */
+function cssPath($, el) {
+  let path = '';
+  let node = el;
+  while (node && node.type === 'tag') {
+    if (node.name === FRAME_TAG) return `${FRAME_BODY}${path}`;
+    const $node = $(node);
+    const id = $node.attr('id');
+    if (node !== el && id && !looksGenerated(id) && countInFrame($, `[id=${cssString(id)}]`, node) === 1) {
+      const step = /^[A-Za-z][\w-]*$/.test(id) ? `#${id}` : `[id=${cssString(id)}]`;
+      return path ? `${step}${path.startsWith(' ') ? '' : ' > '}${path}` : step;
+    }
+    const tag = node.name;
+    const sameTag = (node.parent?.children || []).filter((c) => c.type === 'tag' && c.name === tag);
+    const step = sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag;
+    path = path ? `${step}${path.startsWith(' ') ? '' : ' > '}${path}` : step;
+    if (node.parent?.type === 'tag' && node.parent.name === SHADOW_ROOT_TAG) {
+      path = ` ${path}`;
+      node = node.parent.parent;
+    } else {
+      node = node.parent;
+    }
+  }
+  return path.trim();
+}
+
+/**
+ * Absolute XPath (or id-anchored when the element has an id), relative to the element's frame.
+ * Null inside shadow roots: XPath does not pierce them.
+ * @param {import('cheerio').Element} el
+ * @returns {string|null}
+ */
+function xpath(el) {
+  const steps = [];
+  let node = el;
+  while (node && node.type === 'tag') {
+    if (node.name === SHADOW_ROOT_TAG) return null;
+    if (node.name === FRAME_TAG) {
+      steps.unshift('html', 'body');
+      break;
+    }
+    const tag = node.name;
+    const sameTag = (node.parent?.children || []).filter((c) => c.type === 'tag' && c.name === tag);
+    steps.unshift(sameTag.length > 1 ? `${tag}[${sameTag.indexOf(node) + 1}]` : tag);
+    node = node.parent;
+  }
+  const id = el.attribs?.id;
+  if (id && !id.includes('"')) return `//*[@id="${id}"]`;
+  return '/' + steps.join('/');
+}
+
+/**
+ * Build ranked locators for one element.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Element} el
+ * @returns {Array<{ strategy: 'css'|'role'|'xpath'|'label', value?: string, role?: string, name?: string, score: number }>}
+ */
+export function buildLocators($, el) {
+  const $el = $(el);
+  const tag = tagOf($el);
+  const unique = (selector) => {
+    try {
+      return countInFrame($, selector, el) === 1;
+    } catch {
+      return false;
+    }
+  };
+  const locators = [];
+
+  let css = null;
+  const id = $el.attr('id');
+  if (id && unique(`[id=${cssString(id)}]`)) {
+    const selector = /^[A-Za-z][\w-]*$/.test(id) ? `#${id}` : `[id=${cssString(id)}]`;
+    css = { strategy: 'css', value: selector, score: looksGenerated(id) ? SCORES.unstableId : SCORES.id };
+  }
+  if (!css || css.score < SCORES.testId) {
+    for (const attr of TEST_ID_ATTRS) {
+      const v = $el.attr(attr);
+      if (v && unique(`[${attr}=${cssString(v)}]`)) {
+        css = { strategy: 'css', value: `[${attr}=${cssString(v)}]`, score: SCORES.testId };
+        break;
+      }
+    }
+  }
+  const name = $el.attr('name');
+  if ((!css || css.score < SCORES.name) && name && unique(`${tag}[name=${cssString(name)}]`)) {
+    css = { strategy: 'css', value: `${tag}[name=${cssString(name)}]`, score: SCORES.name };
+  }
+  if (!css) {
+    const path = cssPath($, el);
+    if (unique(path)) css = { strategy: 'css', value: path, score: SCORES.path };
+  }
+  if (css) locators.push(css);
+
+  const role = ariaRole($el);
+  const accName = accessibleName($, $el);
+  if (role && accName) locators.push({ strategy: 'role', role, name: accName, score: SCORES.role });
+
+  if (['input', 'select', 'textarea'].includes(tag)) {
+    const label = labelText($, $el);
+    if (label) locators.push({ strategy: 'label', value: label, score: SCORES.label });
+  }
+
+  const xp = xpath(el);
+  if (xp) locators.push({ strategy: 'xpath', value: xp, score: SCORES.xpath });
+
+  return locators.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Demote role and label locators that match more than one element on the page
+ * (e.g. five "Add to cart" buttons) below structural paths, then re-rank.
+ * @param {Array<Array<Object>>} locatorLists - One ranked list per element
+ */
+export function demoteAmbiguous(locatorLists) {
+  const keyOf = (loc) => (loc.strategy === 'role' ? `role:${loc.role}:${loc.name}` : loc.strategy === 'label' ? `label:${loc.value}` : null);
+  const counts = new Map();
+  for (const list of locatorLists) {
+    for (const loc of list) {
+      const key = keyOf(loc);
+      if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  for (const list of locatorLists) {
+    for (const loc of list) {
+      const key = keyOf(loc);
+      if (key && counts.get(key) > 1) loc.score = SCORES.ambiguous;
+    }
+    list.sort((a, b) => b.score - a.score);
+  }
+}
@@ -8,9 +8,26 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
-import { urlToContract } from './index.js';
+import { urlToContract, harToContract } from './index.js';
 import { generateContract } from './contractGenerator.js';
+import { crawlToContracts } from './crawlInput.js';
+import { contractToOpenApi } from './openapi.js';
 import * as browserSession from './browserSession.js';
+import { listProfiles, deleteProfile, loadProfile, cookieHeader } from './authProfiles.js';
+import { callApi } from './apiCall.js';
+import { getPolicy } from './policy.js';
+
+const formatSchema = z.enum(['contract', 'openapi']).optional().describe('Output format: "contract" (default) or "openapi" for an OpenAPI 3.1 document');
+const sessionIdSchema = z.string().optional().describe('Session from browser_launch (default: most recently launched session)');
+const snapshotModeSchema = z.enum(['full', 'diff']).optional()
+  .describe('"diff" (default): only what changed since the previous snapshot of this tab (added/removed elements, changed values and states, URL/title, new dialogs); "full": every button, link and form');
+const extractionSchema = z.enum(['dom', 'accessibility']).optional()
+  .describe('How elements are read: "dom" (default, HTML only) or "accessibility" (rendered accessibility tree: drops hidden and decorative elements, adds roles and disabled/expanded/checked states)');
+/** Safety policy inputs shared by tools that act (see policy.js). */
+const policySchema = {
+  confirm_token: z.string().optional().describe('Token from a previous requires_confirmation result: repeat the same call with it after the user agreed'),
+  dry_run: z.boolean().optional().describe('Only classify the risk and report whether confirmation is needed; do not act'),
+};
 
 const server = new McpServer({
   name: 'web-scraper',
@@ -18,18 +35,38 @@ const server = new McpServer({
 });
 
 server.registerTool('web_scraper_fetch_contract', {
-  description: 'Fetch a URL (with Chromium or HTTP), parse DOM, and return the API contract (actions, forms, links). Set discover_apis true to also capture XHR/fetch and add apiEndpoints so the agent can call the site APIs directly.',
+  description: 'Fetch a URL (with Chromium or HTTP), parse DOM, and return the API contract (actions, forms, links). Each action has a confidence (0..1) with reasons. Set discover_apis true to also capture XHR/fetch and add apiEndpoints so the agent can call the site APIs directly. Contracts are cached per URL and options; the second content item reports the cache status (hit, revalidated, changed, miss).',
   inputSchema: {
     url: z.string().describe('Full URL of the page to scrape'),
     context: z.string().optional().describe('Optional context hint for contract name (e.g. productPage, contactForm)'),
     use_chromium: z.boolean().optional().describe('Use Chromium to render JS (default true). Set false for HTTP-only fetch.'),
     discover_apis: z.boolean().optional().describe('Capture XHR/fetch during page load and add apiEndpoints to contract (default false). Requires Chromium.'),
+    min_confidence: z.number().min(0).max(1).optional().describe('Drop actions whose confidence (0..1) is below this value (default 0 = keep all)'),
+    vertical: z.string().optional().describe('Vertical template ("ecommerce" or "auto") to add canonical intents such as search_product, add_to_cart, checkout'),
+    format: formatSchema,
+    cache: z.boolean().optional().describe('Reuse a cached contract for the same URL and options (default true)'),
+    refresh: z.boolean().optional().describe('Ignore the cached entry and fetch again (default false)'),
+    profile: z.string().optional().describe('Saved auth profile (browser_save_profile) to fetch the page logged in, e.g. for cart or account pages'),
+    extraction: extractionSchema,
   },
-}, async ({ url, context, use_chromium, discover_apis }) => {
+}, async ({ url, context, use_chromium, discover_apis, min_confidence, vertical, format, cache, refresh, profile, extraction }) => {
   const useChromium = use_chromium !== false;
-  const { contract } = await urlToContract(url, { context, useChromium, discoverApis: !!discover_apis });
+  const { contract, cache: cacheInfo } = await urlToContract(url, {
+    context,
+    useChromium,
+    discoverApis: !!discover_apis,
+    minConfidence: min_confidence,
+    vertical,
+    cache: cache === false ? false : { refresh: !!refresh },
+    profile,
+    extraction,
+  });
+  const out = format === 'openapi' ? contractToOpenApi(contract, { url }) : contract;
   return {
-    content: [{ type: 'text', text: JSON.stringify(contract, null, 2) }],
+    content: [
+      { type: 'text', text: JSON.stringify(out, null, 2) },
+      { type: 'text', text: JSON.stringify({ cache: cacheInfo || { status: 'bypass' } }) },
+    ],
   };
 });
 
@@ -38,11 +75,51 @@ server.registerTool('web_scraper_contract_from_html', {
   inputSchema: {
     html: z.string().describe('Raw HTML content of the page'),
     context: z.string().optional().describe('Optional context hint for contract name'),
+    min_confidence: z.number().min(0).max(1).optional().describe('Drop actions whose confidence (0..1) is below this value'),
+    vertical: z.string().optional().describe('Vertical template ("ecommerce" or "auto") to add canonical intents'),
+    format: formatSchema,
+  },
+}, async ({ html, context, min_confidence, vertical, format }) => {
+  const contract = generateContract(html, { context, minConfidence: min_confidence, vertical });
+  const out = format === 'openapi' ? contractToOpenApi(contract) : contract;
+  return {
+    content: [{ type: 'text', text: JSON.stringify(out, null, 2) }],
+  };
+});
+
+server.registerTool('web_scraper_contract_from_crawl', {
+  description: 'Generate contracts from pre-crawled documents without fetching: Firecrawl-style JSON (html/rawHtml/markdown/links/metadata, single scrape or crawl job with data[]), or a local path to such a file or a directory of saved .html/.md/.json pages. Returns [{ url, title, format, contract }].',
+  inputSchema: {
+    crawl_json: z.string().optional().describe('Crawler output as a JSON string'),
+    path: z.string().optional().describe('Local path to a crawl JSON file or a directory of saved pages (used if crawl_json is not given)'),
+    context: z.string().optional().describe('Optional context hint for contract names'),
+    vertical: z.string().optional().describe('Vertical template ("ecommerce" or "auto") to add canonical intents'),
+  },
+}, async ({ crawl_json, path, context, vertical }) => {
+  if (!crawl_json && !path) throw new Error('Pass crawl_json or path');
+  const input = crawl_json ? JSON.parse(crawl_json) : path;
+  const results = crawlToContracts(input, { context, vertical });
+  return {
+    content: [{ type: 'text', text: JSON.stringify(results, null, 2) }],
+  };
+});
+
+server.registerTool('web_scraper_contract_from_har', {
+  description: 'Generate a contract offline from a HAR capture (browser devtools, QA proxy, or the CLI --save-har export): DOM actions from the page HTML in the HAR and apiEndpoints from its XHR/fetch entries. No network access.',
+  inputSchema: {
+    har_json: z.string().optional().describe('HAR file content as a JSON string'),
+    path: z.string().optional().describe('Local path to a .har file (used if har_json is not given)'),
+    url: z.string().optional().describe('Page URL to use when the HAR holds several pages (default: first page)'),
+    context: z.string().optional().describe('Optional context hint for contract name'),
+    vertical: z.string().optional().describe('Vertical template ("ecommerce" or "auto") to add canonical intents'),
+    format: formatSchema,
   },
-}, async ({ html, context }) => {
-  const contract = generateContract(html, { context });
+}, async ({ har_json, path, url, context, vertical, format }) => {
+  if (!har_json && !path) throw new Error('Pass har_json or path');
+  const result = harToContract(har_json ? JSON.parse(har_json) : path, { url, context, vertical });
+  const out = format === 'openapi' ? contractToOpenApi(result.contract, { url: result.url || undefined }) : result.contract;
   return {
-    content: [{ type: 'text', text: JSON.stringify(contract, null, 2) }],
+    content: [{ type: 'text', text: JSON.stringify(out, null, 2) }],
   };
 });
 
@@ -62,111 +139,265 @@ server.registerTool('web_scraper_fetch_html', {
 });
 
 server.registerTool('web_scraper_call_api', {
-  description: 'Call a real HTTP API (e.g. an endpoint from contract.apiEndpoints). Use this to execute actions like the site does (POST/GET to the same URLs the page uses). Pass optional headers_json (JSON string) if the site requires auth.',
+  description: 'Call a real HTTP API (e.g. an endpoint from contract.apiEndpoints). Use this to execute actions like the site does (POST/GET to the same URLs the page uses). Cookies for the URL are taken from the open browser session (after logging in there) or from a saved auth profile; pass headers_json for other headers. Subject to the safety policy: allowed domains and methods; risky calls (DELETE, checkout/payment posts) return requires_confirmation with a confirm_token first.',
   inputSchema: {
     method: z.string().describe('HTTP method: GET, POST, PUT, PATCH, or DELETE'),
     url: z.string().describe('Full URL to call (e.g. from contract.apiEndpoints[].url)'),
     body: z.string().optional().describe('JSON string or raw body for POST/PUT/PATCH'),
-    headers_json: z.string().optional().describe('Optional headers as JSON string, e.g. \'{"Content-Type":"application/json","Cookie":"..."}\''),
+    headers_json: z.string().optional().describe('Optional headers as JSON string, e.g. \'{"Content-Type":"application/json","X-CSRF-Token":"..."}\''),
+    session_id: sessionIdSchema,
+    profile: z.string().optional().describe('Saved auth profile to take cookies from instead of the browser session'),
+    use_browser_cookies: z.boolean().optional().describe('Send the browser session cookies for this URL when no Cookie header is given (default true)'),
+    ...policySchema,
   },
-}, async ({ method, url, body, headers_json }) => {
-  let headers = { 'User-Agent': 'Mozilla/5.0 (compatible; AgentContractGenerator/1.0)' };
+}, async ({ method, url, body, headers_json, session_id, profile, use_browser_cookies, confirm_token, dry_run }) => {
+  let headers = {};
   if (headers_json) {
     try {
       const parsed = JSON.parse(headers_json);
       if (typeof parsed === 'object' && parsed !== null) headers = { ...headers, ...parsed };
     } catch (_) {}
   }
-  const opts = { method: method.toUpperCase(), headers };
-  if (body && ['POST', 'PUT', 'PATCH'].includes(method.toUpperCase())) {
-    opts.body = body;
-    if (!opts.headers['Content-Type'] && body.trim().startsWith('{'))
-      opts.headers['Content-Type'] = 'application/json';
-  }
-  const res = await fetch(url, opts);
-  const text = await res.text();
-  let result;
-  try {
-    result = JSON.parse(text);
-  } catch {
-    result = { _raw: text, _status: res.status };
+  let cookieSource = null;
+  if (!Object.keys(headers).some((h) => h.toLowerCase() === 'cookie')) {
+    let cookies = [];
+    if (profile) {
+      cookies = loadProfile(profile).cookies;
+      cookieSource = `profile:${profile}`;
+    } else if (use_browser_cookies !== false && browserSession.hasPage(session_id)) {
+      cookies = await browserSession.sessionCookies(url, { sessionId: session_id });
+      cookieSource = 'browser_session';
+    }
+    const cookie = cookieHeader(cookies, url);
+    if (cookie) headers.Cookie = cookie;
+    else cookieSource = null;
   }
+  const out = await callApi({ method, url, body, headers }, { confirmToken: confirm_token, dryRun: !!dry_run });
   return {
-    content: [{ type: 'text', text: JSON.stringify({ status: res.status, ok: res.ok, data: result }) }],
+    content: [{ type: 'text', text: JSON.stringify({ ...out, ...(cookieSource && !out.blocked && { cookies_from: cookieSource }) }) }],
   };
 });
 
 // --- Browser agent: act like a human in a real browser ---
 
+// --- Sessions: each browser_launch opens an isolated context (own cookies); pass session_id to target it ---
+
 server.registerTool('browser_launch', {
-  description: 'Open a real browser (Playwright). Use headed: true to show the window so the user can watch. Call this before other browser_* tools.',
+  description: 'Open a new browser session (Playwright) and return its session_id. Each session has its own cookies and tabs; pass session_id to other browser_* tools to run several sessions side by side. Use headed: true to show the window so the user can watch. Pass profile to start logged in with a saved auth profile (a new profile name starts empty; log in, then call browser_save_profile). Call this before other browser_* tools.',
   inputSchema: {
     headed: z.boolean().optional().describe('If true, browser window is visible (default false = headless)'),
+    profile: z.string().optional().describe('Auth profile name: load its saved cookies and localStorage'),
+  },
+}, async ({ headed, profile }) => {
+  const out = await browserSession.launch({ headed: !!headed, profile });
+  return { content: [{ type: 'text', text: JSON.stringify(out) }] };
+});
+
+server.registerTool('browser_save_profile', {
+  description: 'Save the session cookies and localStorage as a named auth profile (call after logging in). Later browser_launch, web_scraper_fetch_contract and web_scraper_call_api can use the profile to act logged in.',
+  inputSchema: {
+    profile: z.string().optional().describe('Profile name (default: the profile the session was launched with)'),
+    session_id: sessionIdSchema,
   },
-}, async ({ headed }) => {
-  const out = await browserSession.launch({ headed: !!headed });
+}, async ({ profile, session_id }) => {
+  const out = await browserSession.saveProfile({ profile, sessionId: session_id });
   return { content: [{ type: 'text', text: JSON.stringify(out) }] };
 });
 
+server.registerTool('policy_status', {
+  description: 'Show the safety policy in force: which risk categories (purchase, payment, destructive, credential, external_navigation) are allowed, need confirmation or are denied, domain allow/deny lists, and methods allowed for web_scraper_call_api.',
+  inputSchema: {},
+}, async () => {
+  return { content: [{ type: 'text', text: JSON.stringify(getPolicy(), null, 2) }] };
+});
+
+server.registerTool('browser_profiles', {
+  description: 'List saved auth profiles (cookie counts and domains, no values), or delete one.',
+  inputSchema: {
+    delete_profile: z.string().optional().describe('Profile name to delete'),
+  },
+}, async ({ delete_profile }) => {
+  const out = delete_profile
+    ? { ok: true, deleted: deleteProfile(delete_profile), profile: delete_profile }
+    : { ok: true, profiles: listProfiles() };
+  return { content: [{ type: 'text', text: JSON.stringify(out, null, 2) }] };
+});
+
 server.registerTool('browser_navigate', {
   description: 'Navigate the browser to a URL. Requires browser_launch first.',
   inputSchema: {
     url: z.string().describe('Full URL to open (e.g. https://example.com/shop)'),
+    session_id: sessionIdSchema,
   },
-}, async ({ url }) => {
-  const out = await browserSession.navigate(url);
+}, async ({ url, session_id }) => {
+  const out = await browserSession.navigate(url, { sessionId: session_id });
   return { content: [{ type: 'text', text: JSON.stringify(out) }] };
 });
 
 server.registerTool('browser_click', {
-  description: 'Click an element in the page by its visible text or description (e.g. "Add to cart", "Search"). Can also pass a CSS selector. Requires browser open.',
+  description: 'Click an element in the page by its ref from browser_snapshot (e.g. "e17"), visible text or description (e.g. "Add to cart", "Search"). Can also pass a CSS selector. A ref whose element was replaced or whose page navigated returns a stale-ref error; take a new snapshot. Requires browser open. Risky targets (purchase, payment, delete, password entry) return requires_confirmation with a confirm_token instead of acting.',
   inputSchema: {
-    description_or_selector: z.string().describe('Button/link text to click (e.g. "Search", "Add to cart") or a CSS selector'),
+    description_or_selector: z.string().describe('Ref from browser_snapshot (e.g. "e17"), button/link text to click (e.g. "Search", "Add to cart") or a CSS selector'),
+    session_id: sessionIdSchema,
+    ...policySchema,
   },
-}, async ({ description_or_selector }) => {
-  const out = await browserSession.click(description_or_selector);
+}, async ({ description_or_selector, session_id, confirm_token, dry_run }) => {
+  const out = await browserSession.click(description_or_selector, { sessionId: session_id, confirmToken: confirm_token, dryRun: !!dry_run });
   return { content: [{ type: 'text', text: JSON.stringify(out) }] };
 });
 
 server.registerTool('browser_fill', {
-  description: 'Fill one form field (input/select/textarea) by its label, name, or placeholder. Requires browser open.',
+  description: 'Fill one form field (input/select/textarea) by its ref from browser_snapshot, label, name, or placeholder. Requires browser open.',
   inputSchema: {
-    field: z.string().describe('Field label, name, or placeholder (e.g. "search", "Search products")'),
+    field: z.string().describe('Field ref (e.g. "e5"), label, name, or placeholder (e.g. "search", "Search products")'),
     value: z.string().describe('Value to type'),
+    session_id: sessionIdSchema,
+    ...policySchema,
   },
-}, async ({ field, value }) => {
-  const out = await browserSession.fill(field, value);
+}, async ({ field, value, session_id, confirm_token, dry_run }) => {
+  const out = await browserSession.fill(field, value, { sessionId: session_id, confirmToken: confirm_token, dryRun: !!dry_run });
   return { content: [{ type: 'text', text: JSON.stringify(out) }] };
 });
 
 server.registerTool('browser_fill_form', {
-  description: 'Fill multiple form fields at once. Pass a JSON string of field names to values, e.g. \'{"search":"trekking shoes","size":"40"}\'. Requires browser open.',
+  description: 'Fill multiple form fields at once. Pass a JSON string of field names (or refs from browser_snapshot) to values, e.g. \'{"search":"trekking shoes","size":"40"}\'. Requires browser open.',
   inputSchema: {
-    fields_json: z.string().describe('JSON object of field name/label to value, e.g. \'{"search":"shoes","max_price":"100"}\''),
+    fields_json: z.string().describe('JSON object of field name/label/ref to value, e.g. \'{"search":"shoes","e9":"100"}\''),
+    session_id: sessionIdSchema,
+    ...policySchema,
   },
-}, async ({ fields_json }) => {
+}, async ({ fields_json, session_id, confirm_token, dry_run }) => {
   let fields = {};
   try {
     fields = JSON.parse(fields_json);
     if (typeof fields !== 'object' || fields === null) fields = {};
   } catch (_) {}
-  const out = await browserSession.fillForm(fields);
+  const out = await browserSession.fillForm(fields, { sessionId: session_id, confirmToken: confirm_token, dryRun: !!dry_run });
   return { content: [{ type: 'text', text: JSON.stringify(out) }] };
 });
 
+server.registerTool('browser_execute_action', {
+  description: 'Execute a contract action (or canonical intent such as add_to_cart) by name in the open browser: fills the form inputs from params, submits or clicks the matching element, waits for the page to settle, and returns the new page state (by default as a diff against the previous snapshot, see browser_snapshot). Pass contract_json from web_scraper_fetch_contract, or omit it to use a contract generated from the current page. Requires browser open. Risky targets (purchase, payment, delete, password entry) return requires_confirmation with a confirm_token instead of acting.',
+  inputSchema: {
+    action: z.string().describe('Action or intent name from the contract (e.g. "search", "search_product", "add_to_cart")'),
+    params_json: z.string().optional().describe('JSON object of schema field to value, e.g. \'{"q":"trekking shoes"}\''),
+    contract_json: z.string().optional().describe('Contract JSON (from web_scraper_fetch_contract). Default: generate from the current page.'),
+    session_id: sessionIdSchema,
+    snapshot: snapshotModeSchema,
+    ...policySchema,
+  },
+}, async ({ action, params_json, contract_json, session_id, snapshot, confirm_token, dry_run }) => {
+  let params = {};
+  if (params_json) {
+    try {
+      params = JSON.parse(params_json);
+    } catch (e) {
+      throw new Error(`params_json is not valid JSON: ${e.message}`);
+    }
+    if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+      throw new Error('params_json must be a JSON object of field to value');
+    }
+  }
+  let contract = null;
+  if (contract_json) {
+    try {
+      contract = JSON.parse(contract_json);
+    } catch (e) {
+      throw new Error(`contract_json is not valid JSON: ${e.message}`);
+    }
+  }
+  const out = await browserSession.executeAction(contract, action, params, {
+    sessionId: session_id,
+    snapshot: snapshot || 'diff',
+    confirmToken: confirm_token,
+    dryRun: !!dry_run,
+  });
+  return { content: [{ type: 'text', text: JSON.stringify(out, null, 2) }] };
+});
+
 server.registerTool('browser_snapshot', {
-  description: 'Get current page state: URL, title, list of buttons, links, and forms (with field names). Use this to decide next click or fill. Requires browser open.',
-  inputSchema: {},
-}, async () => {
-  const out = await browserSession.getSnapshot();
+  description: 'Get current page state of the active tab: URL, title, list of buttons, links, forms (with field names and current values) and open dialogs. Buttons, links and fields carry a ref (e.g. "e17") to pass to browser_click / browser_fill / browser_fill_form; it stays bound to that element until the element is removed or the page navigates. By default only the changes since the previous snapshot are returned (a full snapshot when there is none); pass mode "full" to see everything again. Use this to decide next click or fill. Requires browser open.',
+  inputSchema: {
+    session_id: sessionIdSchema,
+    mode: snapshotModeSchema,
+    extraction: extractionSchema,
+  },
+}, async ({ session_id, mode, extraction }) => {
+  const out = await browserSession.getSnapshot({ sessionId: session_id, mode: mode || 'diff', extraction });
   return { content: [{ type: 'text', text: JSON.stringify(out, null, 2) }] };
 });
 
+// --- Vision fallback: screenshots and coordinate clicks ---
+
+server.registerTool('browser_screenshot', {
+  description: 'Take a PNG screenshot of the current page (viewport or full page) or of one element. With annotate: true, numbered boxes are drawn over interactive elements and their click points are returned as marks (use with browser_click_at). Use when text-based clicks fail or the snapshot is empty (canvas apps, icon-only buttons). Requires browser open.',
+  inputSchema: {
+    full_page: z.boolean().optional().describe('Capture the full scrollable page (default false = viewport only)'),
+    selector: z.string().optional().describe('CSS selector of one element to capture (clip). Annotation is ignored for element screenshots.'),
+    annotate: z.boolean().optional().describe('Overlay numbered boxes on interactive elements (default false)'),
+    session_id: sessionIdSchema,
+  },
+}, async ({ full_page, selector, annotate, session_id }) => {
+  const { data, mimeType, ...meta } = await browserSession.screenshot({ fullPage: !!full_page, selector, annotate: !!annotate, sessionId: session_id });
+  return {
+    content: [
+      { type: 'image', data, mimeType },
+      { type: 'text', text: JSON.stringify(meta) },
+    ],
+  };
+});
+
+server.registerTool('browser_click_at', {
+  description: 'Click at pixel coordinates from a browser_screenshot (e.g. the x/y of an annotated mark). Set full_page true if the coordinates come from a full-page screenshot. Requires browser open.',
+  inputSchema: {
+    x: z.number().describe('X coordinate in screenshot pixels'),
+    y: z.number().describe('Y coordinate in screenshot pixels'),
+    full_page: z.boolean().optional().describe('Coordinates are from a full-page screenshot (default false = viewport)'),
+    session_id: sessionIdSchema,
+    ...policySchema,
+  },
+}, async ({ x, y, full_page, session_id, confirm_token, dry_run }) => {
+  const out = await browserSession.clickAt(x, y, { fullPage: !!full_page, sessionId: session_id, confirmToken: confirm_token, dryRun: !!dry_run });
+  return { content: [{ type: 'text', text: JSON.stringify(out) }] };
+});
+
+// --- Tabs: popups and new windows open as tabs and become active ---
+
+server.registerTool('browser_tabs', {
+  description: 'List the tabs of a browser session (popups and new windows included; the active tab receives browser_* actions). Pass open_url to open a new tab, or close_tab_id to close one. Without a session, lists the open sessions too.',
+  inputSchema: {
+    session_id: sessionIdSchema,
+    open_url: z.string().optional().describe('Open a new tab at this URL and make it active'),
+    close_tab_id: z.string().optional().describe('Close this tab (e.g. "t2")'),
+  },
+}, async ({ session_id, open_url, close_tab_id }) => {
+  const opts = { sessionId: session_id };
+  if (close_tab_id) await browserSession.closeTab(close_tab_id, opts);
+  if (open_url) await browserSession.newTab(open_url, opts);
+  const out = await browserSession.listTabs(opts);
+  if (!session_id) out.sessions = browserSession.listSessions().sessions;
+  return { content: [{ type: 'text', text: JSON.stringify(out, null, 2) }] };
+});
+
+server.registerTool('browser_switch_tab', {
+  description: 'Make a tab (from browser_tabs) the active one for subsequent browser_* actions in its session.',
+  inputSchema: {
+    tab_id: z.string().describe('Tab id from browser_tabs (e.g. "t2")'),
+    session_id: sessionIdSchema,
+  },
+}, async ({ tab_id, session_id }) => {
+  const out = await browserSession.switchTab(tab_id, { sessionId: session_id });
+  return { content: [{ type: 'text', text: JSON.stringify(out) }] };
+});
+
 server.registerTool('browser_close', {
-  description: 'Close the browser. Call when done with the session.',
-  inputSchema: {},
-}, async () => {
-  const out = await browserSession.close();
+  description: 'Close a browser session (default: the most recent one), or every session with all: true. Call when done with the session.',
+  inputSchema: {
+    session_id: sessionIdSchema,
+    all: z.boolean().optional().describe('Close every session and the browser'),
+  },
+}, async ({ session_id, all }) => {
+  const out = await browserSession.close({ sessionId: session_id, all: !!all });
   return { content: [{ type: 'text', text: JSON.stringify(out) }] };
 });
 
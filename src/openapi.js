@@ -0,0 +1,364 @@
+/**
+ * OpenAPI 3.1 export of a contract so standard API clients and tool-calling frameworks can load it.
+ * Actions and intents become operations on the HTTP gateway (src/httpGateway.js):
+ * server "{gateway}/agent/{contractId}", one path per action. Discovered apiEndpoints become
+ * operations on the site's own origin (per-operation servers), with {id} path params from urlTemplate.js;
+ * one whose path and method an action already takes is listed under "/{api_path}" instead, and APIs
+ * sharing a path and method (moved there, or on different origins) are merged into one operation.
+ */
+
+import { normalizeSchema } from './schema.js';
+import { templatizeUrl } from './urlTemplate.js';
+
+const DEFAULT_GATEWAY = 'http://127.0.0.1:8787';
+
+/** Page state returned by the gateway after an action (see browserSession.executeAction). */
+const PAGE_STATE_SCHEMA = {
+  type: 'object',
+  properties: {
+    ok: { type: 'boolean' },
+    contractId: { type: 'string' },
+    action: { type: 'string' },
+    navigated: { type: 'boolean' },
+    url: { type: 'string', format: 'uri' },
+    title: { type: 'string' },
+    buttons: { type: 'array', items: { type: 'object' } },
+    links: { type: 'array', items: { type: 'object' } },
+    forms: { type: 'array', items: { type: 'object' } },
+  },
+};
+
+/** 428 answer of the gateway: the action was not run (see policy.enforcePolicy). */
+const CONFIRMATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    ok: { const: false },
+    blocked: { const: true },
+    requires_confirmation: { const: true },
+    type: { type: 'string' },
+    target: { type: 'string' },
+    risk: { type: 'string', enum: ['low', 'medium', 'high'] },
+    categories: { type: 'array', items: { type: 'string' } },
+    reasons: { type: 'array', items: { type: 'string' } },
+    confirm_token: { type: 'string' },
+    expires_in: { type: 'integer', description: 'Seconds the token stays valid' },
+    message: { type: 'string' },
+  },
+  required: ['requires_confirmation', 'confirm_token'],
+};
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: { ok: { const: false }, error: { type: 'string' } },
+  required: ['error'],
+};
+
+/**
+ * Unique operationId (OpenAPI requires uniqueness across the document).
+ * @param {string} name
+ * @param {Set<string>} used
+ */
+function operationId(name, used) {
+  const base = String(name).replace(/[^A-Za-z0-9_.-]/g, '_') || 'operation';
+  let id = base;
+  for (let n = 2; used.has(id); n++) id = `${base}_${n}`;
+  used.add(id);
+  return id;
+}
+
+/**
+ * Query parameters for a GET operation, one per schema property.
+ * @param {Object} schema - JSON Schema (type object)
+ */
+function queryParameters(schema) {
+  const required = new Set(schema.required || []);
+  return Object.entries(schema.properties || {}).map(([name, prop]) => ({
+    name,
+    in: 'query',
+    required: required.has(name),
+    schema: prop,
+    ...(prop.type === 'array' && { style: 'form', explode: true }),
+    ...(prop.description && { description: prop.description }),
+  }));
+}
+
+function errorResponses() {
+  const content = { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } };
+  return {
+    400: { description: 'Invalid parameters', content },
+    404: { description: 'Unknown contract or action', content },
+  };
+}
+
+/** Safety policy answers of the gateway (policy.js): denied, or confirmation required. */
+function policyResponses() {
+  return {
+    403: { description: 'Denied by the safety policy', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+    428: {
+      description: 'Risky action: repeat the request with header X-Confirm-Token set to confirm_token once the user agrees',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ConfirmationRequired' } } },
+    },
+  };
+}
+
+/**
+ * Operation for a contract action or intent, served by the gateway.
+ * @param {Object} action
+ * @param {Set<string>} used - operationIds taken
+ * @param {boolean} isIntent
+ */
+function actionOperation(action, used, isIntent) {
+  const schema = normalizeSchema(action.schema);
+  const hasParams = Object.keys(schema.properties || {}).length > 0;
+  const method = action.method === 'GET' ? 'get' : 'post';
+  const op = {
+    operationId: operationId(action.action, used),
+    summary: action.description || action.action,
+    tags: [isIntent ? 'intents' : 'actions'],
+    ...(action.reasons?.length && { description: action.reasons.join('; ') }),
+  };
+  if (method === 'get') {
+    if (hasParams) op.parameters = queryParameters(schema);
+  } else {
+    op.requestBody = {
+      required: !!schema.required?.length,
+      content: { 'application/json': { schema } },
+    };
+  }
+  op.responses = {
+    200: { description: 'Page state after the action', content: { 'application/json': { schema: { $ref: '#/components/schemas/PageState' } } } },
+    ...errorResponses(),
+    ...policyResponses(),
+    ...(method === 'post' && {
+      405: {
+        description: 'GET on this action: only links and GET forms run on GET',
+        headers: { Allow: { schema: { type: 'string', const: 'POST' } } },
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+      },
+    }),
+  };
+  if (action.kind) op['x-kind'] = action.kind;
+  if (action.confidence !== undefined) op['x-confidence'] = action.confidence;
+  if (isIntent) op['x-maps'] = action.maps;
+  if (action.submit === false) op['x-submit'] = false;
+  return { method, op };
+}
+
+/**
+ * Operation for a discovered API endpoint, called directly on the site.
+ * @param {Object} api - Entry of contract.apiEndpoints
+ * @param {Set<string>} used
+ */
+function apiOperation(api, used) {
+  let tpl;
+  try {
+    tpl = templatizeUrl(api.url);
+  } catch (_) {
+    return null;
+  }
+  const method = String(api.method || 'GET').toLowerCase();
+  const parameters = [
+    ...tpl.pathParams.map((name) => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+    ...tpl.queryParams.map((name) => ({ name, in: 'query', required: false, schema: { type: 'string' } })),
+  ];
+  const op = {
+    operationId: operationId(api.action, used),
+    summary: api.description || `${api.method} ${tpl.path}`,
+    tags: ['api'],
+    servers: [{ url: tpl.origin }],
+    ...(parameters.length && { parameters }),
+  };
+  const bodySchema = api.graphql ? graphqlBodySchema(api.graphql) : api.bodySchema && normalizeSchema(api.bodySchema);
+  if (bodySchema && !['get', 'head', 'delete'].includes(method)) {
+    op.requestBody = { content: { [api.contentType?.split(';')[0] || 'application/json']: { schema: bodySchema } } };
+  }
+  op.responses = apiResponses(api.response);
+  if (api.auth) op['x-auth'] = api.auth;
+  if (api.graphql) op['x-graphql'] = { operationName: api.graphql.operationName, operationType: api.graphql.operationType };
+  return { path: tpl.path, method, op };
+}
+
+/**
+ * Request body of one GraphQL operation: the recorded query (or persisted hash) is fixed.
+ * @param {Object} graphql - api.graphql from apiDiscovery.js
+ */
+function graphqlBodySchema(graphql) {
+  const properties = { variables: graphql.variablesSchema || { type: 'object' } };
+  if (graphql.operationName) properties.operationName = { const: graphql.operationName };
+  if (graphql.query) properties.query = { const: graphql.query };
+  return { type: 'object', properties, ...(graphql.query && { required: ['query'] }) };
+}
+
+/**
+ * Responses observed for an endpoint (status codes, content type and inferred schema).
+ * @param {{ statuses?: number[], contentType?: string, schema?: Object }} [response]
+ */
+function apiResponses(response) {
+  const statuses = response?.statuses?.length ? response.statuses : [];
+  if (!statuses.length) return { default: { description: 'Response from the site API' } };
+  const content = response.contentType
+    ? { content: { [response.contentType.split(';')[0]]: { schema: response.schema || {} } } }
+    : {};
+  return Object.fromEntries(statuses.map((status) => [status, { description: `Observed ${status} response`, ...content }]));
+}
+
+/**
+ * Several GraphQL operations share one path and method: the body becomes a oneOf over them.
+ * @param {Object} existing - Operation already on the path
+ * @param {Object} op - Operation for another GraphQL operation
+ */
+function mergeGraphqlOperation(existing, op) {
+  const type = Object.keys(existing.requestBody.content)[0];
+  const schemaOf = (o) => Object.values(o.requestBody.content)[0].schema;
+  const current = schemaOf(existing);
+  const variants = current.oneOf || [current];
+  existing.requestBody.content = { [type]: { schema: { oneOf: [...variants, schemaOf(op)] } } };
+  existing.summary = 'GraphQL operations';
+  existing['x-graphql'] = [...[].concat(existing['x-graphql']), op['x-graphql']];
+  for (const [status, response] of Object.entries(op.responses)) {
+    if (!existing.responses[status]) existing.responses[status] = response;
+  }
+}
+
+/**
+ * An API on the same path and method as an action operation (e.g. GET /search on the site and the
+ * gateway's search action): OpenAPI allows one operation per path and method, so the API moves to
+ * "/{api_path}" with a path parameter fixed to the original segment, and x-path / x-collides-with
+ * record why. The URL it calls is unchanged. A path of one template segment that already exists
+ * (e.g. "/{id}") is reused, as OpenAPI forbids two such paths.
+ * @param {{ path: string, method: string, op: Object }} out - apiOperation() result, updated in place
+ * @param {Object} action - Action operation on the original path
+ * @param {Object} paths - Paths built so far
+ */
+function moveToFixedPath(out, action, paths) {
+  const segment = decodeURIComponent(out.path.slice(1));
+  const templated = Object.keys(paths).find((p) => /^\/\{[^/{}]+\}$/.test(p));
+  const name = templated ? templated.slice(2, -1) : 'api_path';
+  out.op.parameters = [{ name, in: 'path', required: true, schema: { type: 'string', enum: [segment] } }, ...(out.op.parameters || [])];
+  out.op['x-path'] = out.path;
+  out.op['x-collides-with'] = action.operationId;
+  out.path = `/{${name}}`;
+}
+
+/**
+ * Two site APIs on one path and method (moved by moveToFixedPath, or on different origins) become one
+ * operation: servers, parameters (fixed path segments included), request bodies and responses are
+ * joined, and x-apis lists the operations merged.
+ * @param {Object} existing - Operation already on the path
+ * @param {Object} op - Operation for another API
+ */
+function mergeApiOperation(existing, op) {
+  const entry = (o) => ({ operationId: o.operationId, summary: o.summary, servers: [...o.servers], ...(o['x-path'] && { path: o['x-path'], collidesWith: o['x-collides-with'] }) });
+  existing['x-apis'] = [...(existing['x-apis'] || [entry(existing)]), entry(op)];
+  existing.summary = [...new Set(existing['x-apis'].map((a) => a.summary))].join(' | ');
+  for (const server of op.servers || []) {
+    if (!existing.servers.some((s) => s.url === server.url)) existing.servers.push(server);
+  }
+  for (const param of op.parameters || []) {
+    const same = (existing.parameters || []).find((p) => p.name === param.name && p.in === param.in);
+    if (!same) existing.parameters = [...(existing.parameters || []), { ...param, required: false }];
+    else if (same.schema?.enum && param.schema?.enum) same.schema = { ...same.schema, enum: [...new Set([...same.schema.enum, ...param.schema.enum])] };
+  }
+  for (const p of existing.parameters || []) {
+    if (p.in === 'query' && !(op.parameters || []).some((q) => q.name === p.name && q.in === 'query')) p.required = false;
+  }
+  for (const [type, media] of Object.entries(op.requestBody?.content || {})) {
+    existing.requestBody = existing.requestBody || { content: {} };
+    const current = existing.requestBody.content[type];
+    const variants = current ? current.schema.oneOf || [current.schema] : [];
+    if (!variants.some((v) => JSON.stringify(v) === JSON.stringify(media.schema))) variants.push(media.schema);
+    existing.requestBody.content[type] = { schema: variants.length === 1 ? variants[0] : { oneOf: variants } };
+  }
+  for (const [status, response] of Object.entries(op.responses)) {
+    if (!existing.responses[status]) existing.responses[status] = response;
+  }
+}
+
+/**
+ * Convert a contract into an OpenAPI 3.1 document.
+ * @param {Object} contract - Output of generateContract (actions, intents?, apiEndpoints?)
+ * @param {{ gatewayUrl?: string, contractId?: string, url?: string, title?: string, version?: string }} options
+ *   gatewayUrl / contractId: defaults for the gateway server variables; url: page the contract was made from
+ * @returns {Object} OpenAPI document
+ */
+export function contractToOpenApi(contract, options = {}) {
+  if (!contract || !Array.isArray(contract.actions)) {
+    throw new Error('contractToOpenApi: contract with an actions array is required');
+  }
+  const { gatewayUrl = DEFAULT_GATEWAY, contractId = 'c1', url, title, version = '1.0.0' } = options;
+  const used = new Set();
+  const paths = {};
+  const addOperation = (path, method, op) => {
+    paths[path] = paths[path] || {};
+    paths[path][method] = op;
+  };
+
+  // the gateway resolves intents before raw actions, so a raw action named like an intent is unreachable
+  const intentNames = new Set((contract.intents || []).map((i) => i.action));
+  for (const intent of contract.intents || []) {
+    const { method, op } = actionOperation(intent, used, true);
+    addOperation(`/${encodeURIComponent(intent.action)}`, method, op);
+  }
+  for (const action of contract.actions) {
+    if (intentNames.has(action.action)) continue;
+    const { method, op } = actionOperation(action, used, false);
+    addOperation(`/${encodeURIComponent(action.action)}`, method, op);
+  }
+  const actionPaths = new Set(Object.keys(paths));
+  const moved = [];
+  const addApi = (out) => {
+    const existing = paths[out.path]?.[out.method];
+    if (!existing) addOperation(out.path, out.method, out.op);
+    else if (existing['x-graphql'] && out.op['x-graphql'] && existing.requestBody && out.op.requestBody) mergeGraphqlOperation(existing, out.op);
+    else if (out.op['x-path'] || existing.servers?.[0]?.url !== out.op.servers[0].url) mergeApiOperation(existing, out.op);
+    // otherwise concrete URLs that collapse to one template (e.g. /products/1, /products/2) yield one operation
+  };
+  for (const api of contract.apiEndpoints || []) {
+    const out = apiOperation(api, used);
+    if (!out) continue;
+    if (actionPaths.has(out.path) && paths[out.path][out.method]) moved.push(out);
+    else addApi(out);
+  }
+  // after the others, so a "/{id}" API path is known to moveToFixedPath
+  for (const out of moved) {
+    moveToFixedPath(out, paths[out.path][out.method], paths);
+    addApi(out);
+  }
+
+  const description = [
+    url ? `Agent contract for ${url}.` : 'Agent contract.',
+    'Action operations run in a real browser through the gateway (node src/cli.js serve);',
+    'create the contract there with POST /contracts and use the returned contractId.',
+    contract.apiEndpoints?.length ? 'Operations tagged "api" call the site API directly.' : '',
+  ].filter(Boolean).join(' ');
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: title || contract.contractName || 'Agent contract',
+      version,
+      description,
+    },
+    servers: [{
+      url: '{gateway}/agent/{contractId}',
+      description: 'Agent gateway',
+      variables: {
+        gateway: { default: gatewayUrl },
+        contractId: { default: contractId },
+      },
+    }],
+    tags: [
+      ...(contract.intents?.length ? [{ name: 'intents', description: `Canonical intents (${contract.vertical} vertical)` }] : []),
+      { name: 'actions', description: 'Actions found on the page' },
+      ...(contract.apiEndpoints?.length ? [{ name: 'api', description: 'Site APIs observed during page load' }] : []),
+    ],
+    paths,
+    components: {
+      schemas: {
+        PageState: PAGE_STATE_SCHEMA,
+        ConfirmationRequired: CONFIRMATION_SCHEMA,
+        Error: ERROR_SCHEMA,
+      },
+    },
+  };
+}
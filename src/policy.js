@@ -0,0 +1,349 @@
+/**
+ * Safety policy for actions the agent runs: contract actions, clicks, fills, navigation and direct API calls.
+ * Each operation is classified by risk category:
+ *   purchase, payment, destructive, credential (entering passwords), external_navigation (leaving the site).
+ * Per category the policy allows it, requires confirmation, or denies it. Confirmation is a one-time
+ * token: the first call returns { requires_confirmation, confirm_token } without acting; the caller
+ * (after asking the user) repeats the same call with that token. dryRun classifies without acting and
+ * issues no token.
+ * Domain allow/deny lists apply to navigation and API calls; API calls can also be limited by method.
+ *
+ * Configuration (per deployment): AGENT_POLICY_FILE (JSON, merged over the defaults below),
+ * AGENT_POLICY=off to disable, or configurePolicy() from code.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+export const RISK_CATEGORIES = ['purchase', 'payment', 'destructive', 'credential', 'external_navigation'];
+const HIGH_RISK = new Set(['purchase', 'payment', 'destructive', 'credential']);
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  /** 'allow' | 'confirm' | 'deny' per risk category */
+  categories: {
+    purchase: 'confirm',
+    payment: 'confirm',
+    destructive: 'confirm',
+    credential: 'confirm',
+    external_navigation: 'allow',
+  },
+  /** Hostnames (subdomains included); empty allowDomains = any domain not denied */
+  allowDomains: [],
+  denyDomains: [],
+  callApi: {
+    methods: ['GET', 'HEAD', 'OPTIONS', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    allowDomains: [],
+    denyDomains: [],
+  },
+  /** Seconds a confirmation token stays valid */
+  confirmTtl: 300,
+};
+
+const PURCHASE = /place (your |my )?order|complete (your )?(purchase|order)|confirm (and pay|order|purchase|payment)|submit order|buy now|pay now|^pay\b|kostenpflichtig|zahlungspflichtig|jetzt kaufen|bestellung (abschicken|absenden)|commander et payer|valider (la|ma) commande|confirmar (pedido|compra)|finalizar (pedido|compra)|conferma (ordine|acquisto)|paga ora|bestelling plaatsen|(^|\| )(purchase|payer|pagar|(nu )?betalen)( now| maintenant| ahora)?($| \|)/i;
+const DESTRUCTIVE = /\b(delete|destroy|erase|wipe|purge|deactivate|terminate)\b|(close|cancel|remove) (my |your |the )?(account|subscription|membership|order)|unsubscribe|löschen|kündigen|supprimer|résilier|eliminar|borrar|cancella|elimina|verwijderen|opzeggen/i;
+const CREDENTIAL_FIELD = /pass(word|wd|code)?$|^pwd$|passwort|mot.?de.?passe|contrase(ñ|n)a|^otp$|one.?time|2fa|mfa|totp/i;
+const PAYMENT_FIELD = /card.?(number|no|num)|^cc.?(num|number|name|exp|csc)|cvv|cvc|csc|security.?code|expir(y|ation)|iban|account.?number|routing|kartennummer|pr(ü|ue)fziffer/i;
+const PAYMENT_AUTOCOMPLETE = /^cc-/;
+const PURCHASE_PATH = /\/(checkout|order|orders|payment|payments|purchase|pay|billing)(\/|$)/i;
+
+let policy = null;
+/** @type {Map<string, { fingerprint: string, expires: number }>} */
+const confirmations = new Map();
+
+function merge(base, extra) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(extra || {})) {
+    out[k] = v && typeof v === 'object' && !Array.isArray(v) && base[k] && typeof base[k] === 'object' ? merge(base[k], v) : v;
+  }
+  return out;
+}
+
+function loadPolicy() {
+  let config = DEFAULT_POLICY;
+  const file = process.env.AGENT_POLICY_FILE;
+  if (file) {
+    try {
+      config = merge(config, JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (e) {
+      // a broken policy file must not silently fall back to defaults
+      throw new Error(`Cannot load AGENT_POLICY_FILE ${file}: ${e.message}`);
+    }
+  }
+  if (/^(off|false|0|disabled)$/i.test(process.env.AGENT_POLICY || '')) config = { ...config, enabled: false };
+  return config;
+}
+
+/** Current policy (loaded from env on first use). */
+export function getPolicy() {
+  if (!policy) policy = loadPolicy();
+  return policy;
+}
+
+/**
+ * Override parts of the policy from code (merged over the current one).
+ * @param {Object} overrides - Same shape as the policy file
+ * @returns {Object} The resulting policy
+ */
+export function configurePolicy(overrides = {}) {
+  for (const [category, mode] of Object.entries(overrides.categories || {})) {
+    if (!RISK_CATEGORIES.includes(category)) throw new Error(`Unknown risk category "${category}" (${RISK_CATEGORIES.join(', ')})`);
+    if (!['allow', 'confirm', 'deny'].includes(mode)) throw new Error(`Invalid mode "${mode}" for ${category} (allow, confirm, deny)`);
+  }
+  policy = merge(getPolicy(), overrides);
+  return policy;
+}
+
+/** Back to the env/file configuration (drops configurePolicy overrides and pending confirmations). */
+export function resetPolicy() {
+  policy = null;
+  confirmations.clear();
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (_) {
+    return null;
+  }
+}
+
+function siteOf(host) {
+  return host ? host.replace(/^www\./, '') : null;
+}
+
+function domainMatches(host, domains) {
+  return domains.some((d) => {
+    const domain = String(d).toLowerCase().replace(/^\*\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+function classification(categories, reasons) {
+  const unique = [...new Set(categories)];
+  const risk = unique.some((c) => HIGH_RISK.has(c)) ? 'high' : unique.length ? 'medium' : 'low';
+  return { risk, categories: unique, reasons };
+}
+
+/**
+ * Risk of following a link or URL from the current page.
+ * @param {string} [href]
+ * @param {string} [pageUrl]
+ */
+function navigationRisk(href, pageUrl, categories, reasons) {
+  if (!href || !pageUrl || /^(javascript|mailto|tel):/i.test(href)) return;
+  let target;
+  try {
+    target = new URL(href, pageUrl);
+  } catch (_) {
+    return;
+  }
+  if (!/^https?:$/.test(target.protocol)) return;
+  if (siteOf(target.hostname) !== siteOf(hostOf(pageUrl))) {
+    categories.push('external_navigation');
+    reasons.push(`leaves ${hostOf(pageUrl)} for ${target.hostname}`);
+  }
+}
+
+/**
+ * Whether a field name or label is a password / one-time code or payment field (card number, CVV, IBAN…),
+ * i.e. its value must not be stored or logged.
+ * @param {string} [name]
+ */
+export function isSensitiveField(name) {
+  const s = String(name || '').trim();
+  return !!s && (CREDENTIAL_FIELD.test(s) || PAYMENT_FIELD.test(s));
+}
+
+/**
+ * Classify a clicked or filled element (as read from the page).
+ * @param {{ text?: string, href?: string, type?: string, name?: string, autocomplete?: string, formFields?: Array<{ name?: string, type?: string, autocomplete?: string }>, unreadable?: string }} element
+ *   formFields: fields of the form a submit button belongs to; unreadable: why the element could not be
+ *   read, it then counts as a possible purchase, payment or destructive click
+ * @param {{ pageUrl?: string }} [options]
+ * @returns {{ risk: 'low'|'medium'|'high', categories: string[], reasons: string[] }}
+ */
+export function classifyElement(element = {}, options = {}) {
+  const categories = [];
+  const reasons = [];
+  if (element.unreadable) {
+    categories.push('purchase', 'payment', 'destructive');
+    reasons.push(`target not readable (${element.unreadable})`);
+  }
+  const text = String(element.text || '').replace(/\s+/g, ' ').trim().slice(0, 120);
+  if (text && PURCHASE.test(text)) {
+    categories.push('purchase');
+    reasons.push(`label "${text}" looks like a purchase`);
+  }
+  if (text && DESTRUCTIVE.test(text)) {
+    categories.push('destructive');
+    reasons.push(`label "${text}" looks destructive`);
+  }
+  for (const field of [element, ...(element.formFields || [])]) {
+    if (field.type === 'password' || (field.name && CREDENTIAL_FIELD.test(field.name))) {
+      categories.push('credential');
+      reasons.push(`password field ${field.name || ''}`.trim());
+    }
+    if (PAYMENT_AUTOCOMPLETE.test(field.autocomplete || '') || (field.name && PAYMENT_FIELD.test(field.name))) {
+      categories.push('payment');
+      reasons.push(`payment field ${field.name || field.autocomplete}`);
+    }
+  }
+  navigationRisk(element.href, options.pageUrl, categories, reasons);
+  return classification(categories, [...new Set(reasons)]);
+}
+
+/**
+ * Classify a contract action or intent from its name, labels, schema fields and target.
+ * @param {Object} action - Contract action ({ action, description, submitLabel, schema, href, formAction, method })
+ * @param {{ pageUrl?: string }} [options]
+ */
+export function classifyAction(action, options = {}) {
+  const properties = action.schema?.properties || {};
+  const formFields = Object.entries(properties).map(([name, prop]) => ({
+    name,
+    type: prop.writeOnly ? 'password' : undefined,
+  }));
+  const parts = [action.submitLabel, action.description, String(action.action || '').replace(/_/g, ' ')].filter(Boolean);
+  const label = [...new Map(parts.map((t) => [t.toLowerCase(), t])).values()].join(' | ');
+  return classifyElement({ text: label, href: action.href || action.formAction, formFields }, options);
+}
+
+function hostPath(url, base) {
+  try {
+    return new URL(url, base || 'http://page.invalid/').pathname;
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Classify a direct API call (method, path and body field names).
+ * @param {{ method: string, url: string, body?: string }} call
+ */
+export function classifyApiCall(call) {
+  const method = String(call.method || 'GET').toUpperCase();
+  const categories = [];
+  const reasons = [];
+  const path = hostPath(call.url);
+  if (method === 'DELETE') {
+    categories.push('destructive');
+    reasons.push('DELETE request');
+  } else if (DESTRUCTIVE.test(path.replace(/[/_-]+/g, ' '))) {
+    categories.push('destructive');
+    reasons.push(`path ${path} looks destructive`);
+  }
+  if (method !== 'GET' && method !== 'HEAD' && PURCHASE_PATH.test(path)) {
+    categories.push('purchase');
+    reasons.push(`${method} to ${path}`);
+  }
+  let fields = [];
+  if (call.body) {
+    try {
+      const parsed = JSON.parse(call.body);
+      if (parsed && typeof parsed === 'object') fields = Object.keys(parsed);
+    } catch (_) {
+      fields = [...new URLSearchParams(call.body).keys()];
+    }
+  }
+  for (const name of fields) {
+    if (CREDENTIAL_FIELD.test(name)) {
+      categories.push('credential');
+      reasons.push(`body field ${name}`);
+    }
+    if (PAYMENT_FIELD.test(name)) {
+      categories.push('payment');
+      reasons.push(`body field ${name}`);
+    }
+  }
+  return classification(categories, reasons);
+}
+
+/**
+ * Throw when a URL's domain is not allowed (scope "api" adds the callApi lists).
+ * @param {string} url
+ * @param {'browser'|'api'} [scope]
+ */
+export function checkDomain(url, scope = 'browser') {
+  const p = getPolicy();
+  if (!p.enabled) return;
+  const host = hostOf(url);
+  if (!host) return;
+  const deny = [...p.denyDomains, ...(scope === 'api' ? p.callApi.denyDomains : [])];
+  const allow = scope === 'api' && p.callApi.allowDomains.length ? p.callApi.allowDomains : p.allowDomains;
+  if (domainMatches(host, deny)) throw policyError(`Policy: domain ${host} is denied`, { domain: host });
+  if (allow.length && !domainMatches(host, allow)) {
+    throw policyError(`Policy: domain ${host} is not in the allow list (${allow.join(', ')})`, { domain: host });
+  }
+}
+
+function policyError(message, details) {
+  return Object.assign(new Error(message), { status: 403, policy: { denied: true, ...details } });
+}
+
+function fingerprintOf(operation) {
+  const values = operation.values === undefined ? null : crypto.createHash('sha256').update(JSON.stringify(operation.values)).digest('hex');
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([operation.type, operation.target, operation.sessionId || null, operation.details ?? null, values]))
+    .digest('hex');
+}
+
+function issueToken(fingerprint, ttl) {
+  const now = Date.now();
+  for (const [token, c] of confirmations) if (c.expires <= now) confirmations.delete(token);
+  const token = `ct_${crypto.randomBytes(9).toString('base64url')}`;
+  confirmations.set(token, { fingerprint, expires: now + ttl * 1000 });
+  return token;
+}
+
+function redeemToken(token, fingerprint) {
+  const c = token && confirmations.get(token);
+  if (!c || c.expires <= Date.now() || c.fingerprint !== fingerprint) return false;
+  confirmations.delete(token);
+  return true;
+}
+
+/**
+ * Decide whether an operation may run.
+ * Returns null when it may; otherwise the result to hand back instead of acting
+ * (confirmation required, or a dry run). Throws (err.policy set, err.status 403) when denied.
+ * @param {{ type: 'action'|'click'|'click_at'|'fill'|'navigate'|'call_api', target: string, sessionId?: string, details?: unknown, values?: unknown, url?: string, method?: string, risk: { risk: string, categories: string[], reasons: string[] } }} operation
+ *   details: operation data the confirmation token is bound to (e.g. params); values: filled values, the token is
+ *   bound to their hash; url: checked against the domain lists
+ * @param {{ confirmToken?: string, dryRun?: boolean }} [options]
+ * @returns {Object|null}
+ */
+export function enforcePolicy(operation, options = {}) {
+  const p = getPolicy();
+  const { risk } = operation;
+  const summary = { type: operation.type, target: operation.target, risk: risk.risk, categories: risk.categories, reasons: risk.reasons };
+  if (!p.enabled) return options.dryRun ? { ok: true, dry_run: true, policy: 'disabled', ...summary } : null;
+
+  if (operation.url) checkDomain(operation.url, operation.type === 'call_api' ? 'api' : 'browser');
+  if (operation.type === 'call_api') {
+    const method = String(operation.method || 'GET').toUpperCase();
+    if (!p.callApi.methods.map((m) => m.toUpperCase()).includes(method)) {
+      throw policyError(`Policy: ${method} is not allowed for call_api (allowed: ${p.callApi.methods.join(', ')})`, { method });
+    }
+  }
+  const denied = risk.categories.filter((c) => p.categories[c] === 'deny');
+  if (denied.length) {
+    throw policyError(`Policy: ${operation.type} "${operation.target}" is denied (${denied.join(', ')}: ${risk.reasons.join('; ')})`, summary);
+  }
+  const needsConfirmation = risk.categories.filter((c) => p.categories[c] === 'confirm');
+  const fingerprint = fingerprintOf(operation);
+
+  // no token: a dry run must not let the caller skip asking the user
+  if (options.dryRun) return { ok: true, dry_run: true, ...summary, requires_confirmation: needsConfirmation.length > 0 };
+  if (!needsConfirmation.length || redeemToken(options.confirmToken, fingerprint)) return null;
+  return {
+    ok: false,
+    blocked: true,
+    requires_confirmation: true,
+    ...summary,
+    confirm_token: issueToken(fingerprint, p.confirmTtl),
+    expires_in: p.confirmTtl,
+    message: `${needsConfirmation.join(', ')} ${operation.type} "${operation.target}" needs confirmation. Ask the user, then repeat the same call with confirm_token.` +
+      (options.confirmToken ? ' (The given confirm_token was invalid, expired, or for a different operation.)' : ''),
+  };
+}
@@ -0,0 +1,298 @@
+/**
+ * JSON Schema for action parameters, built from extracted form fields,
+ * plus a small validator so LLM tool calls can be checked before touching the page.
+ */
+
+const FORMAT_BY_HTML_TYPE = {
+  email: 'email',
+  url: 'uri',
+  date: 'date',
+  'datetime-local': 'date-time',
+  time: 'time',
+};
+
+function toNumber(v) {
+  if (v === undefined || v === null || v === '') return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+/**
+ * JSON Schema property for one field from extractInteractiveGroups.
+ * @param {Object} field
+ * @returns {Object}
+ */
+export function fieldSchema(field) {
+  const prop = {};
+  if (field.options) {
+    const values = [...new Set(field.options.map((o) => o.value))];
+    const labels = Object.fromEntries(field.options.filter((o) => o.label && o.label !== o.value).map((o) => [o.value, o.label]));
+    const enumPart = { enum: values, ...(Object.keys(labels).length && { 'x-enumLabels': labels }) };
+    if (field.htmlType === 'checkbox' && !field.multiple) {
+      prop.type = 'boolean';
+    } else if (field.multiple) {
+      prop.type = 'array';
+      prop.items = { type: 'string', ...enumPart };
+      prop.uniqueItems = true;
+    } else {
+      prop.type = 'string';
+      Object.assign(prop, enumPart);
+    }
+  } else if (field.type === 'number') {
+    const step = field.step === 'any' ? undefined : toNumber(field.step) ?? 1;
+    const min = toNumber(field.min);
+    prop.type = step !== undefined && Number.isInteger(step) && (min === undefined || Number.isInteger(min)) ? 'integer' : 'number';
+    if (min !== undefined) prop.minimum = min;
+    if (toNumber(field.max) !== undefined) prop.maximum = toNumber(field.max);
+    // HTML steps count from min; multipleOf counts from 0, so it only says the same when min is 0
+    if (field.step !== undefined && step !== undefined && !min) prop.multipleOf = step;
+  } else if (field.type === 'boolean') {
+    prop.type = 'boolean';
+  } else {
+    prop.type = 'string';
+    if (FORMAT_BY_HTML_TYPE[field.htmlType]) prop.format = FORMAT_BY_HTML_TYPE[field.htmlType];
+    if (field.pattern) prop.pattern = `^(?:${field.pattern})$`;
+    if (toNumber(field.minLength) !== undefined) prop.minLength = toNumber(field.minLength);
+    if (toNumber(field.maxLength) !== undefined) prop.maxLength = toNumber(field.maxLength);
+  }
+
+  if (field.title) prop.title = field.title;
+  if (field.placeholder && field.placeholder !== field.title) prop.description = field.placeholder;
+  if (field.htmlType === 'password') prop.writeOnly = true;
+
+  if (field.value !== undefined) {
+    if (prop.type === 'boolean') prop.default = Array.isArray(field.value) ? field.value.length > 0 : !!field.value;
+    else if (prop.type === 'integer' || prop.type === 'number') {
+      if (toNumber(field.value) !== undefined) prop.default = toNumber(field.value);
+    } else if (prop.type === 'array') prop.default = [].concat(field.value);
+    else prop.default = field.value;
+  }
+  return prop;
+}
+
+/**
+ * JSON Schema (type object) for an action's parameters.
+ * @param {Array<Object>} fields - Form fields from extractInteractiveGroups
+ */
+export function buildActionSchema(fields = []) {
+  const properties = {};
+  const required = [];
+  for (const field of fields) {
+    properties[field.name] = fieldSchema(field);
+    if (field.required) required.push(field.name);
+  }
+  return {
+    type: 'object',
+    properties,
+    ...(required.length && { required }),
+    additionalProperties: false,
+  };
+}
+
+const SCHEMA_KEYWORDS = new Set(['type', 'properties', 'items', 'required', 'additionalProperties', 'anyOf', 'enum', 'format', 'title', 'description']);
+const SCALAR_TYPES = new Set(['string', 'number', 'integer', 'boolean', 'null']);
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * True for a JSON Schema, false for the older flat { name: "string" } maps. Detected by shape, not by
+ * key names (a flat map may have fields called type or description): an object schema with a
+ * properties object (or none), an array schema with an items object (or none), an anyOf list, or a bare scalar
+ * type (inferred non-object bodies; flat maps use { _body } for those).
+ * @param {Object} schema
+ */
+function isJsonSchema(schema) {
+  if (Array.isArray(schema.anyOf)) return true;
+  if (!Object.keys(schema).every((k) => SCHEMA_KEYWORDS.has(k))) return false;
+  if (schema.type === 'object') return schema.properties === undefined || isPlainObject(schema.properties);
+  if (schema.type === 'array') return schema.items === undefined || isPlainObject(schema.items);
+  return SCALAR_TYPES.has(schema.type) && Object.keys(schema).every((k) => k === 'type' || k === 'format' || (k === 'enum' && Array.isArray(schema.enum)));
+}
+
+/**
+ * Parameter names of an action schema. Also accepts the older flat { name: "string" } map.
+ * @param {Object} [schema]
+ * @returns {string[]}
+ */
+export function schemaFieldNames(schema) {
+  if (!schema) return [];
+  if (isJsonSchema(schema)) return Object.keys(schema.properties || {});
+  return Object.keys(schema);
+}
+
+/**
+ * JSON Schema (type object) for any action or API body schema. The older flat
+ * { name: "string" } maps from API discovery are converted; { _body: type } is a non-object body.
+ * @param {Object} [schema]
+ * @returns {Object}
+ */
+export function normalizeSchema(schema) {
+  if (!schema) return { type: 'object', properties: {} };
+  if (isJsonSchema(schema)) return schema;
+  if (Object.keys(schema).length === 1 && typeof schema._body === 'string') return { type: schema._body };
+  const properties = Object.fromEntries(
+    Object.entries(schema).map(([k, v]) => [k, typeof v === 'string' ? { type: v } : v])
+  );
+  return { type: 'object', properties };
+}
+
+const MAX_INFER_DEPTH = 8;
+
+function inferString(value) {
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) return { type: 'string', format: 'date-time' };
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return { type: 'string', format: 'date' };
+  if (/^https?:\/\/\S+$/.test(value)) return { type: 'string', format: 'uri' };
+  return { type: 'string' };
+}
+
+/**
+ * Union of two schemas as anyOf (variants of either side flattened, duplicates dropped).
+ * @param {Object} a
+ * @param {Object} b
+ */
+function unionSchemas(a, b) {
+  const variants = [...(a.anyOf || [a]), ...(b.anyOf || [b])];
+  const unique = variants.filter((v, i) => variants.findIndex((w) => JSON.stringify(w) === JSON.stringify(v)) === i);
+  return unique.length === 1 ? unique[0] : { anyOf: unique };
+}
+
+/**
+ * Merge two inferred schemas (e.g. of two array items or two samples of one endpoint).
+ * anyOf and typeless schemas are merged as unions, never by their (missing) type.
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {Object|null}
+ */
+export function mergeSchemas(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  if (a.anyOf || b.anyOf || !a.type || !b.type) return unionSchemas(a, b);
+  if (a.type === b.type) {
+    if (a.type === 'object') {
+      const properties = { ...(a.properties || {}) };
+      for (const [k, v] of Object.entries(b.properties || {})) properties[k] = mergeSchemas(properties[k], v);
+      return { type: 'object', ...(Object.keys(properties).length && { properties }) };
+    }
+    if (a.type === 'array') {
+      const items = mergeSchemas(a.items || null, b.items || null);
+      return { type: 'array', ...(items && { items }) };
+    }
+    return a.format === b.format ? a : { type: a.type };
+  }
+  const numeric = new Set(['integer', 'number']);
+  if (numeric.has(a.type) && numeric.has(b.type)) return { type: 'number' };
+  return unionSchemas(a, b);
+}
+
+/**
+ * Infer a (nested) JSON Schema from a sample value, e.g. an API request or response body.
+ * Array item schemas are merged from the first 20 elements.
+ * @param {unknown} value
+ * @param {number} [depth]
+ * @returns {Object}
+ */
+export function inferJsonSchema(value, depth = 0) {
+  if (value === null || value === undefined) return { type: 'null' };
+  if (Array.isArray(value)) {
+    if (depth >= MAX_INFER_DEPTH) return { type: 'array' };
+    const items = value.slice(0, 20).map((v) => inferJsonSchema(v, depth + 1)).reduce(mergeSchemas, null);
+    return { type: 'array', ...(items && { items }) };
+  }
+  switch (typeof value) {
+    case 'string':
+      return inferString(value);
+    case 'number':
+      return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'object': {
+      if (depth >= MAX_INFER_DEPTH) return { type: 'object' };
+      const properties = {};
+      for (const [k, v] of Object.entries(value)) properties[k] = inferJsonSchema(v, depth + 1);
+      return { type: 'object', ...(Object.keys(properties).length && { properties }) };
+    }
+    default:
+      return {};
+  }
+}
+
+const FORMAT_CHECKS = {
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uri: (v) => {
+    try {
+      new URL(v);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v),
+  'date-time': (v) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(v),
+  time: (v) => /^\d{2}:\d{2}(:\d{2})?$/.test(v),
+};
+
+function checkValue(name, prop, value, errors) {
+  if (prop.type === 'array') {
+    if (!Array.isArray(value)) return errors.push(`${name}: expected an array`);
+    value.forEach((v, i) => checkValue(`${name}[${i}]`, prop.items || {}, v, errors));
+    return;
+  }
+  if (prop.type === 'boolean') {
+    if (typeof value !== 'boolean' && !/^(true|false|on|off|1|0|yes|no)$/i.test(String(value))) {
+      errors.push(`${name}: expected a boolean`);
+    }
+    return;
+  }
+  if (prop.type === 'number' || prop.type === 'integer') {
+    const n = toNumber(value);
+    if (n === undefined) return errors.push(`${name}: expected a number`);
+    if (prop.type === 'integer' && !Number.isInteger(n)) errors.push(`${name}: expected an integer`);
+    if (prop.minimum !== undefined && n < prop.minimum) errors.push(`${name}: must be >= ${prop.minimum}`);
+    if (prop.maximum !== undefined && n > prop.maximum) errors.push(`${name}: must be <= ${prop.maximum}`);
+    if (prop.multipleOf > 0) {
+      const q = n / prop.multipleOf;
+      if (Math.abs(q - Math.round(q)) > 1e-9) errors.push(`${name}: must be a multiple of ${prop.multipleOf}`);
+    }
+    return;
+  }
+  const s = String(value);
+  if (prop.enum && !prop.enum.includes(s)) {
+    errors.push(`${name}: must be one of ${prop.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+  if (prop.minLength !== undefined && s.length < prop.minLength) errors.push(`${name}: shorter than ${prop.minLength}`);
+  if (prop.maxLength !== undefined && s.length > prop.maxLength) errors.push(`${name}: longer than ${prop.maxLength}`);
+  if (prop.pattern) {
+    try {
+      if (!new RegExp(prop.pattern).test(s)) errors.push(`${name}: does not match pattern ${prop.pattern}`);
+    } catch (_) {}
+  }
+  if (prop.format && FORMAT_CHECKS[prop.format] && !FORMAT_CHECKS[prop.format](s)) {
+    errors.push(`${name}: not a valid ${prop.format}`);
+  }
+}
+
+/**
+ * Validate params against an action schema. Numeric and boolean strings are accepted
+ * for number/boolean fields (values are typed into the page as text anyway).
+ * partial: skip the required check (fields may already be filled in the live page).
+ * @param {Object} schema - JSON Schema from buildActionSchema
+ * @param {Record<string, unknown>} params
+ * @param {{ partial?: boolean }} [options]
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateParams(schema, params = {}, options = {}) {
+  if (!schema || schema.type !== 'object' || !schema.properties) return [];
+  const errors = [];
+  const { properties } = schema;
+  for (const name of options.partial ? [] : schema.required || []) {
+    if (params[name] === undefined && properties[name]?.default === undefined) errors.push(`${name}: required`);
+  }
+  for (const [name, value] of Object.entries(params)) {
+    if (value === undefined) continue;
+    if (!properties[name]) {
+      if (schema.additionalProperties === false) errors.push(`${name}: unknown parameter`);
+      continue;
+    }
+    checkValue(name, properties[name], value, errors);
+  }
+  return errors;
+}
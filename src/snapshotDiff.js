@@ -0,0 +1,123 @@
+/**
+ * Diff of two page snapshots (browserSession.getSnapshot): elements added and removed, field values
+ * and element states that changed, URL and title changes. Elements are matched by what identifies
+ * them to an agent (text, href, submit label, placement); identical repeats by their occurrence.
+ * A button whose text changes (e.g. "Cart (1)" → "Cart (2)") shows as removed + added.
+ * With element refs, the ref is part of the identity: an element the page replaced by an identical
+ * one shows as removed + added with its new ref. Changed entries carry the ref too.
+ */
+
+const GROUPS = {
+  buttons: (b) => `${b.tag}|${b.text}|${b.role || ''}`,
+  links: (l) => `${l.text}|${l.href}`,
+  forms: (f) => f.submitLabel,
+  dialogs: (d) => `${d.role}|${d.text}`,
+};
+
+// checkboxes and radios of one name are told apart by their option value
+const fieldKey = (f) => (f.checked !== undefined ? `${f.name}=${f.value}` : f.name);
+
+function placementKey(item) {
+  return `${(item.frame || []).join('>')}|${(item.shadowPath || []).join('>')}`;
+}
+
+/**
+ * Items by identity key; the n-th repeat of the same key gets "#n".
+ * @param {Array<Object>} items
+ * @param {(item: Object) => string} keyOf
+ */
+function keyed(items, keyOf) {
+  const counts = new Map();
+  const out = new Map();
+  for (const item of items) {
+    const base = `${keyOf(item)}|${placementKey(item)}|${item.ref || ''}`;
+    const n = counts.get(base) || 0;
+    counts.set(base, n + 1);
+    out.set(`${base}#${n}`, item);
+  }
+  return out;
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/** { key: { from, to } } for the listed keys that differ between two objects. */
+function changes(before, after, keys) {
+  const out = {};
+  for (const key of keys) {
+    if (!same(before[key], after[key])) out[key] = { from: before[key] ?? null, to: after[key] ?? null };
+  }
+  return out;
+}
+
+/**
+ * Field changes of a form present in both snapshots, or null when nothing changed.
+ * @param {Object} before
+ * @param {Object} after
+ */
+function formChange(before, after) {
+  const a = keyed(before.inputs || [], fieldKey);
+  const b = keyed(after.inputs || [], fieldKey);
+  const fields = [];
+  for (const [key, field] of b) {
+    if (!a.has(key)) continue;
+    const diff = changes(a.get(key), field, ['value', 'checked', 'states']);
+    if (Object.keys(diff).length) {
+      fields.push({ ...(field.ref && { ref: field.ref }), name: field.name, ...(field.checked !== undefined && { option: field.value }), ...diff });
+    }
+  }
+  const addedFields = [...b].filter(([key]) => !a.has(key)).map(([, f]) => f);
+  const removedFields = [...a].filter(([key]) => !b.has(key)).map(([, f]) => f.name);
+  if (!fields.length && !addedFields.length && !removedFields.length) return null;
+  return {
+    type: 'form',
+    ...(after.ref && { ref: after.ref }),
+    submitLabel: after.submitLabel,
+    ...(fields.length && { fields }),
+    ...(addedFields.length && { added_fields: addedFields }),
+    ...(removedFields.length && { removed_fields: removedFields }),
+  };
+}
+
+/**
+ * Diff from one snapshot to the next.
+ * @param {{ url: string, title: string, buttons?: Array<Object>, links?: Array<Object>, forms?: Array<Object>, dialogs?: Array<Object> }} before
+ * @param {{ url: string, title: string, buttons?: Array<Object>, links?: Array<Object>, forms?: Array<Object>, dialogs?: Array<Object> }} after
+ * @param {{ limits?: Record<string, number> }} [options] - limits: max added/removed items per group (e.g. { buttons: 50 })
+ * @returns {{ previous_url?: string, previous_title?: string, added?: Object, removed?: Object, changed?: Array<Object>, unchanged: number }}
+ */
+export function diffSnapshots(before, after, options = {}) {
+  const { limits = {} } = options;
+  const added = {};
+  const removed = {};
+  const changed = [];
+  let unchanged = 0;
+  for (const [group, keyOf] of Object.entries(GROUPS)) {
+    const a = keyed(before[group] || [], keyOf);
+    const b = keyed(after[group] || [], keyOf);
+    const cap = (items) => (limits[group] ? items.slice(0, limits[group]) : items);
+    const addedItems = [...b].filter(([key]) => !a.has(key)).map(([, item]) => item);
+    const removedItems = [...a].filter(([key]) => !b.has(key)).map(([, item]) => item);
+    if (addedItems.length) added[group] = cap(addedItems);
+    if (removedItems.length) removed[group] = cap(removedItems);
+    for (const [key, item] of b) {
+      if (!a.has(key)) continue;
+      const prev = a.get(key);
+      let change = null;
+      if (group === 'forms') {
+        change = formChange(prev, item);
+      } else if (!same(prev.states, item.states)) {
+        change = { type: item.type, ...(item.ref && { ref: item.ref }), text: item.text, states: { from: prev.states || {}, to: item.states || {} } };
+      }
+      if (change) changed.push(change);
+      else unchanged++;
+    }
+  }
+  return {
+    ...(before.url !== after.url && { previous_url: before.url }),
+    ...(before.title !== after.title && { previous_title: before.title }),
+    ...(Object.keys(added).length && { added }),
+    ...(Object.keys(removed).length && { removed }),
+    ...(changed.length && { changed }),
+    unchanged,
+  };
+}
@@ -0,0 +1,252 @@
+/**
+ * Agent run tracing: one JSONL file per run with every LLM call (model, tokens, cost, latency)
+ * and tool call (name, args, duration, result size, error), ending with a summary record.
+ * Summaries are recomputed from the events, so interrupted runs can still be summarized and compared.
+ * Values typed into password and payment fields (policy.js isSensitiveField) are redacted from tool
+ * arguments, as are values filled by snapshot ref, whose field the trace cannot tell.
+ * Env: AGENT_TRACE_DIR (default .agent-traces), AGENT_TRACE=off to disable.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { isSensitiveField } from './policy.js';
+
+const DEFAULT_DIR = '.agent-traces';
+const MAX_ARG_LENGTH = 500;
+const SECRET_ARGS = /^(headers_json|password|cookie|authorization|api_key)$/i;
+const REDACTED = '<redacted>';
+// Arguments holding field name → value maps (JSON, or form-encoded for API bodies)
+const FIELD_MAP_ARGS = { browser_fill_form: 'fields_json', browser_execute_action: 'params_json', web_scraper_call_api: 'body' };
+
+/** Whether the value filled into this field (name, label or snapshot ref) must not be traced. */
+function secretField(field) {
+  return SECRET_ARGS.test(field) || isSensitiveField(field) || /^e\d+$/.test(String(field).trim());
+}
+
+/**
+ * Field map argument with the values of secret fields redacted; unparsable text is kept as is.
+ * @param {unknown} value
+ */
+function redactFieldMap(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return value;
+    return JSON.stringify(Object.fromEntries(Object.entries(parsed).map(([k, v]) => [k, secretField(k) ? REDACTED : v])));
+  } catch (_) {
+    if (!value.includes('=')) return value;
+    const params = new URLSearchParams(value);
+    for (const key of [...params.keys()]) if (secretField(key)) params.set(key, REDACTED);
+    return params.toString();
+  }
+}
+
+/**
+ * Tool arguments safe to keep in a trace: long strings (HTML, contracts) truncated, secrets redacted.
+ * @param {Object} args
+ * @param {string} [tool] - Tool name; picks out arguments that carry field values
+ */
+function traceArgs(args, tool) {
+  const out = {};
+  for (const [k, v] of Object.entries(args || {})) {
+    let value = v;
+    if (SECRET_ARGS.test(k)) value = REDACTED;
+    else if (FIELD_MAP_ARGS[tool] === k) value = redactFieldMap(v);
+    else if (tool === 'browser_fill' && k === 'value' && secretField(args.field || '')) value = REDACTED;
+    out[k] = typeof value === 'string' && value.length > MAX_ARG_LENGTH ? `${value.slice(0, MAX_ARG_LENGTH)}… (${value.length} chars)` : value;
+  }
+  return out;
+}
+
+/**
+ * Start tracing a run. Events are appended to <dir>/<runId>.jsonl as they happen.
+ * @param {{ dir?: string, enabled?: boolean, meta?: Object }} options - meta: model, input, … (stored on run_start)
+ * @returns {{ runId: string, file: string|null, llmCall: Function, toolCall: Function, finish: Function }}
+ */
+export function createTracer(options = {}) {
+  const enabled = options.enabled ?? !/^(off|false|0)$/i.test(process.env.AGENT_TRACE || '');
+  const dir = path.resolve(options.dir || process.env.AGENT_TRACE_DIR || DEFAULT_DIR);
+  const runId = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+  const file = enabled ? path.join(dir, `${runId}.jsonl`) : null;
+  const events = [];
+
+  function write(event) {
+    const record = { ts: new Date().toISOString(), runId, ...event };
+    events.push(record);
+    if (!file) return;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify(record)}\n`, 'utf8');
+    } catch (e) {
+      console.error('Trace write failed:', e.message);
+    }
+  }
+
+  write({ type: 'run_start', ...options.meta });
+
+  return {
+    runId,
+    file,
+    /**
+     * @param {{ turn: number, model?: string, latencyMs: number, usage?: Object, images?: number, toolCalls?: number, finishReason?: string, error?: string }} call
+     *   usage: OpenRouter/OpenAI usage object (prompt_tokens, completion_tokens, cost, …)
+     */
+    llmCall(call) {
+      const { usage = {}, ...rest } = call;
+      write({
+        type: 'llm_call',
+        ...rest,
+        promptTokens: usage.prompt_tokens ?? null,
+        completionTokens: usage.completion_tokens ?? null,
+        cachedTokens: usage.prompt_tokens_details?.cached_tokens ?? undefined,
+        cost: usage.cost ?? null,
+      });
+    },
+    /**
+     * @param {{ turn: number, name: string, args?: Object, durationMs: number, resultBytes?: number, images?: number, isError?: boolean, error?: string, automatic?: boolean }} call
+     */
+    toolCall(call) {
+      write({ type: 'tool_call', ...call, args: traceArgs(call.args, call.name) });
+    },
+    /**
+     * End the run: append the summary record and return it.
+     * @param {{ status: 'ok'|'max_turns'|'error', error?: string }} result
+     */
+    finish(result) {
+      write({ type: 'run_end', ...result });
+      const summary = summarizeTrace(events);
+      write({ type: 'summary', ...summary });
+      return summary;
+    },
+  };
+}
+
+/**
+ * Summary of one run's events.
+ * @param {Array<Object>} events - Records of one run (from the JSONL file)
+ */
+export function summarizeTrace(events) {
+  const start = events.find((e) => e.type === 'run_start') || events[0] || {};
+  const end = events.find((e) => e.type === 'run_end');
+  const llm = events.filter((e) => e.type === 'llm_call');
+  const toolCalls = events.filter((e) => e.type === 'tool_call');
+  const sum = (list, key) => list.reduce((n, e) => n + (Number(e[key]) || 0), 0);
+  const tools = {};
+  for (const t of toolCalls) {
+    const entry = tools[t.name] || (tools[t.name] = { calls: 0, errors: 0, durationMs: 0, resultBytes: 0 });
+    entry.calls++;
+    if (t.isError) entry.errors++;
+    entry.durationMs += t.durationMs || 0;
+    entry.resultBytes += t.resultBytes || 0;
+  }
+  const last = events[events.length - 1] || {};
+  return {
+    runId: start.runId,
+    model: start.model || llm[0]?.model || null,
+    input: start.input,
+    startedAt: start.ts,
+    durationMs: start.ts && (end || last).ts ? Date.parse((end || last).ts) - Date.parse(start.ts) : null,
+    status: end?.status || 'incomplete',
+    turns: llm.length ? Math.max(...llm.map((e) => e.turn ?? 0)) + 1 : 0,
+    llmCalls: llm.length,
+    promptTokens: sum(llm, 'promptTokens'),
+    completionTokens: sum(llm, 'completionTokens'),
+    totalTokens: sum(llm, 'promptTokens') + sum(llm, 'completionTokens'),
+    // null when the provider reported no cost at all
+    cost: llm.some((e) => e.cost != null) ? Number(sum(llm, 'cost').toFixed(6)) : null,
+    llmLatencyMs: sum(llm, 'latencyMs'),
+    visionImages: sum(llm, 'images'),
+    toolCalls: toolCalls.length,
+    toolErrors: toolCalls.filter((t) => t.isError).length,
+    toolDurationMs: sum(toolCalls, 'durationMs'),
+    tools,
+  };
+}
+
+/**
+ * Read trace files (a .jsonl file, or every .jsonl in a directory) and summarize each run.
+ * @param {string} input - File or directory
+ * @returns {Array<Object>} Summaries, oldest first
+ */
+export function loadTraceSummaries(input) {
+  const stat = fs.statSync(input);
+  const files = stat.isDirectory()
+    ? fs.readdirSync(input).filter((f) => f.endsWith('.jsonl')).sort().map((f) => path.join(input, f))
+    : [input];
+  const summaries = [];
+  for (const file of files) {
+    const byRun = new Map();
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (_) {
+        continue; // partial last line of a crashed run
+      }
+      if (event.type === 'summary') continue;
+      if (!byRun.has(event.runId)) byRun.set(event.runId, []);
+      byRun.get(event.runId).push(event);
+    }
+    for (const events of byRun.values()) summaries.push({ file, ...summarizeTrace(events) });
+  }
+  return summaries;
+}
+
+const METRICS = ['durationMs', 'turns', 'llmCalls', 'promptTokens', 'completionTokens', 'totalTokens', 'cost', 'llmLatencyMs', 'visionImages', 'toolCalls', 'toolErrors', 'toolDurationMs'];
+
+/**
+ * Aggregate run summaries: totals and per-run means of each metric, plus status counts.
+ * @param {Array<Object>} summaries
+ */
+export function aggregateSummaries(summaries) {
+  const totals = {};
+  const means = {};
+  for (const m of METRICS) {
+    const values = summaries.map((s) => s[m]).filter((v) => typeof v === 'number');
+    totals[m] = values.length ? Number(values.reduce((a, b) => a + b, 0).toFixed(6)) : null;
+    means[m] = values.length ? Number((totals[m] / values.length).toFixed(m === 'cost' ? 6 : 1)) : null;
+  }
+  const statuses = {};
+  for (const s of summaries) statuses[s.status] = (statuses[s.status] || 0) + 1;
+  return { runs: summaries.length, statuses, totals, means };
+}
+
+/**
+ * Compare two sets of runs (e.g. contract-driven vs vision-only) by mean per run.
+ * @param {Array<Object>} a - Summaries of the baseline
+ * @param {Array<Object>} b - Summaries to compare
+ * @returns {{ a: Object, b: Object, delta: Record<string, { a: number|null, b: number|null, change: number|null, percent: number|null }> }}
+ */
+export function compareSummaries(a, b) {
+  const aggA = aggregateSummaries(a);
+  const aggB = aggregateSummaries(b);
+  const delta = {};
+  for (const m of METRICS) {
+    const x = aggA.means[m];
+    const y = aggB.means[m];
+    const change = x != null && y != null ? Number((y - x).toFixed(6)) : null;
+    delta[m] = { a: x, b: y, change, percent: change != null && x ? Number(((change / x) * 100).toFixed(1)) : null };
+  }
+  return { a: aggA, b: aggB, delta };
+}
+
+/**
+ * Human-readable table of an aggregate or a comparison.
+ * @param {Object} report - aggregateSummaries or compareSummaries output
+ */
+export function formatTraceReport(report) {
+  if (report.delta) {
+    const lines = [`Runs: a=${report.a.runs}, b=${report.b.runs} (mean per run)`, `${'metric'.padEnd(18)}${'a'.padStart(14)}${'b'.padStart(14)}${'change'.padStart(10)}`];
+    for (const [m, d] of Object.entries(report.delta)) {
+      const pct = d.percent == null ? '' : `${d.percent > 0 ? '+' : ''}${d.percent}%`;
+      lines.push(`${m.padEnd(18)}${String(d.a ?? '-').padStart(14)}${String(d.b ?? '-').padStart(14)}${pct.padStart(10)}`);
+    }
+    return lines.join('\n');
+  }
+  const status = Object.entries(report.statuses).map(([k, v]) => `${k} ${v}`).join(', ');
+  const lines = [`Runs: ${report.runs}${status ? ` (${status})` : ''}`, `${'metric'.padEnd(18)}${'total'.padStart(14)}${'mean'.padStart(14)}`];
+  for (const m of METRICS) lines.push(`${m.padEnd(18)}${String(report.totals[m] ?? '-').padStart(14)}${String(report.means[m] ?? '-').padStart(14)}`);
+  return lines.join('\n');
+}
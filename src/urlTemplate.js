@@ -0,0 +1,63 @@
+/**
+ * Collapse concrete URLs into templates so /products/123 and /products/456 are one page/endpoint.
+ * Path segments that look like ids become {id}; query values become {key}.
+ */
+
+const TRACKING_PARAMS = /^(utm_\w+|gclid|fbclid|msclkid|_ga|ref)$/i;
+
+/**
+ * True when a path segment looks like an identifier rather than a fixed route.
+ * @param {string} segment
+ */
+function isIdSegment(segment) {
+  return (
+    /^\d+$/.test(segment) ||
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) ||
+    (/^[0-9a-f]{12,}$/i.test(segment) && /\d/.test(segment)) ||
+    /\d{4,}/.test(segment)
+  );
+}
+
+/** Decoded path segment; the raw segment when it has a malformed escape (e.g. "100%"). */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (_) {
+    return segment;
+  }
+}
+
+/**
+ * @param {string} url - Absolute URL
+ * @returns {{ template: string, origin: string, path: string, pathParams: string[], queryParams: string[] }}
+ */
+export function templatizeUrl(url) {
+  const u = new URL(url);
+  const pathParams = [];
+  const segments = u.pathname.split('/').map((segment) => {
+    if (!segment || !isIdSegment(decodeSegment(segment))) return segment;
+    const name = pathParams.length ? `id${pathParams.length + 1}` : 'id';
+    pathParams.push(name);
+    return `{${name}}`;
+  });
+  const path = segments.join('/') || '/';
+  const queryParams = [...new Set([...u.searchParams.keys()])]
+    .filter((k) => !TRACKING_PARAMS.test(k))
+    .sort();
+  const query = queryParams.map((k) => `${k}={${k}}`).join('&');
+  return {
+    template: `${u.origin}${path}${query ? `?${query}` : ''}`,
+    origin: u.origin,
+    path,
+    pathParams,
+    queryParams,
+  };
+}
+
+/**
+ * @param {string} url - Absolute URL
+ * @returns {string} e.g. "https://shop.example/products/{id}?page={page}"
+ */
+export function urlTemplate(url) {
+  return templatizeUrl(url).template;
+}
@@ -0,0 +1,74 @@
+/**
+ * E-commerce vertical: canonical shopping intents over raw contract actions.
+ * Keywords cover common shop languages so "add_to_bag", "in_den_warenkorb" and
+ * "ajouter_au_panier" all map to add_to_cart.
+ */
+
+export default {
+  name: 'ecommerce',
+  description: 'Online shops: search, filter, variants, cart, checkout',
+  intents: [
+    {
+      action: 'search_product',
+      description: 'Search the catalog for products',
+      params: { query: 'string' },
+      required: ['query'],
+      kinds: ['form'],
+      keywords: /search|such|buscar|recherche|cerca|zoek|find/i,
+      fields: { query: /^(q|s|k|query|keywords?|term|text)$|search|such/i },
+      match: 'all',
+    },
+    {
+      action: 'filter_price',
+      description: 'Restrict results to a price range',
+      params: { min: 'number', max: 'number' },
+      kinds: ['form'],
+      keywords: /filter|price|preis|prix|precio|prezzo/i,
+      fields: {
+        // whole name parts only: "to" must not match token / total / to_date, nor "min" admin
+        min: /(^|[-_[])(min|from|low|von|desde)($|\]|[-_[]?(price|preis|prix|precio))|(price|preis|prix|precio)\]?[-_[]?(min|from|low|gte)($|\])/i,
+        max: /(^|[-_[])(max|to|high|bis|hasta)($|\]|[-_[]?(price|preis|prix|precio))|(price|preis|prix|precio)\]?[-_[]?(max|to|high|lte)($|\])/i,
+      },
+      match: 'all',
+    },
+    {
+      action: 'select_variant',
+      description: 'Choose product options such as size and color (fills without submitting)',
+      params: { size: 'string', color: 'string' },
+      kinds: ['form'],
+      fields: {
+        size: /size|gr(o|ö|oe)(ss|ß)e|taille|talla|taglia|maat/i,
+        color: /colou?r|farbe|couleur|colore|kleur/i,
+      },
+      match: 'any',
+      submit: false,
+    },
+    {
+      action: 'add_to_cart',
+      description: 'Add the current product to the cart',
+      params: { product_id: 'string', qty: 'number' },
+      kinds: ['form', 'button'],
+      keywords: /add ?to ?(cart|bag|basket|trolley)|in den (warenkorb|einkaufswagen)|ajouter au panier|a(ñ|n)adir al carrito|aggiungi al carrello|in (de )?winkelwagen|buy now/i,
+      fields: {
+        product_id: /product|sku|item|variant|^id$|^pid$/i,
+        qty: /qty|quantit|menge|cantidad/i,
+      },
+      match: 'none',
+    },
+    {
+      action: 'view_cart',
+      description: 'Open the shopping cart',
+      params: {},
+      kinds: ['link', 'button'],
+      keywords: /^(view |my |your |shopping )?(cart|bag|basket|trolley)\b|warenkorb|panier|carrito|carrello|winkelwagen|cesta/i,
+      exclude: /add|ajouter|a(ñ|n)adir|aggiungi|in den|check ?out/i,
+    },
+    {
+      action: 'checkout',
+      description: 'Proceed to checkout',
+      params: {},
+      kinds: ['link', 'button', 'form'],
+      keywords: /check ?out|zur kasse|kasse|commander|finalizar compra|proceed to (payment|checkout)|afrekenen/i,
+    },
+  ],
+};
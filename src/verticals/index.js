@@ -0,0 +1,182 @@
+/**
+ * Vertical templates: map raw contract actions (named after whatever text a button has)
+ * to canonical intents such as search_product(query) or add_to_cart(product_id, qty).
+ * Verticals are plain objects registered by name; see ecommerce.js for the shape.
+ */
+
+import ecommerce from './ecommerce.js';
+import { schemaFieldNames } from '../schema.js';
+
+const AGENT_PREFIX = '/agent';
+const registry = new Map();
+
+/**
+ * Register a vertical template (replaces one with the same name).
+ * @param {{ name: string, description?: string, intents: Array<Object> }} vertical
+ */
+export function registerVertical(vertical) {
+  if (!vertical?.name || !Array.isArray(vertical.intents)) {
+    throw new Error('registerVertical: vertical needs a name and an intents array');
+  }
+  registry.set(vertical.name, vertical);
+}
+
+/**
+ * @param {string} name
+ */
+export function getVertical(name) {
+  return registry.get(name) || null;
+}
+
+export function listVerticals() {
+  return [...registry.values()].map(({ name, description, intents }) => ({
+    name,
+    description,
+    intents: intents.map((i) => i.action),
+  }));
+}
+
+function actionText(action) {
+  return `${action.action} ${action.description || ''}`.replace(/_/g, ' ');
+}
+
+/**
+ * Score one raw action against one intent.
+ * @returns {{ confidence: number, params: Record<string, string> }|null} params = canonical → raw field
+ */
+function matchIntent(intent, action) {
+  if (!(intent.kinds || []).includes(action.kind)) return null;
+  const text = actionText(action);
+  if (intent.exclude?.test(text)) return null;
+  const keywordHit = intent.keywords ? intent.keywords.test(text) : false;
+
+  const params = {};
+  const used = new Set();
+  for (const [param, pattern] of Object.entries(intent.fields || {})) {
+    const field = schemaFieldNames(action.schema).find((f) => !used.has(f) && pattern.test(f));
+    if (field) {
+      params[param] = field;
+      used.add(field);
+    }
+  }
+  const fieldCount = Object.keys(intent.fields || {}).length;
+  const mapped = Object.keys(params).length;
+
+  let score;
+  if (intent.match === 'all') {
+    if (mapped < fieldCount) return null;
+    score = keywordHit ? 1 : 0.7;
+  } else if (intent.match === 'any') {
+    if (!mapped) return null;
+    score = 0.6 + 0.4 * (mapped / fieldCount);
+  } else {
+    if (!keywordHit) return null;
+    score = 0.9;
+  }
+  const confidence = Math.round(score * (action.confidence ?? 1) * 100) / 100;
+  return { confidence, params };
+}
+
+/**
+ * JSON Schema for a canonical intent: each mapped param reuses the raw field's schema
+ * (enum, bounds, default); unmapped params keep the intent's declared type.
+ * @param {Object} intent
+ * @param {Object} action - Best matching raw action
+ * @param {Record<string, string>} params - canonical → raw field
+ */
+function intentSchema(intent, action, params) {
+  const rawProps = action.schema?.properties || {};
+  const properties = {};
+  for (const [param, type] of Object.entries(intent.params)) {
+    const field = params[param];
+    properties[param] = field && rawProps[field] ? { ...rawProps[field] } : { type };
+  }
+  const required = (intent.required || []).filter((p) => properties[p]);
+  return {
+    type: 'object',
+    properties,
+    ...(required.length && { required }),
+    additionalProperties: false,
+  };
+}
+
+/**
+ * Canonical intents a vertical finds in a contract (best raw matches first).
+ * @param {Object} contract - Output of generateContract
+ * @param {Object} vertical
+ */
+function intentsFor(contract, vertical) {
+  const intents = [];
+  for (const intent of vertical.intents) {
+    const maps = [];
+    for (const action of contract.actions || []) {
+      const m = matchIntent(intent, action);
+      if (m) maps.push({ action: action.action, params: m.params, confidence: m.confidence });
+    }
+    if (!maps.length) continue;
+    maps.sort((a, b) => b.confidence - a.confidence);
+    const best = contract.actions.find((a) => a.action === maps[0].action);
+    intents.push({
+      action: intent.action,
+      method: best.method,
+      endpoint: `${AGENT_PREFIX}/${intent.action}`,
+      schema: intentSchema(intent, best, maps[0].params),
+      description: intent.description,
+      confidence: maps[0].confidence,
+      ...(intent.submit === false && { submit: false }),
+      maps: maps.slice(0, 3),
+    });
+  }
+  return intents;
+}
+
+/**
+ * Pick the registered vertical matching the most intents (at least two), or null.
+ * @param {Object} contract
+ */
+export function detectVertical(contract) {
+  let best = null;
+  for (const vertical of registry.values()) {
+    const count = intentsFor(contract, vertical).length;
+    if (count >= 2 && (!best || count > best.count)) best = { name: vertical.name, count };
+  }
+  return best ? best.name : null;
+}
+
+/**
+ * Add canonical intents to a contract (mutates and returns it).
+ * @param {Object} contract - Output of generateContract
+ * @param {string} [name] - Vertical name, or 'auto' to detect
+ */
+export function applyVertical(contract, name = 'auto') {
+  const verticalName = name === 'auto' ? detectVertical(contract) : name;
+  if (!verticalName) return contract;
+  const vertical = getVertical(verticalName);
+  if (!vertical) throw new Error(`Unknown vertical "${verticalName}". Known: ${[...registry.keys()].join(', ')}`);
+  contract.vertical = verticalName;
+  contract.intents = intentsFor(contract, vertical);
+  return contract;
+}
+
+/**
+ * Translate a canonical intent call into the best raw action call.
+ * @param {Object} contract - Contract with intents (see applyVertical)
+ * @param {string} intentName - e.g. "add_to_cart"
+ * @param {Record<string, unknown>} [params] - Canonical params, e.g. { product_id: "123", qty: 2 }
+ * @returns {{ action: string, params: Record<string, unknown>, submit: boolean }|null}
+ */
+export function resolveIntent(contract, intentName, params = {}) {
+  const intent = (contract.intents || []).find((i) => i.action === intentName);
+  if (!intent) return null;
+  const [best] = intent.maps;
+  const rawParams = {};
+  for (const [param, value] of Object.entries(params)) {
+    if (value === undefined) continue;
+    const field = best.params[param];
+    if (!field) throw new Error(`Intent "${intentName}" has no field for "${param}" on this page (mapped: ${Object.keys(best.params).join(', ') || 'none'})`);
+    rawParams[field] = value;
+  }
+  return { action: best.action, params: rawParams, submit: intent.submit !== false };
+}
+
+registerVertical(ecommerce);
@@ -0,0 +1,94 @@
+/**
+ * Offline runs of runAgentTurn: the mock provider replays a script against a fake MCP client whose
+ * risky tool goes through the real safety policy (confirm tokens), so no browser or network is needed.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runAgentTurn } from '../src/agent.js';
+import { createProvider } from '../src/llmProviders.js';
+import { createTracer } from '../src/tracing.js';
+import { classifyAction, enforcePolicy } from '../src/policy.js';
+
+const text = (data) => ({ content: [{ type: 'text', text: JSON.stringify(data) }] });
+
+/**
+ * Fake MCP client: browser_snapshot returns a fixed page, browser_execute_action runs the policy
+ * check of the action first. acceptTokens: false makes every confirm_token look invalid.
+ */
+function fakeMcp({ acceptTokens = true } = {}) {
+  const calls = [];
+  return {
+    calls,
+    async callTool({ name, arguments: args }) {
+      calls.push({ name, args });
+      if (name === 'browser_snapshot') {
+        return text({ url: 'https://shop.test/cart', title: 'Cart', buttons: [{ ref: 'e1', text: 'Place order' }], links: [], forms: [] });
+      }
+      if (name === 'browser_execute_action') {
+        const risk = classifyAction({ action: args.action, description: 'Place order' });
+        const blocked = enforcePolicy(
+          { type: 'action', target: args.action, risk },
+          { confirmToken: acceptTokens ? args.confirm_token : args.confirm_token && 'expired' },
+        );
+        return text(blocked || { ok: true, action: args.action, url: 'https://shop.test/thanks' });
+      }
+      return { isError: true, content: [{ type: 'text', text: `Unknown tool ${name}` }] };
+    },
+  };
+}
+
+function run(script, mcp, options = {}) {
+  const provider = createProvider({ provider: 'mock', script, autoConfirm: options.autoConfirm });
+  return runAgentTurn(null, mcp, [], [{ role: 'user', content: 'Buy the cart' }], null, createTracer({ enabled: false }), {
+    provider,
+    budget: options.budget,
+  });
+}
+
+test('runs tool calls and returns the final reply', async () => {
+  const mcp = fakeMcp();
+  const result = await run([{ tool: 'browser_snapshot' }, { content: 'The cart has a Place order button.' }], mcp);
+  assert.equal(result.stop.reason, 'completed');
+  assert.equal(result.reply, 'The cart has a Place order button.');
+  assert.deepEqual(mcp.calls.map((c) => c.name), ['browser_snapshot']);
+  assert.equal(result.trace.file, null);
+  assert.equal(result.trace.llmCalls, 2);
+  assert.equal(result.trace.toolCalls, 1);
+  const toolResult = result.messages.find((m) => m.role === 'tool');
+  assert.match(toolResult.content, /Place order/);
+});
+
+test('autoConfirm repeats a blocked call with its confirm_token', async () => {
+  const mcp = fakeMcp();
+  const result = await run([{ tool: 'browser_execute_action', args: { action: 'place_order' } }, { content: 'Ordered.' }], mcp, { autoConfirm: true });
+  assert.equal(result.stop.reason, 'completed');
+  assert.equal(mcp.calls.length, 2);
+  assert.equal(mcp.calls[0].args.confirm_token, undefined);
+  assert.ok(mcp.calls[1].args.confirm_token);
+  assert.match(result.messages.filter((m) => m.role === 'tool').pop().content, /thanks/);
+});
+
+test('autoConfirm does not retry a rejected confirm_token', async () => {
+  const mcp = fakeMcp({ acceptTokens: false });
+  const result = await run([{ tool: 'browser_execute_action', args: { action: 'place_order' } }, { content: 'Could not confirm.' }], mcp, { autoConfirm: true });
+  assert.equal(result.stop.reason, 'completed');
+  assert.equal(result.reply, 'Could not confirm.');
+  assert.equal(mcp.calls.length, 2);
+});
+
+test('without autoConfirm a blocked call is left to the script', async () => {
+  const mcp = fakeMcp();
+  const result = await run([{ tool: 'browser_execute_action', args: { action: 'place_order' } }, { content: 'Please confirm the order.' }], mcp);
+  assert.equal(result.reply, 'Please confirm the order.');
+  assert.equal(mcp.calls.length, 1);
+  assert.match(result.messages.filter((m) => m.role === 'tool').pop().content, /requires_confirmation/);
+});
+
+test('stops at the turn limit', async () => {
+  const mcp = fakeMcp();
+  const result = await run(Array(5).fill({ tool: 'browser_snapshot' }), mcp, { budget: { maxTurns: 3 } });
+  assert.equal(result.stop.reason, 'max_turns');
+  assert.equal(result.reply, null);
+  assert.equal(mcp.calls.length, 3);
+});
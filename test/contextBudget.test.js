@@ -0,0 +1,94 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  READ_RESULT_TOOL_NAME, compactHistory, createResultStore, estimateContextTokens, estimateMessageTokens, fitToolResult, isCompacted, resolveBudget,
+} from '../src/contextBudget.js';
+
+beforeEach(() => {
+  for (const name of ['AGENT_MAX_TURNS', 'AGENT_CONTEXT_TOKENS', 'AGENT_TOOL_RESULT_TOKENS', 'AGENT_COMPACT_AT', 'AGENT_KEEP_TURNS', 'AGENT_MAX_RUN_TOKENS']) {
+    delete process.env[name];
+  }
+});
+
+test('resolveBudget: options over env over defaults', () => {
+  assert.deepEqual(resolveBudget(), {
+    maxTurns: 15, maxContextTokens: 100000, maxToolResultTokens: 8000, compactAt: 0.7, keepRecentTurns: 3, maxRunTokens: null,
+  });
+  process.env.AGENT_MAX_TURNS = '4';
+  process.env.AGENT_CONTEXT_TOKENS = 'lots';
+  const budget = resolveBudget({ keepRecentTurns: 1, maxTurns: undefined, unknown: 1 });
+  assert.deepEqual([budget.maxTurns, budget.maxContextTokens, budget.keepRecentTurns, budget.unknown], [4, 100000, 1, undefined]);
+  assert.throws(() => resolveBudget({ maxTurns: 0 }), /maxTurns must be at least 1/);
+});
+
+test('token estimates count images and tool calls', () => {
+  const text = { role: 'user', content: 'x'.repeat(400) };
+  const image = { role: 'user', content: [{ type: 'image_url', image_url: { url: 'data:' } }] };
+  const call = { role: 'assistant', content: null, tool_calls: [{ id: 'c1', function: { name: 'browser_snapshot', arguments: '{}' } }] };
+  assert.ok(estimateMessageTokens(image) > estimateMessageTokens(text));
+  assert.ok(estimateMessageTokens(call) > estimateMessageTokens({ role: 'assistant', content: null }));
+  const tools = [{ type: 'function', function: { name: 'browser_snapshot' } }];
+  assert.ok(estimateContextTokens([text, call], tools) > estimateContextTokens([text, call]));
+});
+
+test('fitToolResult keeps small results and shrinks large JSON with a readable result_id', () => {
+  const store = createResultStore();
+  assert.equal(fitToolResult('{"ok":true}', { maxTokens: 100, store }), '{"ok":true}');
+  const full = JSON.stringify({ url: 'https://shop.test/', links: Array.from({ length: 200 }, (_, i) => ({ text: `Product ${i}`, href: `/p/${i}` })) });
+  const fitted = fitToolResult(full, { maxTokens: 300, store, tool: 'browser_snapshot' });
+  assert.ok(fitted.length <= 300 * 4);
+  const [json, note] = fitted.split('\n');
+  assert.match(JSON.parse(json).links.at(-1), /^… \d+ more$/);
+  const id = /result_id: "(r\d+)"/.exec(note)[1];
+  const page = store.read({ result_id: id, offset: 10, length: 50 });
+  assert.deepEqual([page.tool, page.total_chars, page.text, page.next_offset], ['browser_snapshot', full.length, full.slice(10, 60), 60]);
+  assert.equal(fitToolResult(full, { maxTokens: 300, store }).match(/result_id: "(r\d+)"/)[1], id, 'same text, same id');
+  assert.match(store.read({ result_id: 'r99' }).error, /Unknown or expired/);
+});
+
+test('fitToolResult cuts plain text', () => {
+  const fitted = fitToolResult('word '.repeat(2000), { maxTokens: 100, store: createResultStore() });
+  assert.ok(fitted.length <= 400);
+  assert.match(fitted, new RegExp(`…\\n\\[Truncated: 10000 chars.*${READ_RESULT_TOOL_NAME}`));
+});
+
+test('the store drops its oldest entries', () => {
+  const store = createResultStore({ maxEntries: 2 });
+  const ids = ['a', 'b', 'c'].map((t) => store.put(t));
+  assert.equal(store.get(ids[0]), null);
+  assert.equal(store.get(ids[2]).text, 'c');
+});
+
+/** History of one user message and `turns` snapshot calls with large results. */
+function history(turns) {
+  const messages = [{ role: 'system', content: 'sys' }, { role: 'user', content: 'Find boots' }];
+  for (let i = 0; i < turns; i++) {
+    messages.push({ role: 'assistant', content: null, tool_calls: [{ id: `c${i}`, type: 'function', function: { name: 'browser_snapshot', arguments: JSON.stringify({ note: 'n'.repeat(500) }) } }] });
+    messages.push({ role: 'tool', tool_call_id: `c${i}`, content: `snapshot ${i} ${'x'.repeat(4000)}` });
+  }
+  return messages;
+}
+
+test('compactHistory stubs old tool results and keeps recent turns', () => {
+  const messages = history(4);
+  const store = createResultStore();
+  const budget = { maxContextTokens: 2000, compactAt: 0.5, keepRecentTurns: 2 };
+  const out = compactHistory(messages, budget, store);
+  assert.ok(out.after < out.before);
+  assert.equal(out.messages.length, messages.length);
+  const tools = out.messages.filter((m) => m.role === 'tool');
+  assert.deepEqual(tools.map(isCompacted), [true, true, false, false]);
+  assert.match(tools[0].content, /^\[Compacted browser_snapshot result: \d+ chars\. snapshot 0/);
+  const id = /result_id: "(r\d+)"/.exec(tools[0].content)[1];
+  assert.equal(store.get(id).text, messages[3].content);
+  assert.ok(out.messages[2].tool_calls[0].function.arguments.length < messages[2].tool_calls[0].function.arguments.length);
+  assert.equal(out.messages[6], messages[6]);
+  assert.equal(isCompacted({ role: 'tool', content: 'snapshot' }), false);
+});
+
+test('compactHistory leaves a history under the threshold alone', () => {
+  const messages = history(1);
+  const out = compactHistory(messages, { maxContextTokens: 100000, compactAt: 0.7, keepRecentTurns: 3 }, createResultStore());
+  assert.equal(out.messages, messages);
+  assert.equal(out.compacted, 0);
+});
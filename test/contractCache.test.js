@@ -0,0 +1,81 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { apiFingerprint, cacheKey, cachedContract, domFingerprint, listCacheEntries, normalizeUrl, purgeCache } from '../src/contractCache.js';
+
+const page = (field = '<input name="q" value="">', extra = '') => `<html><body>
+  <p class="price">$10</p>
+  <span id="lbl">Search</span>
+  <div class="wrap"><form action="/search"><label for="q">Find</label>${field}<button>Go</button></form></div>
+  ${extra}
+</body></html>`;
+
+test('normalizeUrl and cacheKey ignore tracking params, fragments and param order', () => {
+  assert.equal(normalizeUrl('https://Shop.TEST/p?b=2&utm_source=x&a=1#top'), 'https://shop.test/p?a=1&b=2');
+  assert.equal(cacheKey('https://shop.test/p?a=1&b=2'), cacheKey('https://shop.test/p?b=2&a=1&gclid=z'));
+  assert.notEqual(cacheKey('https://shop.test/p'), cacheKey('https://shop.test/p', { discoverApis: true }));
+});
+
+test('domFingerprint changes with what a contract is built from', () => {
+  const base = domFingerprint(page());
+  const variants = {
+    value: page('<input name="q" value="boots">'),
+    required: page('<input name="q" value="" required>'),
+    'data-testid': page('<input name="q" value="" data-testid="search">'),
+    'aria-labelledby': page('<input name="q" value="" aria-labelledby="lbl">'),
+    label: page().replace('>Find<', '>Look up<'),
+    'hidden ancestor': page().replace('class="wrap"', 'class="wrap" hidden'),
+    'new button': page(undefined, '<div role="button">Buy</div>'),
+  };
+  for (const [name, html] of Object.entries(variants)) assert.notEqual(domFingerprint(html), base, name);
+  assert.notEqual(
+    domFingerprint(page('<input name="q" value="" aria-labelledby="lbl">')),
+    domFingerprint(page('<input name="q" value="" aria-labelledby="lbl">').replace('>Search<', '>Query<')),
+    'labelledby text',
+  );
+});
+
+test('domFingerprint ignores page content', () => {
+  const base = domFingerprint(page());
+  assert.equal(domFingerprint(page().replace('$10', '$12')), base);
+  assert.equal(domFingerprint(page(undefined, '<p>New arrivals</p>')), base);
+});
+
+test('apiFingerprint ignores concrete URLs and order, not schemas', () => {
+  const cart = { method: 'GET', url: 'https://shop.test/api/cart/1', urlTemplate: 'https://shop.test/api/cart/{id}', response: { statuses: [200], schema: { type: 'object' } } };
+  const user = { method: 'GET', url: 'https://shop.test/api/me', urlTemplate: 'https://shop.test/api/me' };
+  const base = apiFingerprint([cart, user]);
+  assert.equal(apiFingerprint([user, { ...cart, url: 'https://shop.test/api/cart/2' }]), base);
+  assert.notEqual(apiFingerprint([{ ...cart, response: { statuses: [200], schema: { type: 'array' } } }, user]), base);
+  assert.notEqual(apiFingerprint([cart]), base);
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-cache-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('cachedContract: miss, hit, revalidated and changed', async () => {
+  const url = 'https://shop.test/';
+  let builds = 0;
+  const build = () => ({ actions: [{ action: `search_${++builds}` }] });
+  const apis = [{ method: 'GET', urlTemplate: 'https://shop.test/api/cart' }];
+  const get = (ttl, html, discoveredApis) => cachedContract(url, { discoverApis: true, cache: { dir, ttl } }, async () => ({ html, discoveredApis }), build);
+
+  assert.equal((await get(3600, page(), apis)).cache.status, 'miss');
+  assert.equal((await get(3600, page(), apis)).cache.status, 'hit');
+  const revalidated = await get(0, page().replace('$10', '$9'), apis);
+  assert.equal(revalidated.cache.status, 'revalidated');
+  assert.equal(revalidated.contract.actions[0].action, 'search_1');
+  const changedApis = await get(0, page(), [...apis, { method: 'POST', urlTemplate: 'https://shop.test/api/cart' }]);
+  assert.equal(changedApis.cache.status, 'changed');
+  assert.equal(changedApis.contract.actions[0].action, 'search_2');
+  assert.equal((await get(0, page('<input name="q" value="x">'), apis)).cache.status, 'changed');
+  assert.equal(builds, 3);
+
+  const [entry] = listCacheEntries({ dir, ttl: 0 });
+  assert.equal(entry.url, url);
+  assert.equal(entry.expired, true);
+  assert.equal(purgeCache({ dir, url: 'https://SHOP.test/#x' }), 1);
+  assert.deepEqual(listCacheEntries({ dir }), []);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffContracts, formatDiff } from '../src/contractDiff.js';
+
+const search = {
+  action: 'search',
+  kind: 'form',
+  method: 'GET',
+  formAction: '/search',
+  schema: { type: 'object', properties: { q: { type: 'string' }, sort: { type: 'string', enum: ['price', 'name'] } }, required: ['q'] },
+  locators: [{ strategy: 'role', role: 'search', name: 'Search' }, { strategy: 'css', value: 'form#search' }],
+};
+const cart = { action: 'open_cart', kind: 'link', href: '/cart', locators: [{ strategy: 'css', value: 'a.cart' }] };
+const contract = (...actions) => ({ contractName: 'shop', actions });
+
+test('identical contracts have no changes', () => {
+  const report = diffContracts(contract(search, cart), contract(search, cart));
+  assert.deepEqual(report, { breaking: false, summary: { breaking: 0, warning: 0, info: 0 }, changes: [] });
+  assert.equal(formatDiff(report), 'No changes.');
+});
+
+test('removed actions and parameters are breaking, additions are info', () => {
+  const after = { ...search, schema: { type: 'object', properties: { q: { type: 'string' }, page: { type: 'integer' } }, required: ['q'] } };
+  const report = diffContracts(contract(search, cart), contract(after, { action: 'wishlist', kind: 'button' }));
+  assert.equal(report.breaking, true);
+  const messages = report.changes.map((c) => `${c.severity} ${c.message}`);
+  assert.ok(messages.includes('breaking action "open_cart" was removed'));
+  assert.ok(messages.includes('info action "wishlist" was added'));
+  assert.ok(messages.includes('breaking search: parameter "sort" was removed'));
+  assert.ok(messages.includes('info search: new optional parameter "page"'));
+});
+
+test('schema changes: required, type, enum and constraints', () => {
+  const after = {
+    ...search,
+    schema: {
+      type: 'object',
+      properties: { q: { type: 'string', maxLength: 50 }, sort: { type: 'string', enum: ['price'] } },
+      required: ['q', 'sort'],
+    },
+  };
+  const report = diffContracts(contract(search), contract(after));
+  const byField = (field) => report.changes.filter((c) => c.field === field).map((c) => c.severity);
+  assert.deepEqual(byField('sort'), ['breaking', 'breaking']);
+  assert.deepEqual(byField('q'), ['warning']);
+});
+
+test('a renamed action is matched by its locators and reported once', () => {
+  const renamed = { ...cart, action: 'view_cart' };
+  const report = diffContracts(contract(cart), contract(renamed));
+  assert.deepEqual(report.changes.map((c) => c.type), ['renamed']);
+  assert.equal(report.changes[0].renamedTo, 'view_cart');
+});
+
+test('locator and href drift are warnings', () => {
+  const moved = { ...cart, href: '/basket', locators: [{ strategy: 'css', value: 'a.basket' }] };
+  const report = diffContracts(contract(cart), contract(moved));
+  assert.equal(report.breaking, false);
+  assert.deepEqual(report.changes.map((c) => `${c.type}:${c.severity}`), ['locators:warning', 'href:warning']);
+});
+
+test('API endpoints are compared when both contracts have them', () => {
+  const api = (url) => ({ action: 'api', method: 'GET', url });
+  const report = diffContracts({ ...contract(), apiEndpoints: [api('/api/a')] }, { ...contract(), apiEndpoints: [api('/api/b')] });
+  assert.deepEqual(report.changes.map((c) => `${c.type} ${c.endpoint}`), ['apiRemoved GET /api/a', 'apiAdded GET /api/b']);
+});
+
+test('rejects non-contracts', () => {
+  assert.throws(() => diffContracts({}, contract()), /actions array/);
+});
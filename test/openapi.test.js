@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { contractToOpenApi } from '../src/openapi.js';
+
+const search = { action: 'search', kind: 'form', method: 'GET', schema: { type: 'object', properties: { q: { type: 'string' } }, required: ['q'] } };
+const order = { action: 'place_order', kind: 'button', schema: { type: 'object', properties: { qty: { type: 'integer' } } } };
+const api = (action, url, method = 'GET') => ({ action, method, url, response: { statuses: [200], contentType: 'application/json', schema: { type: 'object' } } });
+
+test('actions become gateway operations with policy responses', () => {
+  const doc = contractToOpenApi({ contractName: 'shop', actions: [search, order] }, { contractId: 'c9' });
+  assert.equal(doc.openapi, '3.1.0');
+  assert.equal(doc.servers[0].variables.contractId.default, 'c9');
+  const get = doc.paths['/search'].get;
+  assert.deepEqual(get.parameters.map((p) => [p.name, p.in, p.required]), [['q', 'query', true]]);
+  assert.equal(get.responses[405], undefined);
+  const post = doc.paths['/place_order'].post;
+  assert.equal(post.requestBody.content['application/json'].schema.properties.qty.type, 'integer');
+  assert.deepEqual(Object.keys(post.responses).sort(), ['200', '400', '403', '404', '405', '428']);
+  assert.equal(post.responses[428].content['application/json'].schema.$ref, '#/components/schemas/ConfirmationRequired');
+  assert.equal(post.responses[405].headers.Allow.schema.const, 'POST');
+  assert.ok(doc.components.schemas.ConfirmationRequired.required.includes('confirm_token'));
+});
+
+test('APIs get their own origin and templated paths; concrete URLs collapse', () => {
+  const doc = contractToOpenApi({
+    actions: [],
+    apiEndpoints: [api('product', 'https://shop.test/api/products/1'), api('product_2', 'https://shop.test/api/products/2?lang=en')],
+  });
+  const op = doc.paths['/api/products/{id}'].get;
+  assert.equal(op.operationId, 'product');
+  assert.deepEqual(op.servers, [{ url: 'https://shop.test' }]);
+  assert.deepEqual(op.parameters.map((p) => p.name), ['id']);
+  assert.equal(op['x-apis'], undefined);
+});
+
+test('an API colliding with an action moves to /{api_path}', () => {
+  const doc = contractToOpenApi({ actions: [search], apiEndpoints: [api('search_api', 'https://shop.test/search?q=x')] });
+  assert.equal(doc.paths['/search'].get.operationId, 'search');
+  const moved = doc.paths['/{api_path}'].get;
+  assert.equal(moved.operationId, 'search_api');
+  assert.deepEqual(moved.parameters[0], { name: 'api_path', in: 'path', required: true, schema: { type: 'string', enum: ['search'] } });
+  assert.equal(moved['x-path'], '/search');
+  assert.equal(moved['x-collides-with'], 'search');
+});
+
+test('a second collision merges into the same path', () => {
+  const doc = contractToOpenApi({
+    actions: [search, { ...order, method: 'GET', kind: 'link' }],
+    apiEndpoints: [api('search_api', 'https://shop.test/search'), api('order_api', 'https://shop.test/place_order')],
+  });
+  assert.deepEqual(Object.keys(doc.paths).sort(), ['/place_order', '/search', '/{api_path}']);
+  const merged = doc.paths['/{api_path}'].get;
+  assert.deepEqual(merged.parameters[0].schema.enum, ['search', 'place_order']);
+  assert.deepEqual(merged['x-apis'].map((a) => [a.operationId, a.path, a.collidesWith]), [
+    ['search_api', '/search', 'search'],
+    ['order_api', '/place_order', 'place_order'],
+  ]);
+});
+
+test('a moved API reuses an existing one-segment template path', () => {
+  const doc = contractToOpenApi({ actions: [search], apiEndpoints: [api('search_api', 'https://shop.test/search'), api('item', 'https://shop.test/12345')] });
+  assert.equal(doc.paths['/{api_path}'], undefined);
+  const merged = doc.paths['/{id}'].get;
+  assert.deepEqual(merged.parameters.map((p) => p.name), ['id']);
+  assert.deepEqual(merged['x-apis'].map((a) => a.operationId), ['item', 'search_api']);
+});
+
+test('the same path on two origins merges servers instead of dropping one', () => {
+  const doc = contractToOpenApi({
+    actions: [],
+    apiEndpoints: [api('cart', 'https://shop.test/api/cart', 'POST'), api('cart_cdn', 'https://api.shop.test/api/cart', 'POST')],
+  });
+  const op = doc.paths['/api/cart'].post;
+  assert.deepEqual(op.servers.map((s) => s.url), ['https://shop.test', 'https://api.shop.test']);
+  assert.deepEqual(op['x-apis'].map((a) => a.servers[0].url), ['https://shop.test', 'https://api.shop.test']);
+});
+
+test('GraphQL operations on one endpoint become a oneOf body', () => {
+  const gql = (name) => ({
+    ...api(name, 'https://shop.test/graphql', 'POST'),
+    contentType: 'application/json',
+    graphql: { operationName: name, operationType: 'query', query: `query ${name} { x }` },
+  });
+  const op = contractToOpenApi({ actions: [], apiEndpoints: [gql('Cart'), gql('Wishlist')] }).paths['/graphql'].post;
+  const variants = op.requestBody.content['application/json'].schema.oneOf;
+  assert.deepEqual(variants.map((v) => v.properties.operationName.const), ['Cart', 'Wishlist']);
+  assert.deepEqual(op['x-graphql'].map((g) => g.operationName), ['Cart', 'Wishlist']);
+});
+
+test('writes nothing to the console and rejects non-contracts', (t) => {
+  const error = t.mock.method(console, 'error');
+  const log = t.mock.method(console, 'log');
+  contractToOpenApi({ actions: [search], apiEndpoints: [api('search_api', 'https://shop.test/search')] });
+  assert.equal(error.mock.callCount() + log.mock.callCount(), 0);
+  assert.throws(() => contractToOpenApi({}), /actions array/);
+});
@@ -0,0 +1,86 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyAction, classifyElement, classifyApiCall, configurePolicy, enforcePolicy, resetPolicy, isSensitiveField } from '../src/policy.js';
+
+beforeEach(() => {
+  delete process.env.AGENT_POLICY;
+  delete process.env.AGENT_POLICY_FILE;
+  resetPolicy();
+});
+
+const checkout = { action: 'place_order', description: 'Place order', schema: { type: 'object', properties: { card_number: { type: 'string' } } } };
+
+test('classifyAction: labels, fields and links', () => {
+  assert.deepEqual(classifyAction(checkout).categories, ['purchase', 'payment']);
+  assert.equal(classifyAction(checkout).risk, 'high');
+  assert.deepEqual(classifyAction({ action: 'login', schema: { type: 'object', properties: { password: { type: 'string', writeOnly: true } } } }).categories, ['credential']);
+  assert.deepEqual(classifyAction({ action: 'delete_account', description: 'Delete account' }).categories, ['destructive']);
+  assert.equal(classifyAction({ action: 'search', description: 'Search', schema: { type: 'object', properties: { q: { type: 'string' } } } }).risk, 'low');
+  const external = classifyAction({ action: 'partner', href: 'https://other.test/' }, { pageUrl: 'https://www.shop.test/' });
+  assert.deepEqual([external.risk, external.categories], ['medium', ['external_navigation']]);
+});
+
+test('classifyElement: purchase words only as whole labels', () => {
+  assert.deepEqual(classifyElement({ text: 'Pay now' }).categories, ['purchase']);
+  assert.deepEqual(classifyElement({ text: 'Purchase' }).categories, ['purchase']);
+  assert.equal(classifyElement({ text: 'Purchase history' }).risk, 'low');
+  assert.deepEqual(classifyElement({ text: 'Continue', formFields: [{ name: 'x', autocomplete: 'cc-number' }] }).categories, ['payment']);
+});
+
+test('classifyElement: an unreadable target needs confirmation', () => {
+  const risk = classifyElement({ unreadable: 'no element at the point' });
+  assert.equal(risk.risk, 'high');
+  assert.ok(enforcePolicy({ type: 'click_at', target: '10,20', risk }).requires_confirmation);
+});
+
+test('classifyApiCall: method, path and body fields', () => {
+  assert.deepEqual(classifyApiCall({ method: 'DELETE', url: 'https://shop.test/api/items/1' }).categories, ['destructive']);
+  assert.deepEqual(classifyApiCall({ method: 'POST', url: 'https://shop.test/checkout', body: '{"cvv":"123"}' }).categories, ['purchase', 'payment']);
+  assert.equal(classifyApiCall({ method: 'GET', url: 'https://shop.test/checkout' }).risk, 'low');
+});
+
+test('isSensitiveField', () => {
+  for (const name of ['password', 'cc-number', 'cvv', 'one-time-code', 'IBAN']) assert.equal(isSensitiveField(name), true, name);
+  for (const name of ['email', 'qty', '', undefined]) assert.equal(isSensitiveField(name), false, String(name));
+});
+
+test('enforcePolicy: low risk runs, high risk needs a token that works once', () => {
+  assert.equal(enforcePolicy({ type: 'action', target: 'search', risk: classifyAction({ action: 'search' }) }), null);
+  const op = { type: 'action', target: 'place_order', sessionId: 's1', details: { qty: 1 }, risk: classifyAction(checkout) };
+  const blocked = enforcePolicy(op);
+  assert.equal(blocked.requires_confirmation, true);
+  assert.match(blocked.confirm_token, /^ct_/);
+  assert.equal(enforcePolicy(op, { confirmToken: blocked.confirm_token }), null);
+  const again = enforcePolicy(op, { confirmToken: blocked.confirm_token });
+  assert.equal(again.requires_confirmation, true);
+  assert.match(again.message, /invalid, expired, or for a different operation/);
+});
+
+test('enforcePolicy: a token is bound to the operation, session, details and values', () => {
+  const op = { type: 'fill', target: 'card', sessionId: 's1', values: '4111', risk: classifyElement({ name: 'card_number' }) };
+  for (const other of [{ target: 'cvv' }, { sessionId: 's2' }, { details: { qty: 2 } }, { values: '4242' }, { type: 'click' }]) {
+    const { confirm_token: token } = enforcePolicy(op);
+    assert.equal(enforcePolicy({ ...op, ...other }, { confirmToken: token })?.requires_confirmation, true, JSON.stringify(other));
+  }
+});
+
+test('enforcePolicy: dry runs issue no token', () => {
+  const out = enforcePolicy({ type: 'action', target: 'place_order', risk: classifyAction(checkout) }, { dryRun: true });
+  assert.equal(out.dry_run, true);
+  assert.equal(out.requires_confirmation, true);
+  assert.equal(out.confirm_token, undefined);
+});
+
+test('enforcePolicy: deny categories, domains and API methods', () => {
+  configurePolicy({ categories: { destructive: 'deny' }, denyDomains: ['evil.test'], callApi: { methods: ['GET'] } });
+  const err = (fn) => assert.throws(fn, (e) => e.status === 403 && e.policy?.denied);
+  err(() => enforcePolicy({ type: 'action', target: 'delete', risk: classifyAction({ action: 'delete_account', description: 'Delete account' }) }));
+  err(() => enforcePolicy({ type: 'navigate', target: 'x', url: 'https://a.evil.test/', risk: classifyElement({}) }));
+  err(() => enforcePolicy({ type: 'call_api', target: 'x', url: 'https://shop.test/api', method: 'POST', risk: classifyApiCall({ method: 'POST', url: 'https://shop.test/api' }) }));
+  assert.throws(() => configurePolicy({ categories: { shopping: 'deny' } }), /Unknown risk category/);
+});
+
+test('a disabled policy lets everything run', () => {
+  configurePolicy({ enabled: false });
+  assert.equal(enforcePolicy({ type: 'action', target: 'place_order', risk: classifyAction(checkout) }), null);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildActionSchema, fieldSchema, normalizeSchema, schemaFieldNames, validateParams } from '../src/schema.js';
+
+const schema = buildActionSchema([
+  { name: 'q', type: 'string', htmlType: 'search', required: true },
+  { name: 'email', type: 'string', htmlType: 'email' },
+  { name: 'qty', type: 'number', htmlType: 'number', min: '1', max: '10' },
+  { name: 'size', type: 'string', htmlType: 'select', options: [{ value: 's', label: 'Small' }, { value: 'm', label: 'Medium' }] },
+  { name: 'zip', type: 'string', htmlType: 'text', pattern: '\\d{5}' },
+  { name: 'news', type: 'boolean', htmlType: 'checkbox', options: [{ value: 'on' }] },
+]);
+
+test('buildActionSchema: types, constraints and required fields', () => {
+  assert.deepEqual(schema.required, ['q']);
+  assert.equal(schema.additionalProperties, false);
+  assert.deepEqual(schema.properties.qty, { type: 'integer', minimum: 1, maximum: 10 });
+  assert.deepEqual(schema.properties.size.enum, ['s', 'm']);
+  assert.equal(schema.properties.email.format, 'email');
+  assert.equal(schema.properties.zip.pattern, '^(?:\\d{5})$');
+  assert.equal(schema.properties.news.type, 'boolean');
+});
+
+test('validateParams accepts valid params, numeric and boolean strings included', () => {
+  assert.deepEqual(validateParams(schema, { q: 'boots', email: 'a@b.test', qty: '3', size: 'm', zip: '12345', news: 'on' }), []);
+});
+
+test('validateParams reports each violation', () => {
+  const errors = validateParams(schema, { email: 'nope', qty: 11, size: 'xl', zip: '123', extra: 1 });
+  assert.deepEqual(errors, [
+    'q: required',
+    'email: not a valid email',
+    'qty: must be <= 10',
+    'size: must be one of "s", "m"',
+    'zip: does not match pattern ^(?:\\d{5})$',
+    'extra: unknown parameter',
+  ]);
+  assert.deepEqual(validateParams(schema, { qty: 1.5 }, { partial: true }), ['qty: expected an integer']);
+});
+
+test('multipleOf only for steps based at 0, and enforced', () => {
+  const fromZero = fieldSchema({ name: 'n', type: 'number', step: '0.5' });
+  assert.equal(fromZero.multipleOf, 0.5);
+  const fromOne = fieldSchema({ name: 'n', type: 'number', step: '2', min: '1' });
+  assert.equal(fromOne.multipleOf, undefined);
+  const s = { type: 'object', properties: { n: fromZero } };
+  assert.deepEqual(validateParams(s, { n: '1.5' }), []);
+  assert.deepEqual(validateParams(s, { n: 1.25 }), ['n: must be a multiple of 0.5']);
+  assert.deepEqual(validateParams({ type: 'object', properties: { p: { type: 'number', multipleOf: 0.1 } } }, { p: 0.3 }), []);
+});
+
+test('normalizeSchema converts flat field maps, even with keyword-like field names', () => {
+  assert.deepEqual(normalizeSchema({ q: 'string', page: 'number' }), {
+    type: 'object',
+    properties: { q: { type: 'string' }, page: { type: 'number' } },
+  });
+  assert.deepEqual(schemaFieldNames({ type: 'string', description: 'string' }), ['type', 'description']);
+  assert.deepEqual(normalizeSchema({ type: 'string', description: 'string' }).properties.description, { type: 'string' });
+  assert.deepEqual(normalizeSchema({ _body: 'string' }), { type: 'string' });
+});
+
+test('normalizeSchema passes JSON Schema through', () => {
+  for (const s of [schema, { type: 'object' }, { type: 'array', items: { type: 'string' } }, { type: 'string' }, { anyOf: [{ type: 'string' }, { type: 'null' }] }]) {
+    assert.equal(normalizeSchema(s), s);
+  }
+  assert.deepEqual(schemaFieldNames(schema), ['q', 'email', 'qty', 'size', 'zip', 'news']);
+});
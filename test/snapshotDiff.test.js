@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSnapshots } from '../src/snapshotDiff.js';
+
+const cart = (n) => ({ ref: 'e1', type: 'button', tag: 'button', text: `Cart (${n})` });
+const before = {
+  url: 'https://shop.test/p/1',
+  title: 'Boots',
+  buttons: [cart(0), { ref: 'e2', type: 'button', tag: 'button', text: 'Add to cart', states: {} }],
+  links: [{ ref: 'e3', type: 'link', text: 'Home', href: '/' }],
+  forms: [{
+    ref: 'e4',
+    submitLabel: 'Add to cart',
+    inputs: [
+      { ref: 'e5', name: 'qty', value: '1' },
+      { ref: 'e6', name: 'size', value: 's', checked: true },
+      { ref: 'e7', name: 'size', value: 'm', checked: false },
+    ],
+  }],
+};
+
+test('identical snapshots only count unchanged elements', () => {
+  assert.deepEqual(diffSnapshots(before, before), { unchanged: 4 });
+});
+
+test('added and removed elements, URL and title', () => {
+  const after = { ...before, url: 'https://shop.test/p/2', title: 'Sandals', buttons: [cart(1), before.buttons[1]], links: [], dialogs: [{ type: 'dialog', role: 'dialog', text: 'Added to cart' }] };
+  const diff = diffSnapshots(before, after);
+  assert.equal(diff.previous_url, 'https://shop.test/p/1');
+  assert.equal(diff.previous_title, 'Boots');
+  assert.deepEqual(diff.added, { buttons: [cart(1)], dialogs: [{ type: 'dialog', role: 'dialog', text: 'Added to cart' }] });
+  assert.deepEqual(diff.removed, { buttons: [cart(0)], links: [before.links[0]] });
+  assert.equal(diff.unchanged, 2);
+});
+
+test('field values, checked options and element states', () => {
+  const after = {
+    ...before,
+    buttons: [cart(0), { ...before.buttons[1], states: { disabled: true } }],
+    forms: [{ ...before.forms[0], inputs: [{ ref: 'e5', name: 'qty', value: '2' }, { ...before.forms[0].inputs[1], checked: false }, { ...before.forms[0].inputs[2], checked: true }] }],
+  };
+  const { changed } = diffSnapshots(before, after);
+  assert.deepEqual(changed, [
+    { type: 'button', ref: 'e2', text: 'Add to cart', states: { from: {}, to: { disabled: true } } },
+    {
+      type: 'form',
+      ref: 'e4',
+      submitLabel: 'Add to cart',
+      fields: [
+        { ref: 'e5', name: 'qty', value: { from: '1', to: '2' } },
+        { ref: 'e6', name: 'size', option: 's', checked: { from: true, to: false } },
+        { ref: 'e7', name: 'size', option: 'm', checked: { from: false, to: true } },
+      ],
+    },
+  ]);
+});
+
+test('a replaced element with a new ref is removed and added', () => {
+  const after = { ...before, links: [{ ...before.links[0], ref: 'e9' }] };
+  const diff = diffSnapshots(before, after);
+  assert.deepEqual(diff.added.links.map((l) => l.ref), ['e9']);
+  assert.deepEqual(diff.removed.links.map((l) => l.ref), ['e3']);
+});
+
+test('identical repeats are matched by occurrence; limits cap each group', () => {
+  const link = { type: 'link', text: 'More', href: '/more' };
+  const diff = diffSnapshots({ url: 'u', title: 't', links: [link] }, { url: 'u', title: 't', links: [link, link, link] }, { limits: { links: 1 } });
+  assert.deepEqual(diff, { added: { links: [link] }, unchanged: 1 });
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { templatizeUrl, urlTemplate } from '../src/urlTemplate.js';
+
+test('id-like path segments become {id}, {id2}, …', () => {
+  assert.equal(urlTemplate('https://shop.test/products/123'), 'https://shop.test/products/{id}');
+  assert.equal(urlTemplate('https://shop.test/products/456'), urlTemplate('https://shop.test/products/123'));
+  const t = templatizeUrl('https://shop.test/orders/550e8400-e29b-41d4-a716-446655440000/items/5f3a9c0b1d2e');
+  assert.equal(t.path, '/orders/{id}/items/{id2}');
+  assert.deepEqual(t.pathParams, ['id', 'id2']);
+});
+
+test('route words and short codes stay literal', () => {
+  assert.equal(templatizeUrl('https://shop.test/en/shoes/v2/').path, '/en/shoes/v2/');
+  assert.equal(templatizeUrl('https://shop.test/').path, '/');
+  assert.equal(templatizeUrl('https://shop.test/deadbeef').path, '/deadbeef');
+});
+
+test('query values become {key}, sorted, tracking params dropped', () => {
+  const t = templatizeUrl('https://shop.test/search?q=boots&page=2&utm_source=mail&gclid=x');
+  assert.equal(t.template, 'https://shop.test/search?page={page}&q={q}');
+  assert.deepEqual(t.queryParams, ['page', 'q']);
+  assert.equal(t.origin, 'https://shop.test');
+});
+
+test('encoded and malformed escapes in segments', () => {
+  assert.equal(templatizeUrl('https://shop.test/sku/%31%32%33').path, '/sku/{id}');
+  assert.equal(templatizeUrl('https://shop.test/sale/100%').path, '/sale/100%');
+  assert.equal(templatizeUrl('https://shop.test/sale/2024%ZZ').path, '/sale/{id}');
+});
+
+test('rejects relative URLs', () => {
+  assert.throws(() => templatizeUrl('/products/1'), TypeError);
+});